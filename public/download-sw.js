@@ -0,0 +1,105 @@
+/**
+ * Download Stream Service Worker
+ * Serves chunks posted by the page as a streamed browser download, so large
+ * files are written to disk without being held in memory as one Blob.
+ */
+
+const DOWNLOAD_PREFIX = '/__stream-download__/';
+const REGISTRATION_TIMEOUT = 10000; // Wait this long for the page's registration if the fetch arrives first
+const STREAM_HIGH_WATER_MARK = 4 * 1024 * 1024; // Bytes queued for the browser before the page has to wait
+
+const downloads = new Map(); // id -> { stream, fileName, mimeType, fileSize }
+const waiting = new Map(); // id -> resolve callbacks for fetches that arrived early
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (!message || message.type !== 'register-download') return;
+
+  const port = event.ports[0];
+  let unackedSeq = null; // Chunk whose ack waits until the browser reads enough to make room
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data }) => {
+        if (data.type === 'chunk') {
+          controller.enqueue(new Uint8Array(data.data));
+          // Ack right away while the queue has room, otherwise once pull() asks for more
+          if (controller.desiredSize > 0) {
+            port.postMessage({ type: 'ack', seq: data.seq });
+          } else {
+            unackedSeq = data.seq;
+          }
+        } else if (data.type === 'end') {
+          controller.close();
+          port.close();
+        } else if (data.type === 'abort') {
+          controller.error(new Error('Download aborted'));
+          port.close();
+        }
+      };
+    },
+    pull() {
+      if (unackedSeq !== null) {
+        port.postMessage({ type: 'ack', seq: unackedSeq });
+        unackedSeq = null;
+      }
+    },
+    cancel() {
+      // User cancelled the download in the browser
+      port.postMessage({ type: 'cancelled' });
+    }
+  }, new ByteLengthQueuingStrategy({ highWaterMark: STREAM_HIGH_WATER_MARK }));
+  port.postMessage({ type: 'registered', flowControl: true });
+
+  downloads.set(message.id, {
+    stream,
+    fileName: message.fileName,
+    mimeType: message.mimeType,
+    fileSize: message.fileSize
+  });
+
+  const resolvers = waiting.get(message.id) || [];
+  waiting.delete(message.id);
+  resolvers.forEach(resolve => resolve());
+});
+
+const waitForDownload = (id) => {
+  if (downloads.has(id)) return Promise.resolve(downloads.get(id));
+
+  return new Promise((resolve) => {
+    const resolvers = waiting.get(id) || [];
+    resolvers.push(() => resolve(downloads.get(id)));
+    waiting.set(id, resolvers);
+    setTimeout(() => resolve(downloads.get(id) || null), REGISTRATION_TIMEOUT);
+  });
+};
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (!url.pathname.startsWith(DOWNLOAD_PREFIX)) return;
+
+  const id = url.pathname.slice(DOWNLOAD_PREFIX.length);
+  event.respondWith(waitForDownload(id).then((download) => {
+    if (!download) {
+      return new Response('Download not found', { status: 404 });
+    }
+    downloads.delete(id);
+
+    const headers = new Headers({
+      'Content-Type': download.mimeType || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.fileName)}`
+    });
+    if (download.fileSize) {
+      headers.set('Content-Length', String(download.fileSize));
+    }
+    return new Response(download.stream, { headers });
+  }));
+});
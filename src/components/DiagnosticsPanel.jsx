@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import transferDiagnosticsService from '../services/transferDiagnostics';
+import './DiagnosticsPanel.css';
+
+const CHART_WIDTH = 240;
+const CHART_HEIGHT = 48;
+const RECENT_EVENTS = 50;
+const GENERAL_LOG = 'general-log'; // Selector value for events that belong to no transfer
+
+const formatOffset = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// One metric of a transfer's samples as a small line chart with its latest and peak value
+const MetricChart = ({ label, samples, field, format, color }) => {
+  const points = samples.filter(sample => typeof sample[field] === 'number');
+  if (points.length === 0) return null;
+
+  const maxT = Math.max(points[points.length - 1].t, 1);
+  const maxValue = Math.max(...points.map(sample => sample[field]), 1);
+  const path = points.map(sample => {
+    const x = (sample.t / maxT) * CHART_WIDTH;
+    const y = CHART_HEIGHT - (sample[field] / maxValue) * (CHART_HEIGHT - 2) - 1;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  return (
+    <div className="diag-chart">
+      <div className="diag-chart-label">
+        <span>{label}</span>
+        <span>{format(points[points.length - 1][field])} <span className="diag-muted">(peak {format(maxValue)})</span></span>
+      </div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="diag-chart-svg">
+        <polyline points={path} fill="none" stroke={color} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+      </svg>
+    </div>
+  );
+};
+
+// Per-transfer metric timelines and event log, exportable as JSON for bug reports
+const DiagnosticsPanel = ({ formatSize, formatSpeed }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [, setVersion] = useState(0);
+
+  // Re-render when new samples or events come in, only while the panel is open
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleChange = () => setVersion(v => v + 1);
+    transferDiagnosticsService.addListener(handleChange);
+    return () => transferDiagnosticsService.removeListener(handleChange);
+  }, [isOpen]);
+
+  const exportJson = () => {
+    const blob = new Blob([transferDiagnosticsService.exportJson()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `transfer-diagnostics-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="diagnostics">
+        <button className="diag-button" onClick={() => setIsOpen(true)}>
+          🩺 Show transfer diagnostics
+        </button>
+      </div>
+    );
+  }
+
+  const transfers = transferDiagnosticsService.getTransfers();
+  const log = transferDiagnosticsService.getLog();
+  // Default to the newest transfer
+  const selected = selectedId === GENERAL_LOG
+    ? null
+    : transfers.find(transfer => transfer.id === selectedId) || transfers[transfers.length - 1] || null;
+  const events = selected ? selected.events : log;
+  const recentEvents = events.slice(-RECENT_EVENTS).reverse();
+
+  return (
+    <div className="diagnostics">
+      <div className="diag-header">
+        <h4>🩺 Transfer Diagnostics</h4>
+        <div className="diag-actions">
+          <button className="diag-button" onClick={exportJson}>⬇️ Export JSON</button>
+          <button className="diag-button" onClick={() => transferDiagnosticsService.clear()}>Clear finished</button>
+          <button className="diag-button" onClick={() => setIsOpen(false)}>✕</button>
+        </div>
+      </div>
+
+      {transfers.length === 0 ? (
+        <div className="diag-muted">No transfers recorded yet.</div>
+      ) : (
+        <select
+          className="diag-select"
+          value={selected ? selected.id : GENERAL_LOG}
+          onChange={(e) => setSelectedId(e.target.value)}
+        >
+          <option value={GENERAL_LOG}>📋 General log ({log.length})</option>
+          {transfers.map(transfer => (
+            <option key={transfer.id} value={transfer.id}>
+              {transfer.direction === 'upload' ? '📤' : '📥'} {transfer.fileName}
+              {transfer.outcome ? ` (${transfer.outcome})` : ' (running)'}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {selected && (
+        <>
+          <div className="diag-summary">
+            {formatSize(selected.fileSize)} • {selected.samples.length} samples
+            {selected.endedAt && ` • ${formatOffset(selected.endedAt - selected.startedAt)}`}
+          </div>
+          <div className="diag-charts">
+            <MetricChart label="Throughput" samples={selected.samples} field="throughput" format={formatSpeed} color="#2196F3" />
+            <MetricChart
+              label={selected.direction === 'upload' ? 'bufferedAmount' : 'Waiting to be written'}
+              samples={selected.samples}
+              field="bufferedAmount"
+              format={formatSize}
+              color="#FF9800"
+            />
+            <MetricChart label="Chunk size" samples={selected.samples} field="chunkSize" format={formatSize} color="#4CAF50" />
+            <MetricChart label="Adaptive delay" samples={selected.samples} field="sendDelay" format={ms => `${ms}ms`} color="#9C27B0" />
+          </div>
+        </>
+      )}
+
+      <div className="diag-events">
+        <div className="diag-events-title">{selected ? 'Events' : 'Log'} ({events.length})</div>
+        {recentEvents.map((event, index) => (
+          <div key={`${event.at}-${index}`} className={`diag-event diag-event-${event.type}`}>
+            <span className="diag-event-time">
+              {typeof event.t === 'number' ? formatOffset(event.t) : new Date(event.at).toLocaleTimeString()}
+            </span>
+            <span className="diag-event-type">{event.type}</span>
+            <span className="diag-event-detail">{event.detail}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
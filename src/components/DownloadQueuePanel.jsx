@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { QUEUE_PRIORITIES } from '../utils/downloadQueue';
+import { RETRY_POLICY } from '../utils/retryPolicy';
+import './DownloadQueuePanel.css';
+
+// Waiting downloads (drag to reorder, change priority, remove) and a failed section with retry
+const DownloadQueuePanel = ({ items, onMove, onSetPriority, onRemove, onRetry, formatSize }) => {
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const queuedItems = items.filter(item => item.status !== 'failed');
+  const failedItems = items.filter(item => item.status === 'failed');
+
+  if (items.length === 0) return null;
+
+  const handleDrop = (e, beforeId) => {
+    e.preventDefault();
+    if (draggedId) {
+      onMove(draggedId, beforeId);
+    }
+    setDraggedId(null);
+    setDropTargetId(null);
+  };
+
+  return (
+    <div className="download-queue">
+      {queuedItems.length > 0 && (
+        <>
+          <div className="queue-header">
+            <h4>📋 Queue ({queuedItems.length})</h4>
+          </div>
+
+          {queuedItems.map(item => (
+            <div
+              key={item.id}
+              className={`queue-item ${dropTargetId === item.id ? 'drop-target' : ''}`}
+              draggable
+              onDragStart={() => setDraggedId(item.id)}
+              onDragEnd={() => { setDraggedId(null); setDropTargetId(null); }}
+              onDragOver={(e) => { e.preventDefault(); setDropTargetId(item.id); }}
+              onDrop={(e) => handleDrop(e, item.id)}
+            >
+              <span className="queue-handle" title="Drag to reorder">⋮⋮</span>
+              <div className="queue-details">
+                <div className="queue-name">{item.relativePath || item.name}</div>
+                <div className="queue-meta">
+                  {formatSize(item.size)}
+                  {item.deviceName && ` • ${item.deviceName}`}
+                  {!item.peerId && ' • waiting for device'}
+                </div>
+                {item.retryAt && (
+                  <div className="queue-retry">
+                    🔁 Retrying (attempt {item.attempts + 1}/{RETRY_POLICY.maxAttempts}) after: {item.error}
+                  </div>
+                )}
+              </div>
+              <select
+                className="queue-priority"
+                value={item.priority}
+                onChange={(e) => onSetPriority(item.id, e.target.value)}
+                title="Higher priority files download first"
+              >
+                {QUEUE_PRIORITIES.map(priority => (
+                  <option key={priority} value={priority}>{priority}</option>
+                ))}
+              </select>
+              <button className="queue-action" onClick={() => onRemove(item.id)} title="Remove from queue">
+                ✕
+              </button>
+            </div>
+          ))}
+
+          {/* Drop here to move a file to the end */}
+          <div
+            className={`queue-end ${draggedId && dropTargetId === 'end' ? 'drop-target' : ''}`}
+            onDragOver={(e) => { e.preventDefault(); setDropTargetId('end'); }}
+            onDrop={(e) => handleDrop(e, null)}
+          />
+        </>
+      )}
+
+      {failedItems.length > 0 && (
+        <div className="queue-failed">
+          <div className="queue-header">
+            <h4>⚠️ Failed ({failedItems.length})</h4>
+            <button className="queue-retry-all" onClick={() => onRetry()}>
+              🔁 Retry all
+            </button>
+          </div>
+
+          {failedItems.map(item => (
+            <div key={item.id} className="queue-item failed">
+              <div className="queue-details">
+                <div className="queue-name">{item.relativePath || item.name}</div>
+                <div className="queue-meta">
+                  {formatSize(item.size)}
+                  {item.deviceName && ` • ${item.deviceName}`}
+                  {item.attempts > 0 && ` • ${item.attempts} attempt${item.attempts !== 1 ? 's' : ''}`}
+                </div>
+                <div className="queue-error">⚠️ {item.error}</div>
+              </div>
+              <button className="queue-action" onClick={() => onRetry(item.id)} title="Queue this file again">
+                🔁 Retry
+              </button>
+              <button className="queue-action" onClick={() => onRemove(item.id)} title="Remove from the list">
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DownloadQueuePanel;
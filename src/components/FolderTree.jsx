@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { collectTreeFiles, getTreeSize } from '../utils/fileTree';
+import './FolderTree.css';
+
+const FolderNode = ({ folder, renderFile, onDownloadFolder, formatSize, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const files = collectTreeFiles(folder);
+
+  return (
+    <div className="folder-node">
+      <div className="folder-header" onClick={() => setIsOpen(!isOpen)}>
+        <span className="folder-toggle">{isOpen ? '▾' : '▸'}</span>
+        <span className="folder-icon">{isOpen ? '📂' : '📁'}</span>
+        <span className="folder-name">{folder.name}</span>
+        <span className="folder-meta">
+          {files.length} file{files.length !== 1 ? 's' : ''} • {formatSize(getTreeSize(folder))}
+        </span>
+        {onDownloadFolder && (
+          <button
+            className="btn folder-download"
+            disabled={disabled}
+            onClick={(e) => {
+              e.stopPropagation();
+              onDownloadFolder(files, folder.path);
+            }}
+            title={`Download ${folder.path} with its folder structure`}
+          >
+            ⬇️ Folder
+          </button>
+        )}
+      </div>
+      {isOpen && (
+        <div className="folder-children">
+          <FolderTree
+            node={folder}
+            renderFile={renderFile}
+            onDownloadFolder={onDownloadFolder}
+            formatSize={formatSize}
+            disabled={disabled}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Collapsible tree of shared folders; files are drawn by the caller
+const FolderTree = ({ node, renderFile, onDownloadFolder, formatSize, disabled = false }) => {
+  return (
+    <>
+      {node.folders.map(folder => (
+        <FolderNode
+          key={folder.path}
+          folder={folder}
+          renderFile={renderFile}
+          onDownloadFolder={onDownloadFolder}
+          formatSize={formatSize}
+          disabled={disabled}
+        />
+      ))}
+      {node.files.map(file => renderFile(file))}
+    </>
+  );
+};
+
+export default FolderTree;
@@ -1,7 +1,12 @@
 import { useState, useRef, useEffect } from 'react';
 import { useOnDemandTransfer } from '../hooks/useOnDemandTransferDebug';
 import SimpleSpeedControl from './SimpleSpeedControl';
-import { adaptiveAgent } from '../utils/SimpleAdaptiveAgent';
+import FolderTree from './FolderTree';
+import DownloadQueuePanel from './DownloadQueuePanel';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import { SINK_LABELS } from '../utils/downloadSinks';
+import { buildFileTree } from '../utils/fileTree';
+import { readDroppedItems } from '../utils/folderEntries';
 import './SimpleFileApp.css';
 
 const SimpleFileApp = () => {
@@ -9,19 +14,59 @@ const SimpleFileApp = () => {
     roomId,
     isConnected,
     status,
+    connectedPeers,
+    isEncrypted,
+    keyError,
+    connectionError,
+    reconnectAttempt,
+    maxReconnectAttempts,
+    signalingStatus,
+    signalingAttempt,
+    requireVerification,
+    setRequireVerification,
+    confirmVerification,
+    rejectVerification,
+    approvalMode,
+    setApprovalMode,
+    pendingApprovals,
+    approveRequest,
+    denyRequest,
+    receiveRules,
+    setReceiveRules,
+    deniedDownloads,
+    awaitingApproval,
+    incomingOffers,
+    outgoingOffers,
+    acceptOffer,
+    declineOffer,
+    autoAcceptOffers,
+    setAutoAcceptOffers,
     availableFiles,
     mySharedFiles,
+    downloadedFiles,
     activeDownloads,
     downloadQueue,
     isDownloadingAll,
+    maxConcurrentTransfers,
+    setMaxConcurrentTransfers,
     completedDownloads,
-    detectedSpeed,
     isTestingSpeed,
     speedTestProgress,
     speedTestResults,
     shareFiles,
+    sendFiles,
+    unshareFiles,
+    unshareAll,
+    pauseTransfer,
+    resumeTransfer,
+    cancelTransfer,
     requestDownload,
     downloadAll,
+    downloadFolder,
+    moveInQueue,
+    setQueuePriority,
+    removeFromQueue,
+    retryFailed,
     refreshAvailableFiles,
     runSpeedTest,
     createRoom,
@@ -31,16 +76,141 @@ const SimpleFileApp = () => {
   } = useOnDemandTransfer();
 
   const [roomInput, setRoomInput] = useState('');
+  const [passphraseInput, setPassphraseInput] = useState('');
   const [activeTab, setActiveTab] = useState('share'); // 'share' or 'download'
   const [dragActive, setDragActive] = useState(false);
   const [downloadAllClicked, setDownloadAllClicked] = useState(false);
+  const [zipDownloads, setZipDownloads] = useState(false); // Download All / Folder as one ZIP
   const fileInputRef = useRef(null);
   const folderInputRef = useRef(null);
+  const sendInputRef = useRef(null);
 
-  // Handle speed change from control
-  const handleSpeedChange = (newSpeed) => {
-    console.log(`🎛️ User changed speed to: ${newSpeed} MBps`);
-    adaptiveAgent.setUploadSpeed(newSpeed);
+  const queuedCount = downloadQueue.filter(item => item.status === 'queued').length;
+
+  // Group available files by the device sharing them
+  const filesByDevice = availableFiles.reduce((groups, file) => {
+    let group = groups.find(g => g.peerId === file.peerId);
+    if (!group) {
+      group = { peerId: file.peerId, deviceName: file.deviceName, files: [] };
+      groups.push(group);
+    }
+    group.files.push(file);
+    return groups;
+  }, []);
+
+  // One available file row (used inside the folder tree)
+  const renderAvailableFile = (file) => {
+    const isQueued = downloadQueue.find(f => f.id === file.id && f.status === 'queued');
+    const downloadingFile = activeDownloads.find(d => d.fileId === file.id && d.isDownloading);
+    const isCompleted = completedDownloads.has(file.id);
+    const failedDownload = !isCompleted && downloadedFiles.find(f => f.fileId === file.id && f.integrity === 'failed');
+    const isAwaitingApproval = awaitingApproval.has(file.id);
+    const deniedReason = !isCompleted && deniedDownloads[file.id];
+
+    return (
+      <div 
+        key={file.id} 
+        className="file-item"
+        style={{
+          background: downloadingFile 
+            ? `linear-gradient(90deg, #c8e6c9 ${downloadingFile.progress || 0}%, #f5f5f5 ${downloadingFile.progress || 0}%)`
+            : isCompleted ? '#f0f8f0' : 'transparent',
+          border: isCompleted ? '2px solid #2E7D32' : downloadingFile ? '2px solid #4CAF50' : '1px solid #e0e0e0',
+          padding: '12px',
+          borderRadius: '8px',
+          marginBottom: '8px',
+          transition: 'all 0.3s ease',
+          opacity: isCompleted ? 0.8 : 1
+        }}
+      >
+        <span className="icon">{getFileIcon(file.type)}</span>
+        <div className="details" style={{ flex: 1 }}>
+          <div className="name">
+            {isCompleted && <span style={{ color: '#2E7D32', marginRight: '8px', fontWeight: 'bold' }}>✅</span>}
+            {file.name}
+            {isCompleted && <span style={{ color: '#2E7D32', marginLeft: '8px', fontSize: '12px' }}>(Downloaded)</span>}
+          </div>
+          <div className="size">{formatSize(file.size)}</div>
+          {failedDownload && (
+            <div style={{ color: '#C62828', fontSize: '12px', marginTop: '4px' }}>
+              {failedDownload.alreadySaved
+                ? <>⚠️ Verification failed ({failedDownload.integrityError}) - the browser already saved <strong>{failedDownload.saveName}</strong> to your downloads. It is corrupt: delete it.</>
+                : <>⚠️ Verification failed ({failedDownload.integrityError}) - file was not saved</>}
+            </div>
+          )}
+          {deniedReason && !isAwaitingApproval && !downloadingFile && (
+            <div style={{ color: '#C62828', fontSize: '12px', marginTop: '4px' }}>
+              🚫 {deniedReason}
+            </div>
+          )}
+        </div>
+
+        {/* Button/Status area */}
+        {isCompleted ? (
+          <div style={{ 
+            color: '#2E7D32', 
+            fontWeight: 'bold',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '5px'
+          }}>
+            ✅ Downloaded
+          </div>
+        ) : downloadingFile ? (
+          <div style={{ 
+            color: '#4CAF50', 
+            fontWeight: 'bold',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '5px'
+          }}>
+            <span className="spinner" style={{ 
+              display: 'inline-block',
+              animation: 'bounce 1s ease-in-out infinite'
+            }}>📥</span>
+          </div>
+        ) : isAwaitingApproval ? (
+          <span style={{ 
+            color: '#FF9800',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '5px'
+          }}>
+            ⏳ Waiting for approval
+          </span>
+        ) : isQueued ? (
+          <span style={{ 
+            color: '#FF9800',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '5px'
+          }}>
+            📋 Queued
+          </span>
+        ) : (
+          <button
+            className="btn download custom-button"
+            onClick={() => requestDownload(file)}
+            disabled={isDownloadingAll}
+            style={{
+              opacity: isDownloadingAll ? 0.5 : 1,
+              cursor: isDownloadingAll ? 'not-allowed' : 'pointer',
+              backgroundColor: isDownloadingAll ? '#ccc' : '#2196F3',
+              color: 'white',
+              border: 'none',
+              padding: '7px 14px',
+              borderRadius: '5px',
+              fontSize: '13px',
+              fontWeight: '500',
+              transition: 'all 0.2s ease'
+            }}
+            title={isDownloadingAll ? 'Download All in progress' : ''}
+          >
+            ⬇️ Download
+          </button>
+        )}
+      </div>
+    );
   };
 
   // Reset download all clicked state when downloads complete
@@ -61,7 +231,7 @@ const SimpleFileApp = () => {
     setDownloadAllClicked(true);
     console.log('🎯 Download All button clicked - button disabled');
     
-    downloadAll();
+    downloadAll({ asZip: zipDownloads });
     
     // Reset after a delay
     setTimeout(() => {
@@ -77,6 +247,15 @@ const SimpleFileApp = () => {
     }
   };
 
+  // Push the picked files to connected devices
+  const handleSendSelect = (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length > 0) {
+      sendFiles(files);
+    }
+    e.target.value = '';
+  };
+
   // Handle drag and drop
   const handleDrag = (e) => {
     e.preventDefault();
@@ -88,27 +267,44 @@ const SimpleFileApp = () => {
     }
   };
 
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
 
-    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-      const files = Array.from(e.dataTransfer.files);
-      shareFiles(files);
+    // Read folders through their entries so files keep their relative paths
+    const items = await readDroppedItems(e.dataTransfer);
+    if (items.length > 0) {
+      shareFiles(items);
     }
   };
 
   // Get status color
   const getStatusColor = () => {
     switch (status) {
+      case 'verified': return '#2E7D32';
       case 'connected': return '#4CAF50';
       case 'waiting': return '#FF9800';
+      case 'reconnecting': return '#FFA000';
       case 'mobile-disconnected': return '#FF5722';
       default: return '#9E9E9E';
     }
   };
 
+  // Signaling server state, shown apart from the device connection
+  const getSignalingLabel = () => {
+    switch (signalingStatus) {
+      case 'connected': return roomId ? '📶 Signaling server connected' : '📶 Signaling server ready';
+      case 'connecting': return '📶 Connecting to signaling server...';
+      case 'reconnecting': return `📶 Signaling server lost - reconnecting (attempt ${signalingAttempt})...`;
+      case 'rejoining': return `📶 Signaling server back - rejoining room ${roomId}...`;
+      case 'disconnected': return '📴 Signaling server disconnected';
+      default: return roomId
+        ? '📴 Signaling server unavailable - existing connections keep working, new devices can\'t join'
+        : '📴 Signaling server unavailable';
+    }
+  };
+
   // Get file icon
   const getFileIcon = (mimeType) => {
     if (!mimeType) return '📄';
@@ -138,21 +334,43 @@ const SimpleFileApp = () => {
 
       {/* Status */}
       <div className="status" style={{ backgroundColor: getStatusColor() }}>
-        {status === 'connected' ? '✅ Connected' :
-          status === 'waiting' ? '⏳ Waiting for peer...' :
-            status === 'mobile-disconnected' ? '📱 Mobile browser backgrounded - keep app open!' :
-              '🔌 Not connected'}
+        {status === 'verified' ? `🔐 Connected & verified${connectedPeers.length > 1 ? ` (${connectedPeers.length} devices)` : ''}` :
+          status === 'connected' ? `✅ Connected${connectedPeers.length > 1 ? ` to ${connectedPeers.length} devices` : ''}` :
+            status === 'waiting' ? '⏳ Waiting for peer...' :
+              status === 'reconnecting' ? `🔄 Reconnecting... (attempt ${reconnectAttempt}/${maxReconnectAttempts})` :
+                status === 'mobile-disconnected' ? '📱 Mobile browser backgrounded - keep app open!' :
+                  '🔌 Not connected'}
+        {connectedPeers.some(peer => peer.connectionType) && (
+          <span
+            className="link-type"
+            title={connectedPeers.map(peer =>
+              `${peer.deviceName}: ${peer.connectionType === 'relay' ? 'relayed through TURN' : 'direct'}${peer.connectTimeMs ? `, connected in ${peer.connectTimeMs}ms` : ''}`
+            ).join('\n')}
+          >
+            {connectedPeers.some(peer => peer.connectionType === 'relay') ? '🛰️ Relayed' : '🔗 Direct'}
+          </span>
+        )}
         {activeDownloads.length > 0 && (
           <span className="transfers">({activeDownloads.length} active)</span>
         )}
       </div>
 
+      <div className={`signaling-status ${signalingStatus}`}>{getSignalingLabel()}</div>
+
       {/* Connection */}
       {!roomId ? (
         <div className="connection">
+          <input
+            type="password"
+            className="passphrase-input"
+            placeholder="Room passphrase (optional)"
+            value={passphraseInput}
+            onChange={(e) => setPassphraseInput(e.target.value)}
+            autoComplete="off"
+          />
           <button
             className="btn primary"
-            onClick={createRoom}
+            onClick={() => createRoom(passphraseInput)}
           >
             🏠 Create Room
           </button>
@@ -170,7 +388,7 @@ const SimpleFileApp = () => {
             />
             <button
               className="btn secondary"
-              onClick={() => joinRoom(roomInput)}
+              onClick={() => joinRoom(roomInput, passphraseInput)}
               disabled={!roomInput}
             >
               🚪 Join
@@ -180,6 +398,17 @@ const SimpleFileApp = () => {
       ) : (
         <div className="room-info">
           <span>Room: <strong>{roomId}</strong></span>
+          {isEncrypted && (
+            <span className="encrypted-badge" title="File data is encrypted with the room passphrase">🔒 Encrypted</span>
+          )}
+          <label className="verify-toggle" title="Don't exchange file lists until the verification codes are confirmed">
+            <input
+              type="checkbox"
+              checked={requireVerification}
+              onChange={(e) => setRequireVerification(e.target.checked)}
+            />
+            Require code check
+          </label>
           <button
             className="btn-copy"
             onClick={() => navigator.clipboard.writeText(roomId)}
@@ -189,6 +418,103 @@ const SimpleFileApp = () => {
         </div>
       )}
 
+      {keyError && (
+        <div className="key-error">🔑 {keyError}</div>
+      )}
+
+      {connectionError && (
+        <div className="key-error">🧊 {connectionError}</div>
+      )}
+
+      {/* Verification codes - compare out loud to rule out a tampered signalling server */}
+      {connectedPeers.some(peer => peer.sas && !peer.verified) && (
+        <div className="verification">
+          <h3>🔐 Verify connection</h3>
+          <p className="hint">Check that the other device shows the same code.</p>
+          {connectedPeers.filter(peer => peer.sas && !peer.verified).map(peer => (
+            <div key={peer.id} className="verification-item">
+              <span className="device">{peer.deviceName}</span>
+              <span className="sas-code">{peer.sas.digits}</span>
+              <span className="sas-emoji">{peer.sas.emoji}</span>
+              <div className="verification-actions">
+                <button className="btn primary" onClick={() => confirmVerification(peer.id)}>
+                  ✅ Codes match
+                </button>
+                <button className="btn outline" onClick={() => rejectVerification(peer.id)}>
+                  ❌ Different
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Files a device pushed to us */}
+      {incomingOffers.length > 0 && (
+        <div className="approvals">
+          <h3>📨 Incoming files</h3>
+          {incomingOffers.map(offer => (
+            <div key={offer.offerId} className="approval-item">
+              <div className="approval-info">
+                <span className="device">{offer.deviceName} wants to send {offer.files.length} file{offer.files.length === 1 ? '' : 's'}</span>
+                <span className="file">
+                  {offer.files.slice(0, 3).map(file => file.relativePath || file.name).join(', ')}
+                  {offer.files.length > 3 && ` and ${offer.files.length - 3} more`} ({formatSize(offer.totalSize)})
+                </span>
+              </div>
+              <div className="approval-actions">
+                <button className="btn primary" onClick={() => acceptOffer(offer.offerId)}>
+                  ✅ Accept
+                </button>
+                <button
+                  className="btn outline"
+                  onClick={() => acceptOffer(offer.offerId, { alwaysFromDevice: true })}
+                  title="Accept this and any further files from this device"
+                >
+                  🤝 Always accept
+                </button>
+                <button className="btn outline" onClick={() => declineOffer(offer.offerId)}>
+                  🚫 Decline
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Download requests for my files waiting for accept/deny */}
+      {pendingApprovals.length > 0 && (
+        <div className="approvals">
+          <h3>✋ Download requests</h3>
+          {pendingApprovals.map(approval => (
+            <div key={approval.requestId} className="approval-item">
+              <div className="approval-info">
+                <span className="device">{approval.deviceName}</span>
+                <span className="file">
+                  {approval.relativePath || approval.fileName} ({formatSize(approval.fileSize)})
+                  {approval.isResume && ' - resume'}
+                </span>
+              </div>
+              <div className="approval-actions">
+                <button className="btn primary" onClick={() => approveRequest(approval.requestId)}>
+                  ✅ Accept
+                </button>
+                <button
+                  className="btn outline"
+                  onClick={() => approveRequest(approval.requestId, { alwaysAllowDevice: true })}
+                  title="Accept this and any further requests from this device"
+                >
+                  🤝 Always allow
+                </button>
+                <button className="btn outline" onClick={() => denyRequest(approval.requestId)}>
+                  🚫 Deny
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Active Downloads Progress */}
       {activeDownloads.length > 0 && (
         <div className="active-transfers">
@@ -198,9 +524,37 @@ const SimpleFileApp = () => {
               <div className="transfer-info">
                 <span className="name">
                   {transfer.isUploading ? '📤' : '📥'} {transfer.fileName || transfer.name}
+                  {transfer.sinkType && (
+                    <span className="sink-type" title="Where this download is being saved">
+                      {SINK_LABELS[transfer.sinkType]}
+                    </span>
+                  )}
                 </span>
                 <span className="progress">
-                  {(transfer.progress || 0).toFixed(1)}% • {formatSpeed(transfer.speed || 0)}
+                  {(transfer.progress || 0).toFixed(1)}% • {transfer.isInterrupted
+                    ? '⏸️ Waiting for peer to reconnect...'
+                    : transfer.state === 'paused'
+                      ? `⏸️ Paused${transfer.pausedBy === 'peer' ? ' by the other device' : ''}`
+                      : formatSpeed(transfer.speed || 0)}
+                </span>
+                <span className="transfer-controls">
+                  {transfer.state === 'paused' ? (
+                    <button className="btn-transfer" onClick={() => resumeTransfer(transfer.id)} title="Resume">
+                      ▶️
+                    </button>
+                  ) : (
+                    <button
+                      className="btn-transfer"
+                      onClick={() => pauseTransfer(transfer.id)}
+                      disabled={transfer.isInterrupted}
+                      title="Pause"
+                    >
+                      ⏸️
+                    </button>
+                  )}
+                  <button className="btn-transfer" onClick={() => cancelTransfer(transfer.id)} title="Cancel">
+                    ✕
+                  </button>
                 </span>
               </div>
               <div className="progress-bar">
@@ -217,8 +571,6 @@ const SimpleFileApp = () => {
       {/* Speed Control - Only show when connected */}
       {isConnected && (
         <SimpleSpeedControl
-          onSpeedChange={handleSpeedChange}
-          initialSpeed={detectedSpeed || 0.1}
           isTestingSpeed={isTestingSpeed}
           speedTestProgress={speedTestProgress}
           speedTestResults={speedTestResults}
@@ -226,6 +578,11 @@ const SimpleFileApp = () => {
         />
       )}
 
+      {/* Transfer diagnostics - Only show when connected */}
+      {isConnected && (
+        <DiagnosticsPanel formatSize={formatSize} formatSpeed={formatSpeed} />
+      )}
+
       {/* Tabs - Only show when connected */}
       {isConnected && (
         <div className="tabs-container">
@@ -255,6 +612,14 @@ const SimpleFileApp = () => {
                   <div></div> {/* Empty div to match download tab structure */}
                 </div>
                 <p className="hint">Files stay on your device until someone downloads them</p>
+                <label className="approval-toggle" title="Each download request waits for you to accept or deny it">
+                  <input
+                    type="checkbox"
+                    checked={approvalMode === 'manual'}
+                    onChange={(e) => setApprovalMode(e.target.checked ? 'manual' : 'auto')}
+                  />
+                  Ask before sending
+                </label>
 
                 {/* Drop Zone */}
                 <div
@@ -287,6 +652,17 @@ const SimpleFileApp = () => {
                       >
                         📁 Folder
                       </button>
+                      <button
+                        className="btn outline"
+                        disabled={connectedPeers.length === 0}
+                        title="Share files and push them straight to connected devices"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          sendInputRef.current?.click();
+                        }}
+                      >
+                        📨 Send to device
+                      </button>
                     </div>
                   </div>
                 </div>
@@ -306,19 +682,57 @@ const SimpleFileApp = () => {
                   onChange={handleFileSelect}
                   style={{ display: 'none' }}
                 />
+                <input
+                  ref={sendInputRef}
+                  type="file"
+                  multiple
+                  onChange={handleSendSelect}
+                  style={{ display: 'none' }}
+                />
+
+                {/* Files pushed to devices */}
+                {outgoingOffers.length > 0 && (
+                  <div className="files-list">
+                    <h4>📨 Sent ({outgoingOffers.length})</h4>
+                    {outgoingOffers.map(offer => (
+                      <div key={offer.offerId} className="file-item">
+                        <span className="icon">📨</span>
+                        <div className="details">
+                          <div className="name">{offer.fileNames.join(', ')}</div>
+                          <div className="size">{formatSize(offer.totalSize)} to {offer.deviceName}</div>
+                        </div>
+                        <span className="status">
+                          {offer.status === 'accepted' ? '✅ Accepted' : offer.status === 'declined' ? '🚫 Declined' : '⏳ Waiting'}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
 
                 {/* My Shared Files List */}
                 {mySharedFiles.length > 0 && (
                   <div className="files-list">
-                    <h4>📤 Shared Files ({mySharedFiles.length})</h4>
+                    <div className="files-list-header">
+                      <h4>📤 Shared Files ({mySharedFiles.length})</h4>
+                      <button className="btn-unshare" onClick={unshareAll} title="Stop sharing all files">
+                        Unshare all
+                      </button>
+                    </div>
                     {mySharedFiles.map((file) => (
                       <div key={file.id} className="file-item">
                         <span className="icon">{getFileIcon(file.type)}</span>
                         <div className="details">
-                          <div className="name">{file.name}</div>
+                          <div className="name">{file.relativePath || file.name}</div>
                           <div className="size">{formatSize(file.size)}</div>
                         </div>
                         <span className="status">🟢 Shared</span>
+                        <button
+                          className="btn-unshare"
+                          onClick={() => unshareFiles(file.id)}
+                          title="Stop sharing - devices can no longer download it"
+                        >
+                          ✕
+                        </button>
                       </div>
                     ))}
                   </div>
@@ -333,6 +747,41 @@ const SimpleFileApp = () => {
                   <h3>📥 Available Downloads</h3>
                   <div></div> {/* Empty div to match share tab structure */}
                 </div>
+
+                {/* Receive limits - files past them are refused before any data arrives */}
+                <div className="receive-rules">
+                  <label title="Refuse files larger than this (empty for no limit)">
+                    Max size
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="No limit"
+                      value={receiveRules.maxFileSize ? Math.round(receiveRules.maxFileSize / (1024 * 1024)) : ''}
+                      onChange={(e) => {
+                        const mb = parseFloat(e.target.value);
+                        setReceiveRules({ maxFileSize: mb > 0 ? mb * 1024 * 1024 : null });
+                      }}
+                    />
+                    MB
+                  </label>
+                  <label title="Files pushed by other devices download without asking">
+                    <input
+                      type="checkbox"
+                      checked={autoAcceptOffers}
+                      onChange={(e) => setAutoAcceptOffers(e.target.checked)}
+                    />
+                    Auto-accept sent files
+                  </label>
+                  <label title="Comma-separated types, e.g. image/*, video/mp4, .pdf (empty for any type)">
+                    Types
+                    <input
+                      type="text"
+                      placeholder="Any type"
+                      value={receiveRules.allowedTypes}
+                      onChange={(e) => setReceiveRules({ allowedTypes: e.target.value })}
+                    />
+                  </label>
+                </div>
                 
                 {/* Download Controls - Separate row */}
                 <div style={{ 
@@ -362,7 +811,7 @@ const SimpleFileApp = () => {
                         downloadAllClicked
                           ? 'Processing Download All request...'
                           : isDownloadingAll 
-                            ? `Downloading all files (${downloadQueue.length} remaining)` 
+                            ? `Downloading all files (${queuedCount} remaining)` 
                             : activeDownloads.length > 0 
                               ? 'Wait for current download to complete' 
                               : `Download all ${availableFiles.length} files`
@@ -371,10 +820,21 @@ const SimpleFileApp = () => {
                       {downloadAllClicked
                         ? '🔄 Processing...'
                         : isDownloadingAll 
-                          ? `⏳ Downloading All (${downloadQueue.length + 1}/${availableFiles.length})` 
-                          : '⬇️ Download All'}
+                          ? `⏳ Downloading All (${queuedCount + 1}/${availableFiles.length})` 
+                          : zipDownloads ? '📦 Download All as ZIP' : '⬇️ Download All'}
                     </button>
                   )}
+                  {availableFiles.length > 1 && (
+                    <label className="zip-toggle" title="Save multi-file downloads as one ZIP with a single save prompt">
+                      <input
+                        type="checkbox"
+                        checked={zipDownloads}
+                        disabled={isDownloadingAll}
+                        onChange={(e) => setZipDownloads(e.target.checked)}
+                      />
+                      📦 As ZIP
+                    </label>
+                  )}
                   <button
                     className="btn refresh"
                     onClick={refreshAvailableFiles}
@@ -396,18 +856,37 @@ const SimpleFileApp = () => {
                 </div>
 
                 <p className="hint">
-                  Files shared by your peer • One file downloads at a time
-                  {downloadQueue.length > 0 && (
+                  Files shared by connected devices • Download
+                  <select
+                    className="concurrency-select"
+                    value={maxConcurrentTransfers}
+                    onChange={(e) => setMaxConcurrentTransfers(Number(e.target.value))}
+                  >
+                    {[1, 2, 3, 4].map(count => (
+                      <option key={count} value={count}>{count}</option>
+                    ))}
+                  </select>
+                  file{maxConcurrentTransfers > 1 ? 's' : ''} at a time
+                  {queuedCount > 0 && (
                     <span style={{ color: '#FF9800', marginLeft: '10px' }}>
-                      📋 {downloadQueue.length} file{downloadQueue.length > 1 ? 's' : ''} in queue
+                      📋 {queuedCount} file{queuedCount > 1 ? 's' : ''} in queue
                     </span>
                   )}
                 </p>
 
+                <DownloadQueuePanel
+                  items={downloadQueue}
+                  onMove={moveInQueue}
+                  onSetPriority={setQueuePriority}
+                  onRemove={removeFromQueue}
+                  onRetry={retryFailed}
+                  formatSize={formatSize}
+                />
+
                 {availableFiles.length === 0 ? (
                   <div className="empty-state">
                     <div className="empty-icon">📭</div>
-                    <p>No files shared by peer yet</p>
+                    <p>No files shared by connected devices yet</p>
                     <button
                       className="btn outline"
                       onClick={refreshAvailableFiles}
@@ -416,100 +895,22 @@ const SimpleFileApp = () => {
                     </button>
                   </div>
                 ) : (
-                  <div className="files-list">
-                    {availableFiles.map((file) => {
-                      const isQueued = downloadQueue.find(f => f.id === file.id);
-                      const downloadingFile = activeDownloads.find(d => 
-                        (d.fileId === file.id || d.fileName === file.name) && d.isDownloading
-                      );
-                      const isCompleted = completedDownloads.has(file.id);
-                      
-                      return (
-                        <div 
-                          key={file.id} 
-                          className="file-item"
-                          style={{
-                            background: downloadingFile 
-                              ? `linear-gradient(90deg, #c8e6c9 ${downloadingFile.progress || 0}%, #f5f5f5 ${downloadingFile.progress || 0}%)`
-                              : isCompleted ? '#f0f8f0' : 'transparent',
-                            border: isCompleted ? '2px solid #2E7D32' : downloadingFile ? '2px solid #4CAF50' : '1px solid #e0e0e0',
-                            padding: '12px',
-                            borderRadius: '8px',
-                            marginBottom: '8px',
-                            transition: 'all 0.3s ease',
-                            opacity: isCompleted ? 0.8 : 1
-                          }}
-                        >
-                          <span className="icon">{getFileIcon(file.type)}</span>
-                          <div className="details" style={{ flex: 1 }}>
-                            <div className="name">
-                              {isCompleted && <span style={{ color: '#2E7D32', marginRight: '8px', fontWeight: 'bold' }}>✅</span>}
-                              {file.name}
-                              {isCompleted && <span style={{ color: '#2E7D32', marginLeft: '8px', fontSize: '12px' }}>(Downloaded)</span>}
-                            </div>
-                            <div className="size">{formatSize(file.size)}</div>
-                            
-                          </div>
-                          
-                          {/* Button/Status area */}
-                          {isCompleted ? (
-                            <div style={{ 
-                              color: '#2E7D32', 
-                              fontWeight: 'bold',
-                              display: 'flex',
-                              alignItems: 'center',
-                              gap: '5px'
-                            }}>
-                              ✅ Downloaded
-                            </div>
-                          ) : downloadingFile ? (
-                            <div style={{ 
-                              color: '#4CAF50', 
-                              fontWeight: 'bold',
-                              display: 'flex',
-                              alignItems: 'center',
-                              gap: '5px'
-                            }}>
-                              <span className="spinner" style={{ 
-                                display: 'inline-block',
-                                animation: 'bounce 1s ease-in-out infinite'
-                              }}>📥</span>
-                            </div>
-                          ) : isQueued ? (
-                            <span style={{ 
-                              color: '#FF9800',
-                              display: 'flex',
-                              alignItems: 'center',
-                              gap: '5px'
-                            }}>
-                              📋 Queued
-                            </span>
-                          ) : (
-                            <button
-                              className="btn download custom-button"
-                              onClick={() => requestDownload(file)}
-                              disabled={activeDownloads.length > 0 || isDownloadingAll}
-                              style={{
-                                opacity: (activeDownloads.length > 0 || isDownloadingAll) ? 0.5 : 1,
-                                cursor: (activeDownloads.length > 0 || isDownloadingAll) ? 'not-allowed' : 'pointer',
-                                backgroundColor: (activeDownloads.length > 0 || isDownloadingAll) ? '#ccc' : '#2196F3',
-                                color: 'white',
-                                border: 'none',
-                                padding: '7px 14px',
-                                borderRadius: '5px',
-                                fontSize: '13px',
-                                fontWeight: '500',
-                                transition: 'all 0.2s ease'
-                              }}
-                              title={isDownloadingAll ? 'Download All in progress' : ''}
-                            >
-                              ⬇️ Download
-                            </button>
-                          )}
-                        </div>
-                      );
-                    })}
-                  </div>
+                  filesByDevice.map((group) => (
+                    <div key={group.peerId} className="device-group">
+                      <div className="device-header">
+                        📱 {group.deviceName} ({group.files.length} file{group.files.length !== 1 ? 's' : ''})
+                      </div>
+                      <div className="files-list">
+                        <FolderTree
+                          node={buildFileTree(group.files)}
+                          renderFile={renderAvailableFile}
+                          onDownloadFolder={(files, folderPath) => downloadFolder(files, folderPath, { asZip: zipDownloads })}
+                          formatSize={formatSize}
+                          disabled={isDownloadingAll}
+                        />
+                      </div>
+                    </div>
+                  ))
                 )}
               </div>
             )}
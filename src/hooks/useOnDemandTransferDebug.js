@@ -1,10 +1,62 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import io from 'socket.io-client';
 import SimplePeer from 'simple-peer';
-import { adaptiveAgent, applyAdaptiveDelay, getAdaptiveChunkSize } from '../utils/SimpleAdaptiveAgent';
+import { adaptiveAgent, paceChunk, getAdaptiveChunkSize, CONGESTION_CONFIG } from '../utils/SimpleAdaptiveAgent';
 import { SpeedTester } from '../utils/speedTest';
+import { sha256Hex, hashChunkList } from '../utils/integrity';
+import { SINK_TYPES, chooseSinkType, createSink, createFileSystemSink, createDirectorySink, pickDirectory, supportsDirectoryAccess, OrderedChunkWriter } from '../utils/downloadSinks';
+import { sanitizeRelativePath, flattenRelativePath, pathWithinFolder } from '../utils/fileTree';
+import { deriveRoomKey, encryptChunk, decryptChunk, createKeyCheck, verifyKeyCheck, getChunkAad, sealChunkListHash, openChunkListHash, ENCRYPTION_OVERHEAD } from '../utils/payloadCrypto';
+import { getPeerShortAuthString } from '../utils/shortAuthString';
+import { PROTOCOL_VERSION, FRAME_TYPES, FRAME_OVERHEAD, encodeChunkFrame, decodeFrame, isFrame, isJsonMessage, negotiateProtocolVersion } from '../utils/frameProtocol';
+import { ZipWriter } from '../utils/zipWriter';
+import iceConfigService, { detectConnectionType } from '../services/iceConfig';
+import transferDiagnosticsService from '../services/transferDiagnostics';
+import { startConnectTimer, markSignal, recordConnected, summarizeConnectMetrics } from '../utils/connectionMetrics';
+import { DEFAULT_RECEIVE_RULES, checkReceiveRules } from '../utils/transferRules';
+import { DownloadQueue } from '../utils/downloadQueue';
+import { RETRY_POLICY, ERROR_CODES, nextRetryDelay, isRetryableError, isWaitError, getRetryDelay } from '../utils/retryPolicy';
+import { waitForDrain } from '../utils/backpressure';
 
 const SOCKET_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:3001';
+const RESUME_WINDOW_MS = 10 * 60 * 1000; // Keep interrupted downloads resumable for 10 minutes
+const MAX_RESEND_ROUNDS = 3; // Re-request missing/corrupt chunks at most this many times per download
+const DEFAULT_PEER_ID = 'peer'; // Used when the signalling server doesn't tag messages with peer IDs
+const ICE_CHECK_TIMEOUT_MS = 20000; // ICE checks that run longer than this count as failed
+const ICE_RESTART_DELAY_MS = 3000; // 'disconnected' often recovers by itself - wait this long before restarting ICE
+const MAX_RECONNECT_ATTEMPTS = 6; // ICE restart first, then rebuilding the peer with backoff
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 15000;
+const MAX_SEND_ATTEMPTS = 3; // A refused chunk send waits for the buffer to drain before each new attempt
+const TRICKLE_ICE = import.meta.env.VITE_TRICKLE_ICE !== 'false'; // Send candidates as they're found (set to 'false' to compare)
+
+// Per-transfer state: active <-> paused, and either one -> cancelled
+const TRANSFER_TRANSITIONS = {
+  active: ['paused', 'cancelled'],
+  paused: ['active', 'cancelled'],
+  cancelled: []
+};
+// Resolves on the transfer's next state change (setTransferState and stopUpload call onStateChange) or when the peer closes
+const waitForStateChange = (transfer, peer) => new Promise(resolve => {
+  const done = () => {
+    transfer.onStateChange = null;
+    peer.removeListener('close', done);
+    resolve();
+  };
+  transfer.onStateChange = done;
+  peer.once('close', done);
+});
+const DEFAULT_CONCURRENT_TRANSFERS = 2; // Files downloading at once
+const MAX_CONCURRENT_TRANSFERS = 4;
+const MAX_CONCURRENT_UPLOADS = 4; // Files we upload at once across all devices - further requests wait their turn
+// Largest chunk the data channel will carry in one message once framed and encrypted
+const getMaxChunkSize = (peer) => {
+  const maxMessageSize = peer && peer._pc && peer._pc.sctp ? peer._pc.sctp.maxMessageSize : 0;
+  return maxMessageSize > 0 && maxMessageSize !== Infinity
+    ? maxMessageSize - FRAME_OVERHEAD - ENCRYPTION_OVERHEAD
+    : Infinity;
+};
+const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
 export const useOnDemandTransfer = () => {
   const [socket, setSocket] = useState(null);
@@ -22,21 +74,82 @@ export const useOnDemandTransfer = () => {
   const [downloadedFiles, setDownloadedFiles] = useState([]); // Files I've downloaded
   const [completedDownloads, setCompletedDownloads] = useState(new Set()); // Track completed file IDs
   const [activeDownloads, setActiveDownloads] = useState([]); // Currently downloading
-  const [downloadQueue, setDownloadQueue] = useState([]); // Queue for pending downloads
+  const [downloadQueue, setDownloadQueue] = useState([]); // Waiting and failed downloads, in queue order
   const [isDownloadingAll, setIsDownloadingAll] = useState(false); // Track if download all is active
+  const [connectedPeers, setConnectedPeers] = useState([]); // [{ id, clientId, deviceName }] of connected devices
+  const [maxConcurrentTransfers, setMaxConcurrentTransfersState] = useState(DEFAULT_CONCURRENT_TRANSFERS);
+  const [isEncrypted, setIsEncrypted] = useState(false); // Room uses a passphrase (chunks are AES-GCM encrypted)
+  const [keyError, setKeyError] = useState(null); // Key-confirmation failure shown to the user
+  const [requireVerification, setRequireVerificationState] = useState(false); // Hold file lists until the user confirms the code
+  const [connectionError, setConnectionError] = useState(null); // Why a device couldn't be reached (ICE failure)
+  const [reconnectAttempt, setReconnectAttempt] = useState(0); // Current automatic reconnect attempt (0 when none)
+  const [signalingStatus, setSignalingStatus] = useState('connecting'); // Socket state, separate from peer status
+  const [signalingAttempt, setSignalingAttempt] = useState(0); // Socket.IO reconnect attempt
+  const [approvalMode, setApprovalModeState] = useState('auto'); // 'auto' uploads on request, 'manual' asks first
+  const [pendingApprovals, setPendingApprovals] = useState([]); // Download requests waiting for our OK
+  const [receiveRules, setReceiveRulesState] = useState(DEFAULT_RECEIVE_RULES); // Size/type limits for incoming files
+  const [deniedDownloads, setDeniedDownloads] = useState({}); // fileId -> why the sender (or our rules) refused it
+  const [awaitingApproval, setAwaitingApproval] = useState(new Set()); // fileIds the sender hasn't approved yet
+  const [incomingOffers, setIncomingOffers] = useState([]); // Files a device pushed to us, waiting for accept/decline
+  const [outgoingOffers, setOutgoingOffers] = useState([]); // Files we pushed and whether they were accepted
+  const [autoAcceptOffers, setAutoAcceptOffersState] = useState(false);
   
-  const peerRef = useRef(null);
+  const peersRef = useRef(new Map()); // peerId -> SimplePeer instance
+  const peerInfoRef = useRef(new Map()); // peerId -> { clientId, deviceName, protocolVersion, keyStatus, sas, verified } for that device
+  const clientIdRef = useRef(generateId('client')); // Stable ID for this device across reconnects
   const speedTesterRef = useRef(null);
+  const speedTestPeerIdRef = useRef(null); // Peer the speed tester is measuring against
   const runSpeedTestRef = useRef(null);
   const fileRefsMap = useRef(new Map()); // Map file IDs to actual File objects
   const activeTransfersRef = useRef(new Map());
-  const isProcessingQueue = useRef(false);
-  const downloadAllLock = useRef(false); // Prevent rapid downloadAll calls
-  const queueProcessingLock = useRef(false); // Prevent multiple queue processing
-  const queueProcessingStarted = useRef(false); // Track if queue processing has started
-  const downloadAllExecuted = useRef(false); // Track if downloadAll has been executed
+  const uploadRecordsRef = useRef(new Map()); // requestId -> chunk offsets/hashes of files we sent (for resends and resumes)
+  const preparedSinksRef = useRef(new Map()); // fileId -> sink opened from a user gesture (save picker)
+  const folderTargetsRef = useRef(new Map()); // fileId -> { directoryHandle, path } for folder downloads
+  const pendingRequestsRef = useRef(new Map()); // requestId -> { peerId, fileId } of download requests not started yet
+  const archiveRef = useRef(null); // ZIP being built: { zip, name, entryNames, remaining, activeFileId }
+  const maxConcurrentRef = useRef(DEFAULT_CONCURRENT_TRANSFERS); // Read by handlers with stale closures
+  const nextStreamIdRef = useRef(1); // Stream IDs for our uploads (sent in download-start)
+  const passphraseRef = useRef(''); // Room passphrase entered with create/join
+  const roomKeyRef = useRef(Promise.resolve(null)); // Resolves to the room's AES key, or null without a passphrase
+  const mySharedFilesRef = useRef([]); // Latest shared files for handlers with stale closures
+  const requireVerificationRef = useRef(false);
+  const createPeerRef = useRef(null); // Latest createPeer for retries started from peer events
+  const remoteDescribedRef = useRef(new WeakSet()); // Peers that already got the remote offer/answer (another offer means a new connection)
+  const pendingCandidatesRef = useRef(new Map()); // peerId -> trickled candidates that arrived before their offer/answer
+  const connectTimersRef = useRef(new WeakMap()); // peer -> time-to-connect measurement
+  const reconnectsRef = useRef(new Map()); // peerId -> { attempt, timer } while recovering a dropped connection
+  const iceRestartingRef = useRef(new WeakSet()); // Peers whose next offer is an ICE restart
+  const closingPeersRef = useRef(new WeakSet()); // Peers closed on purpose (left the room) - don't reconnect
+  const rejoinTokenRef = useRef(null); // Issued with room-created/room-joined; lets us back into the room after a server restart
+  const isRejoiningRef = useRef(false);
+  const peerAliasRef = useRef(new Map()); // New socket ID after a rejoin -> peer ID our connection is stored under
+  const signalTargetRef = useRef(new Map()); // Peer ID -> socket ID to send its signals to (after either side rejoined)
+  const approvalModeRef = useRef('auto');
+  const pendingApprovalsRef = useRef(new Map()); // requestId -> { request, peerId, resumeFrom } waiting for approval
+  const waitingUploadsRef = useRef([]); // [{ request, peerId, resumeFrom }] approved but waiting for an upload slot, oldest first
+  const heldRequestsRef = useRef(new Map()); // peerId -> [{ request, isResume }] that arrived before its key check or verification finished
+  const handlePeerCheckedRef = useRef(null); // Latest handlePeerChecked for verification changes made by the user
+  const settleArchiveFileRef = useRef(null); // Latest settleArchiveFile for files removed from the queue by the user
+  const approvedFilesRef = useRef(new Set()); // "clientId:fileId" approved this session (resumes don't ask again)
+  const trustedClientsRef = useRef(new Set()); // Devices whose requests are always approved this session
+  const receiveRulesRef = useRef(DEFAULT_RECEIVE_RULES);
+  const incomingOffersRef = useRef(new Map()); // offerId -> offer waiting for accept/decline
+  const autoAcceptOffersRef = useRef(false);
+  const trustedSendersRef = useRef(new Set()); // Devices whose offers are accepted without asking this session
+  const requestDownloadRef = useRef(null); // Latest requestDownload for offers accepted from peer events
+  const downloadQueueRef = useRef(null); // DownloadQueue: order, priorities, failed items, saved per room
+  if (!downloadQueueRef.current) {
+    downloadQueueRef.current = new DownloadQueue(items => {
+      // Items being downloaded show up in Active Transfers instead
+      setDownloadQueue(items.filter(item => item.status !== 'active'));
+      if (!downloadQueueRef.current.hasPending()) {
+        setIsDownloadingAll(false);
+      }
+    });
+  }
   const speedCapabilitiesExchanged = useRef(false); // Track if speed capabilities have been exchanged
   const speedTestCompleted = useRef(false); // Track if speed test has been completed
+  const speedTestResultsRef = useRef(null); // Our last speed test results (for handlers that run outside renders)
 
 
   // Initialize socket connection
@@ -47,180 +160,321 @@ export const useOnDemandTransfer = () => {
     
     newSocket.on('connect', () => {
       console.log('✅ Connected to signaling server');
+      setSignalingStatus('connected');
+      setSignalingAttempt(0);
+    });
+
+    newSocket.on('disconnect', (reason) => {
+      console.warn(`📴 Signaling server disconnected: ${reason}`);
+      setSignalingStatus('disconnected');
+      // Socket.IO only reconnects by itself when the server didn't close the socket on purpose
+      if (reason === 'io server disconnect') {
+        newSocket.connect();
+      }
+    });
+
+    newSocket.on('connect_error', (error) => {
+      console.warn('📴 Signaling server unreachable:', error.message);
+      setSignalingStatus('error');
+    });
+
+    newSocket.io.on('reconnect_attempt', (attempt) => {
+      setSignalingStatus('reconnecting');
+      setSignalingAttempt(attempt);
     });
     
     setSocket(newSocket);
+    iceConfigService.load(); // STUN/TURN servers from the backend, if it provides them
     
+    const peers = peersRef.current;
     return () => {
       newSocket.close();
-      if (peerRef.current) {
-        peerRef.current.destroy();
-      }
+      peers.forEach(peer => peer.destroy());
+      peers.clear();
     };
   }, []);
 
+  useEffect(() => {
+    mySharedFilesRef.current = mySharedFiles;
+  }, [mySharedFiles]);
+
+  const getPeer = (peerId) => peersRef.current.get(peerId);
+
+  const isPeerConnected = (peerId) => {
+    const peer = peersRef.current.get(peerId);
+    return !!(peer && peer.connected);
+  };
+
+  // Send a control message (object) or binary data to one peer
+  const sendToPeer = useCallback((peerId, message) => {
+    const peer = peersRef.current.get(peerId);
+    if (!peer || !peer.connected) return false;
+    if (message instanceof Uint8Array || message instanceof ArrayBuffer) {
+      peer.send(message);
+    } else {
+      peer.send(JSON.stringify(message));
+      transferDiagnosticsService.logControl('out', peerId, message);
+    }
+    return true;
+  }, []);
+
+  // Peer confirmed it holds the same room key (or neither side uses a passphrase),
+  // and the user compared verification codes if that is required
+  const isPeerTrusted = (peerId) => {
+    const info = peerInfoRef.current.get(peerId) || {};
+    return info.keyStatus === 'ok' && (info.verified || !requireVerificationRef.current);
+  };
+
+  const updatePeerInfo = (peerId, info) => {
+    peerInfoRef.current.set(peerId, { ...peerInfoRef.current.get(peerId), ...info });
+  };
+
+  // Send a control message to every connected peer that passed the key check
+  const broadcastToPeers = useCallback((message) => {
+    peersRef.current.forEach((peer, peerId) => {
+      if (isPeerTrusted(peerId)) {
+        sendToPeer(peerId, message);
+      }
+    });
+  }, [sendToPeer]);
+
+  const updateConnectedPeers = () => {
+    const peers = [];
+    peersRef.current.forEach((peer, peerId) => {
+      if (peer.connected) {
+        const info = peerInfoRef.current.get(peerId) || {};
+        peers.push({
+          id: peerId,
+          clientId: info.clientId,
+          deviceName: info.deviceName || 'Peer device',
+          keyStatus: info.keyStatus || 'pending',
+          sas: info.sas || null, // Verification code { digits, emoji }
+          verified: !!info.verified,
+          connectionType: info.connectionType || null, // 'direct' or 'relay'
+          connectTimeMs: info.connectTimeMs || null // Time from creating the connection to 'connect'
+        });
+      }
+    });
+    setConnectedPeers(peers);
+    setIsConnected(peers.length > 0);
+    if (reconnectsRef.current.size > 0) {
+      setStatus('reconnecting');
+    } else if (peers.length > 0) {
+      // 'verified' once the user confirmed the code for every connected device
+      setStatus(peers.every(p => p.verified) ? 'verified' : 'connected');
+    }
+    return peers;
+  };
+
+  // Downloads in progress plus requests not started yet - interrupted downloads waiting for their
+  // sender to come back don't hold a slot (a resumed one may briefly go over the limit)
+  const getUsedDownloadSlots = () => {
+    let downloading = 0;
+    activeTransfersRef.current.forEach(transfer => {
+      if (transfer.isDownloading && !transfer.isInterrupted) downloading++;
+    });
+    return downloading + pendingRequestsRef.current.size;
+  };
+
+  const getActiveUploadCount = () => {
+    let uploading = 0;
+    activeTransfersRef.current.forEach(transfer => {
+      if (transfer.isUploading) uploading++;
+    });
+    return uploading;
+  };
+
   // Handle incoming messages with better debugging
-  const handlePeerMessage = useCallback((data) => {
+  const handlePeerMessage = useCallback((data, peerId) => {
     try {
+      const peer = peersRef.current.get(peerId);
+
       if (typeof data === 'string') {
         // String data - JSON control message
         const message = JSON.parse(data);
         console.log('📨 Received control message:', message.type, message);
 
         // Route to speed tester if it's a speed test message
-        if (speedTesterRef.current && message.type && message.type.startsWith('speed-test-')) {
+        if (speedTesterRef.current && speedTestPeerIdRef.current === peerId && message.type && message.type.startsWith('speed-test-')) {
           speedTesterRef.current.handleMessage(message);
         }
 
-        handleControlMessage(message);
+        handleControlMessage(message, peerId);
       } else if (data instanceof ArrayBuffer || data instanceof Uint8Array) {
-        // Pass to speed tester for binary data handling during tests
-        if (speedTesterRef.current) {
-          speedTesterRef.current.handleIncomingData(data);
-        }
-
-        // Pass to static handler for upload test tracking
-        if (peerRef.current) {
-          SpeedTester.handleUploadTestData(peerRef.current, data);
-        }
-
-        // Try to decode as string first to check if it's JSON
-        try {
-          const decoder = new TextDecoder();
-          const text = decoder.decode(data);
-          const message = JSON.parse(text);
+        // The first byte tells file frames (0xF5), JSON control messages ('{') and speed test data (0) apart
+        if (isFrame(data)) {
+          // File chunks keep flowing during a speed test and don't count towards its result
+          const frame = decodeFrame(data);
+          if (frame && frame.type === FRAME_TYPES.CHUNK) {
+            handleFileChunk(frame, peerId);
+          }
+        } else if (isJsonMessage(data)) {
+          const message = JSON.parse(new TextDecoder().decode(data));
           console.log('📨 Received control message (decoded from binary):', message.type, message);
 
           // Route to speed tester instance if it's a speed test message
-          if (speedTesterRef.current && message.type && message.type.startsWith('speed-test-')) {
+          if (speedTesterRef.current && speedTestPeerIdRef.current === peerId && message.type && message.type.startsWith('speed-test-')) {
             speedTesterRef.current.handleMessage(message);
           }
 
-          handleControlMessage(message);
-        } catch (decodeError) {
-          // Not JSON, treat as file chunk (if not consumed by speed test)
-          if (!speedTesterRef.current || !speedTesterRef.current.downloadTestActive) {
-            console.log('📦 Received binary file chunk:', data.byteLength || data.length, 'bytes');
-            handleFileChunk(data);
+          handleControlMessage(message, peerId);
+        } else {
+          // Pass to speed tester for binary data handling during tests
+          if (speedTesterRef.current && speedTestPeerIdRef.current === peerId) {
+            speedTesterRef.current.handleIncomingData(data);
+          }
+
+          // Pass to static handler for upload test tracking
+          if (peer) {
+            SpeedTester.handleUploadTestData(peer, data);
           }
         }
       } else {
-        // Other binary data types
-        console.log('📦 Received binary chunk:', data.byteLength || data.length, 'bytes');
-        handleFileChunk(data);
+        console.warn('⚠️ Ignoring message of unknown type:', typeof data);
       }
     } catch (error) {
       console.error('❌ Error handling peer message:', error);
     }
   }, []);
 
-  const handleControlMessage = (message) => {
+  const handleControlMessage = (message, peerId) => {
+    transferDiagnosticsService.logControl('in', peerId, message);
+
     // First, check if this is a speed test message and route to static handler
     if (message.type && message.type.startsWith('speed-test-')) {
       console.log('🎯 Routing speed test message to static handler:', message.type);
-      if (peerRef.current) {
-        SpeedTester.handleSpeedTestMessage(message, peerRef.current);
+      const peer = getPeer(peerId);
+      if (peer) {
+        SpeedTester.handleSpeedTestMessage(message, peer);
       }
       // Continue processing for instance-level handlers
     }
 
     switch (message.type) {
-      case 'speed-capabilities':
-        // Handle speed capabilities exchange
+      case 'speed-capabilities': {
+        // The peer's test results - its download from us is our upload measured on its side
         console.log('📊 Received peer speed capabilities:', message);
-        console.log(`📊 Peer Upload: ${message.uploadSpeed} MBps, Peer Download: ${message.downloadSpeed} MBps`);
-
-        // Auto-set my upload speed based on peer's download speed
-        // If peer measured a download speed from me, that's what I should upload at
-        let myUpload = adaptiveAgent.myUploadSpeed || adaptiveAgent.uploadSpeedMBps || 0.1;
-
-        // If peer has a download speed measurement, use it as my upload speed
-        // But ignore the default value of 100 (which means unlimited/not measured)
-        if (message.downloadSpeed && message.downloadSpeed > 0 && message.downloadSpeed < 100) {
-          console.log(`🎯 Auto-setting my upload speed to ${message.downloadSpeed.toFixed(2)} MBps (peer's measured download speed)`);
-          myUpload = message.downloadSpeed;
-
-          // Update the slider value
-          setDetectedSpeed(message.downloadSpeed);
-          adaptiveAgent.setUploadSpeed(message.downloadSpeed);
-          adaptiveAgent.myUploadSpeed = message.downloadSpeed;
-        } else if (message.downloadSpeed >= 100) {
-          console.log(`⏭️ Ignoring peer's download speed (${message.downloadSpeed} MBps) - likely default value, not measured`);
+
+        // The peer tested both directions - its upload is our download and the other way round
+        if (!speedTestResultsRef.current && peerId === speedTestPeerIdRef.current && (message.uploadSpeed > 0 || message.downloadSpeed > 0)) {
+          const mirrored = {
+            upload: message.downloadSpeed || 0,
+            uploadRange: message.downloadRange || null,
+            download: message.uploadSpeed || 0,
+            downloadRange: message.uploadRange || null,
+            rtt: message.rtt,
+            rttRange: null,
+            jitter: message.jitter,
+            mirrored: true,
+            timestamp: Date.now()
+          };
+          speedTestResultsRef.current = mirrored;
+          speedTestCompleted.current = true;
+          setSpeedTestResults(mirrored);
         }
 
-        const theirDownload = message.downloadSpeed;
-        const uatd = Math.min(myUpload, theirDownload);
-
-        console.log(`📊 Calculating UATD:`);
-        console.log(`   My Upload: ${myUpload.toFixed(2)} MBps`);
-        console.log(`   Their Download: ${theirDownload.toFixed(2)} MBps`);
-        console.log(`   UATD = min(${myUpload.toFixed(2)}, ${theirDownload.toFixed(2)}) = ${uatd.toFixed(2)} MBps`);
-
-        // Update results with recalculated UATD
-        if (speedTestResults) {
-          setSpeedTestResults({
-            ...speedTestResults,
-            uatd: uatd,
-            peerUpload: message.uploadSpeed,
-            peerDownload: message.downloadSpeed
-          });
+        const myUpload = (speedTestResultsRef.current && speedTestResultsRef.current.upload) || 0;
+        const myDownload = (speedTestResultsRef.current && speedTestResultsRef.current.download) || 0;
+        const theirDownload = message.downloadSpeed || 0;
+
+        // UATD (Upload Adjusted To Device) - the lower of both measurements of our upload; 0 means not measured
+        const measured = [myUpload, theirDownload].filter(speed => speed > 0);
+        const uatd = measured.length > 0 ? Math.min(...measured) : null;
+        if (uatd) {
+          console.log(`📊 UATD = min(my upload ${myUpload.toFixed(2)}, their download ${theirDownload.toFixed(2)}) = ${uatd.toFixed(2)} MBps`);
+          setDetectedSpeed(uatd);
         }
 
-        adaptiveAgent.setSpeedCapabilities(
-          myUpload, // Our upload
-          adaptiveAgent.myDownloadSpeed || 100, // Our download
-          message.uploadSpeed, // Remote upload
-          message.downloadSpeed // Remote download
-        );
+        setSpeedTestResults(prev => prev && {
+          ...prev,
+          uatd: uatd || prev.uatd,
+          peerUpload: message.uploadSpeed,
+          peerDownload: message.downloadSpeed,
+          peerRtt: message.rtt
+        });
+
+        adaptiveAgent.setSpeedCapabilities(myUpload, myDownload, message.uploadSpeed || 0, theirDownload);
 
         // Send our capabilities back if not already sent
         if (!speedCapabilitiesExchanged.current && speedTestCompleted.current) {
           speedCapabilitiesExchanged.current = true;
-          const localCapabilities = {
-            type: 'speed-capabilities',
-            uploadSpeed: adaptiveAgent.myUploadSpeed || adaptiveAgent.uploadSpeedMBps,
-            downloadSpeed: adaptiveAgent.myDownloadSpeed || 100,
-            deviceType: navigator.userAgent
-          };
-          peerRef.current.send(JSON.stringify(localCapabilities));
+          const localCapabilities = getSpeedCapabilities();
+          sendToPeer(peerId, localCapabilities);
           console.log('📤 Sent my speed capabilities to peer:', localCapabilities);
         }
         break;
+      }
       case 'adaptive-feedback':
-        // Handle adaptive rate control feedback
-        adaptiveAgent.processFeedback(message);
-        console.log('📊 Processed adaptive feedback:', adaptiveAgent.getStats());
+        // Receiver progress drives the upload's bandwidth and RTT estimate
+        adaptiveAgent.processFeedback(peerId, message);
+        break;
+      case 'peer-info':
+        handlePeerInfo(message, peerId);
+        break;
+      case 'key-check':
+        handleKeyCheck(message, peerId);
         break;
       case 'file-metadata':
         console.log('📋 Processing file metadata:', message);
-        handleFileMetadata(message);
+        handleFileMetadata(message, peerId);
         break;
       case 'download-request':
-        handleDownloadRequest(message);
+        handleDownloadRequest(message, peerId);
         break;
-      case 'download-start':
-        handleDownloadStart(message);
+      case 'download-resume':
+        handleDownloadResume(message, peerId);
         break;
-      case 'file-chunk-header':
-        handleChunkHeader(message);
+      case 'download-start':
+        handleDownloadStart(message, peerId);
         break;
       case 'download-complete':
         handleDownloadComplete(message);
         break;
+      case 'chunk-resend-request':
+        handleChunkResendRequest(message, peerId);
+        break;
       case 'download-error':
         handleDownloadError(message);
         break;
+      case 'download-pending':
+        console.log(`✋ Waiting for the sender to approve ${message.fileId}`);
+        setAwaitingApproval(prev => new Set([...prev, message.fileId]));
+        break;
+      case 'download-queued':
+        // The sender's upload slots are all taken - it starts ours when one frees up
+        console.log(`⏳ ${message.fileId} is queued on the sender until an upload slot frees up`);
+        break;
+      case 'download-denied':
+        handleDownloadDenied(message, peerId);
+        break;
+      case 'transfer-offer':
+        handleTransferOffer(message, peerId);
+        break;
+      case 'transfer-offer-accepted':
+      case 'transfer-offer-declined':
+        handleOfferReply(message);
+        break;
+      case 'transfer-pause':
+      case 'transfer-resume':
+        handleTransferPause(message, peerId);
+        break;
+      case 'transfer-cancel':
+        handleTransferCancel(message, peerId);
+        break;
+      case 'file-revoked':
+        handleFileRevoked(message, peerId);
+        break;
       case 'files-list-request':
         console.log('📋 Peer requested file list, sending my shared files...', mySharedFiles.length, 'files');
-        sendMyFilesList();
+        sendMyFilesList(peerId);
         break;
       case 'sync-request':
         console.log('🔄 Peer requested sync, exchanging file lists...');
-        sendMyFilesList();
+        sendMyFilesList(peerId);
         break;
       case 'ping':
         console.log('🏓 Received ping, sending pong');
-        sendPong();
+        sendPong(peerId);
         break;
       case 'pong':
         console.log('🏓 Received pong');
@@ -228,31 +482,98 @@ export const useOnDemandTransfer = () => {
       case 'keepalive':
         console.log(`💓 Received keepalive for transfer ${message.transferId} at chunk ${message.chunkIndex}`);
         // Send keepalive response
-        if (peerRef.current && peerRef.current.connected) {
-          peerRef.current.send(JSON.stringify({
-            type: 'keepalive-ack',
-            transferId: message.transferId
-          }));
-        }
+        sendToPeer(peerId, {
+          type: 'keepalive-ack',
+          transferId: message.transferId,
+          sentAt: message.sentAt // Lets the sender time the round trip
+        });
         break;
       case 'keepalive-ack':
         console.log(`💓 Keepalive acknowledged for transfer ${message.transferId}`);
+        if (message.sentAt) {
+          const rttMs = Date.now() - message.sentAt;
+          transferDiagnosticsService.logEvent(message.transferId, 'keepalive', `round trip ${rttMs}ms`, { rttMs });
+        }
         break;
     }
   };
 
+  // Handle device info announced by a peer right after connecting
+  const handlePeerInfo = (message, peerId) => {
+    const protocolVersion = negotiateProtocolVersion(message.protocolVersion);
+    console.log(`🪪 Peer ${peerId} is ${message.deviceName} (${message.clientId}), protocol v${message.protocolVersion || 1}`);
+    if (!protocolVersion) {
+      console.warn(`⚠️ ${message.deviceName} uses an older transfer protocol (v${message.protocolVersion || 1}) - files can't be exchanged until it updates`);
+    }
+    updatePeerInfo(peerId, { clientId: message.clientId, deviceName: message.deviceName, protocolVersion });
+    updateConnectedPeers();
+
+    // Re-tag files we already know from this device
+    setAvailableFiles(prev => prev.map(f => f.peerId === peerId ? { ...f, deviceName: message.deviceName } : f));
+
+    // Same device reconnected - continue downloads it was sending us once it's trusted
+    handlePeerChecked(peerId);
+  };
+
+  // Prove we hold the room key (or announce that we don't use one)
+  const sendKeyCheck = async (peerId) => {
+    const key = await roomKeyRef.current;
+    sendToPeer(peerId, {
+      type: 'key-check',
+      encrypted: !!key,
+      token: key ? await createKeyCheck(key) : null
+    });
+  };
+
+  // Confirm the peer derived the same room key before exchanging any files
+  const handleKeyCheck = async (message, peerId) => {
+    const key = await roomKeyRef.current;
+    const deviceName = (peerInfoRef.current.get(peerId) || {}).deviceName || 'Peer device';
+
+    let error = null;
+    if (key && !message.encrypted) {
+      error = `${deviceName} joined without the room passphrase`;
+    } else if (!key && message.encrypted) {
+      error = `${deviceName} uses a room passphrase - rejoin with the same passphrase`;
+    } else if (key && !(await verifyKeyCheck(key, message.token))) {
+      error = `Key mismatch with ${deviceName} - the room passphrases differ`;
+    }
+
+    updatePeerInfo(peerId, { keyStatus: error ? 'mismatch' : 'ok' });
+    updateConnectedPeers();
+    handlePeerChecked(peerId); // Refused on a mismatch, continued or held for verification otherwise
+
+    if (error) {
+      console.error(`🔑 ${error}`);
+      setKeyError(error);
+      setAvailableFiles(prev => prev.filter(f => f.peerId !== peerId));
+      return;
+    }
+
+    console.log(`🔑 Key confirmed with ${deviceName}${key ? ' (encrypted)' : ' (no passphrase)'}`);
+    setKeyError(null);
+    sendMyFilesList(peerId);
+  };
+
   // Handle file metadata from peer (they're sharing a file)
-  const handleFileMetadata = (metadata) => {
+  const handleFileMetadata = (metadata, peerId) => {
+    if (!isPeerTrusted(peerId)) {
+      console.warn(`🔑 Ignoring file metadata from ${peerId} - key or verification code not confirmed`);
+      return;
+    }
     console.log(`📋 Peer is sharing: ${metadata.name} (${formatSize(metadata.size)})`);
     
+    const info = peerInfoRef.current.get(peerId) || {};
     const fileInfo = {
       id: metadata.fileId,
       name: metadata.name,
       size: metadata.size,
       type: metadata.mimeType,
+      relativePath: sanitizeRelativePath(metadata.relativePath), // Folder structure ('' for loose files)
       timestamp: metadata.timestamp,
       isAvailable: true,
-      peerId: metadata.peerId || 'peer'
+      peerId: peerId, // Owning peer - download requests are routed here
+      deviceName: info.deviceName || 'Peer device'
     };
 
     setAvailableFiles(prev => {
@@ -265,76 +586,253 @@ export const useOnDemandTransfer = () => {
         return [...prev, fileInfo];
       }
     });
+
+    // A queued file is listed again (reconnect or page reload) - it can start now
+    if (downloadQueueRef.current.relink(fileInfo)) {
+      setTimeout(() => processDownloadQueue(), 300);
+    }
   };
 
-  // Send ping to test connection
-  const sendPing = () => {
-    if (peerRef.current && peerRef.current.connected) {
-      console.log('🏓 Sending ping');
-      peerRef.current.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
+  // Send ping to test connection (all peers unless one is given)
+  const sendPing = useCallback((peerId = null) => {
+    console.log('🏓 Sending ping');
+    const ping = { type: 'ping', timestamp: Date.now() };
+    if (peerId) {
+      sendToPeer(peerId, ping);
+    } else {
+      broadcastToPeers(ping);
     }
+  }, [sendToPeer, broadcastToPeers]);
+
+  const sendPong = (peerId) => {
+    sendToPeer(peerId, { type: 'pong', timestamp: Date.now() });
   };
 
-  const sendPong = () => {
-    if (peerRef.current && peerRef.current.connected) {
-      peerRef.current.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+  // Refuse to send file data to a peer that can't read our chunk frames or failed the key check.
+  // Requests that beat the peer's device info, key check or verification are held until those finish.
+  const rejectIncompatiblePeer = (request, peerId, isResume = false) => {
+    const info = peerInfoRef.current.get(peerId) || {};
+    let error = null;
+    let code = null;
+    if (info.protocolVersion === null) {
+      error = `Incompatible transfer protocol - both devices need protocol v${PROTOCOL_VERSION}`;
+      code = ERROR_CODES.INCOMPATIBLE;
+    } else if (info.keyStatus === 'mismatch') {
+      error = 'Key mismatch - the room passphrases differ';
+      code = ERROR_CODES.KEY_MISMATCH;
+    } else if (!isPeerTrusted(peerId) || info.protocolVersion === undefined) {
+      console.log(`⏳ Holding ${request.fileName} until ${info.deviceName || peerId} is verified`);
+      const held = heldRequestsRef.current.get(peerId) || [];
+      heldRequestsRef.current.set(peerId, [...held.filter(h => h.request.requestId !== request.requestId), { request, isResume }]);
+      return true;
     }
+    if (!error) return false;
+
+    console.log(`🚫 Upload rejected: ${request.fileName} - ${error}`);
+    sendToPeer(peerId, {
+      type: 'download-error',
+      requestId: request.requestId,
+      error: error,
+      code: code
+    });
+    return true;
   };
 
-  // Handle download request from peer
-  const handleDownloadRequest = async (request) => {
-    console.log(`📤 Peer requested download: ${request.fileName} (ID: ${request.fileId})`);
-    
-    // Check if there's already an active upload (this device uploading to peer)
-    const hasActiveUpload = Array.from(activeTransfersRef.current.values()).some(transfer => transfer.isUploading);
-    if (hasActiveUpload) {
-      console.log(`🚫 Upload rejected: ${request.fileName} - already uploading another file`);
-      if (peerRef.current && peerRef.current.connected) {
-        peerRef.current.send(JSON.stringify({
+  // Same device and file across reconnects (peer IDs change, client IDs don't)
+  const getApprovalKey = (peerId, fileId) => `${(peerInfoRef.current.get(peerId) || {}).clientId || peerId}:${fileId}`;
+
+  const needsApproval = (peerId, fileId) => {
+    if (approvalModeRef.current !== 'manual') return false;
+    const clientId = (peerInfoRef.current.get(peerId) || {}).clientId;
+    return !trustedClientsRef.current.has(clientId) && !approvedFilesRef.current.has(getApprovalKey(peerId, fileId));
+  };
+
+  // Hold a request until the user accepts or denies it; the requester shows it as waiting
+  const queueForApproval = (request, peerId, resumeFrom = null) => {
+    const deviceName = (peerInfoRef.current.get(peerId) || {}).deviceName || 'Peer device';
+    console.log(`✋ ${deviceName} asked for ${request.fileName} - waiting for approval`);
+    pendingApprovalsRef.current.set(request.requestId, { request, peerId, resumeFrom });
+    setPendingApprovals(prev => [...prev.filter(a => a.requestId !== request.requestId), {
+      requestId: request.requestId,
+      peerId,
+      deviceName,
+      fileId: request.fileId,
+      fileName: request.fileName,
+      fileSize: request.fileSize,
+      relativePath: request.relativePath || '',
+      isResume: !!resumeFrom,
+      receivedAt: Date.now()
+    }]);
+    sendToPeer(peerId, { type: 'download-pending', requestId: request.requestId, fileId: request.fileId });
+  };
+
+  const removePendingApproval = (requestId) => {
+    const pending = pendingApprovalsRef.current.get(requestId);
+    pendingApprovalsRef.current.delete(requestId);
+    setPendingApprovals(prev => prev.filter(a => a.requestId !== requestId));
+    return pending;
+  };
+
+  // Upload an approved request, or hold it until one of our upload slots frees up
+  const startApprovedUpload = async (fileRef, request, peerId, resumeFrom = null) => {
+    approvedFilesRef.current.add(getApprovalKey(peerId, request.fileId));
+
+    // Limit how many files we upload at once (across all peers)
+    const activeUploads = getActiveUploadCount();
+    if (activeUploads >= MAX_CONCURRENT_UPLOADS) {
+      console.log(`⏳ Upload queued: ${request.fileName} - already uploading ${activeUploads} file(s)`);
+      waitingUploadsRef.current = [
+        ...waitingUploadsRef.current.filter(waiting => waiting.request.requestId !== request.requestId),
+        { request, peerId, resumeFrom }
+      ];
+      sendToPeer(peerId, { type: 'download-queued', requestId: request.requestId, fileId: request.fileId });
+      return;
+    }
+
+    await startFileUpload(fileRef, request, peerId, resumeFrom);
+  };
+
+  // An upload ended - start the requests that waited longest for its slot
+  const startWaitingUploads = () => {
+    while (waitingUploadsRef.current.length > 0 && getActiveUploadCount() < MAX_CONCURRENT_UPLOADS) {
+      const [next, ...rest] = waitingUploadsRef.current;
+      waitingUploadsRef.current = rest;
+      if (!isPeerConnected(next.peerId)) continue;
+
+      const fileRef = fileRefsMap.current.get(next.request.fileId);
+      if (!fileRef) {
+        sendToPeer(next.peerId, {
           type: 'download-error',
-          requestId: request.requestId,
-          error: 'Server busy - another file is currently being uploaded'
-        }));
+          requestId: next.request.requestId,
+          error: 'File not found or no longer available',
+          code: ERROR_CODES.FILE_UNAVAILABLE
+        });
+        continue;
       }
-      return;
+      console.log(`▶️ Starting queued upload: ${next.request.fileName}`);
+      startFileUpload(fileRef, next.request, next.peerId, next.resumeFrom);
     }
+  };
+
+  // Forget waiting uploads that can't start any more (their device left, or the receiver cancelled)
+  const dropWaitingUploads = (matches) => {
+    waitingUploadsRef.current = waitingUploadsRef.current.filter(waiting => !matches(waiting));
+  };
+
+  // Handle download request from peer
+  const handleDownloadRequest = async (request, peerId) => {
+    console.log(`📤 Peer requested download: ${request.fileName} (ID: ${request.fileId})`);
+    if (rejectIncompatiblePeer(request, peerId)) return;
     
     const fileRef = fileRefsMap.current.get(request.fileId);
     if (!fileRef) {
       console.error(`❌ File not found: ${request.fileId}`);
       console.log('Available files in map:', Array.from(fileRefsMap.current.keys()));
       // Send error
-      if (peerRef.current && peerRef.current.connected) {
-        peerRef.current.send(JSON.stringify({
-          type: 'download-error',
-          requestId: request.requestId,
-          error: 'File not found or no longer available'
-        }));
-      }
+      sendToPeer(peerId, {
+        type: 'download-error',
+        requestId: request.requestId,
+        error: 'File not found or no longer available',
+        code: ERROR_CODES.FILE_UNAVAILABLE
+      });
+      return;
+    }
+
+    if (needsApproval(peerId, request.fileId)) {
+      queueForApproval(request, peerId);
       return;
     }
 
     // Start sending the file
-    await startFileUpload(fileRef, request);
+    await startApprovedUpload(fileRef, request, peerId);
+  };
+
+  // The peer's device info, key check or verification changed - answer the requests it sent before
+  const releaseHeldRequests = (peerId) => {
+    const held = heldRequestsRef.current.get(peerId);
+    if (!held) return;
+    heldRequestsRef.current.delete(peerId);
+    held.forEach(({ request, isResume }) => {
+      if (isResume) {
+        handleDownloadResume(request, peerId);
+      } else {
+        handleDownloadRequest(request, peerId);
+      }
+    });
+  };
+
+  // The peer's device info, key check or verification changed - continue what waited for it
+  const handlePeerChecked = (peerId) => {
+    resumeInterruptedDownloads(peerId);
+    releaseHeldRequests(peerId);
   };
+  handlePeerCheckedRef.current = handlePeerChecked;
+
+  // Handle resume request from peer (continue an interrupted download)
+  const handleDownloadResume = async (request, peerId) => {
+    console.log(`⏯️ Peer asked to resume: ${request.fileName} from chunk ${request.startChunk} (offset ${formatSize(request.offset)})`);
+    if (rejectIncompatiblePeer(request, peerId, true)) return;
 
-  // Start uploading file to peer
-  const startFileUpload = async (file, request) => {
+    const fileRef = fileRefsMap.current.get(request.fileId);
+    if (!fileRef || request.offset > fileRef.size) {
+      console.error(`❌ Cannot resume, file not found: ${request.fileId}`);
+      sendToPeer(peerId, {
+        type: 'download-error',
+        requestId: request.requestId,
+        error: 'File not found or no longer available',
+        code: ERROR_CODES.FILE_UNAVAILABLE
+      });
+      return;
+    }
+
+    const resumeFrom = {
+      startChunk: request.startChunk,
+      offset: request.offset
+    };
+    if (needsApproval(peerId, request.fileId)) {
+      queueForApproval(request, peerId, resumeFrom);
+      return;
+    }
+    await startApprovedUpload(fileRef, request, peerId, resumeFrom);
+  };
+
+  // Start uploading file to peer (resumeFrom = { startChunk, offset } continues an interrupted transfer)
+  const startFileUpload = async (file, request, peerId, resumeFrom = null) => {
     const transferId = request.requestId;
+    const peer = getPeer(peerId);
+    const startChunk = resumeFrom ? resumeFrom.startChunk : 0;
+    const startOffset = resumeFrom ? resumeFrom.offset : 0;
+    const streamId = nextStreamIdRef.current++;
     
-    // Reset adaptive agent for new transfer
-    adaptiveAgent.resetForNewTransfer();
+    // Pace this upload together with any others going to the same device
+    adaptiveAgent.startFlow(transferId, peerId, startOffset);
+
+    // Chunk offsets and hashes are kept per request so resumes and resends can rebuild the chunk-list digest
+    let record = uploadRecordsRef.current.get(transferId);
+    if (!record || record.fileId !== request.fileId) {
+      record = { fileId: request.fileId, file, peerId, chunks: [], pendingResends: [], isSending: false };
+      uploadRecordsRef.current.set(transferId, record);
+    }
+    clearTimeout(record.expiryTimeout);
+    record.peerId = peerId; // A resume may come from the same device under a new peer ID
+    record.streamId = streamId;
+    record.chunks.length = startChunk;
+    record.isSending = true;
     
-    // Get initial chunk size from adaptive agent
-    const initialChunkSize = getAdaptiveChunkSize(131072);
-    // Calculate total chunks based on initial chunk size
-    const totalChunks = Math.ceil(file.size / initialChunkSize);
+    // Get initial chunk size from adaptive agent - it changes with the measured throughput as the upload runs
+    const initialChunkSize = Math.min(getAdaptiveChunkSize(131072), getMaxChunkSize(peer));
+    // Estimate only: the last chunk frame carries the real end (chunks before startChunk are already on the receiver)
+    const totalChunks = startChunk + Math.ceil((file.size - startOffset) / initialChunkSize);
 
-    console.log(`🚀 Starting upload: ${file.name} (${formatSize(file.size)}) - Two-phase strategy`);
+    if (resumeFrom) {
+      console.log(`⏯️ Resuming upload: ${file.name} from chunk ${startChunk} (${formatSize(startOffset)} already received)`);
+    } else {
+      console.log(`🚀 Starting upload: ${file.name} (${formatSize(file.size)}) - Two-phase strategy`);
+    }
 
     try {
       // Send download start confirmation
-      peerRef.current.send(JSON.stringify({
+      peer.send(JSON.stringify({
         type: 'download-start',
         requestId: transferId,
         fileId: request.fileId,
@@ -342,7 +840,11 @@ export const useOnDemandTransfer = () => {
         fileSize: file.size,
         mimeType: file.type,
         totalChunks: totalChunks,
-        chunkSize: initialChunkSize
+        chunkSize: initialChunkSize,
+        isResume: !!resumeFrom,
+        startChunk: startChunk,
+        streamId: streamId,
+        relativePath: request.relativePath || ''
       }));
 
       // Starting upload
@@ -350,111 +852,99 @@ export const useOnDemandTransfer = () => {
       // Track upload progress
       const uploadProgress = {
         id: transferId,
+        peerId: peerId,
         fileName: file.name,
         fileSize: file.size,
+        fileId: request.fileId,
         isUploading: true,
-        progress: 0,
+        state: 'active',
+        pausedBy: null,
+        pausedMs: 0, // Time spent paused, left out of the speed
+        progress: (startOffset / file.size) * 100,
         speed: 0,
         startTime: Date.now(),
-        bytesTransferred: 0
+        bytesTransferred: startOffset
       };
 
+      activeTransfersRef.current.set(transferId, uploadProgress);
       setActiveDownloads(prev => [...prev, uploadProgress]);
+      transferDiagnosticsService.startTransfer(transferId, {
+        direction: 'upload',
+        fileName: file.name,
+        fileSize: file.size,
+        peerId,
+        resumed: !!resumeFrom
+      });
 
 
       // Stream file chunks
-      let offset = 0;
-      for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+      let offset = startOffset;
+      let chunkIndex = startChunk;
+      let lastChunkSize = initialChunkSize;
+      while (offset < file.size) {
+        // Hold here while either side has the transfer paused
+        while (uploadProgress.state === 'paused' && peer && peer.connected) {
+          await waitForStateChange(uploadProgress, peer);
+        }
+
         // Check if peer is still connected
-        if (!peerRef.current || !peerRef.current.connected) {
+        if (!peer || !peer.connected) {
           throw new Error('Peer disconnected during upload');
         }
+        // Cancelled by either side, refused by the receiver, or unshared
+        if (uploadProgress.stopReason) {
+          throw new Error(uploadProgress.stopReason);
+        }
         
         // Get current chunk size dynamically from adaptive agent
-        const currentChunkSize = getAdaptiveChunkSize(initialChunkSize);
-        if (currentChunkSize === 0) {
-          console.log(`⏸️ Upload paused at chunk ${chunkIndex} - waiting for phase transition...`);
-          await delay(100); // Wait 100ms and check again
-          chunkIndex--; // Retry this chunk
-          continue;
+        const currentChunkSize = Math.min(getAdaptiveChunkSize(initialChunkSize), getMaxChunkSize(peer));
+        if (currentChunkSize !== lastChunkSize) {
+          console.log(`📦 ${file.name}: chunk size ${formatSize(lastChunkSize)} → ${formatSize(currentChunkSize)} at chunk ${chunkIndex}`);
+          transferDiagnosticsService.logEvent(transferId, 'chunk-size', `${formatSize(lastChunkSize)} → ${formatSize(currentChunkSize)} at chunk ${chunkIndex}`);
+          lastChunkSize = currentChunkSize;
         }
-        
+
         // Ensure we don't read beyond file size
         const remainingBytes = file.size - offset;
         const actualChunkSize = Math.min(currentChunkSize, remainingBytes);
-
-        // Wait for buffer to clear with timeout and connection check
-        try {
-          await waitForBuffer(peerRef.current);
-        } catch (bufferError) {
-          console.warn('⚠️ Buffer timeout, checking connection...');
-
-          // Check if connection is still alive
-          if (!peerRef.current || !peerRef.current.connected) {
-            throw new Error('Connection lost during buffer wait');
-          }
-
-          await delay(500); // Give extra time for connection to recover (increased from 200ms)
-        }
+        const isLast = actualChunkSize === remainingBytes;
 
         // Read chunk using current adaptive size
         const chunk = await readFileChunk(file, offset, actualChunkSize);
+        const chunkHash = await sha256Hex(chunk);
+        record.chunks[chunkIndex] = { offset, size: chunk.byteLength, hash: chunkHash };
 
-        // Send chunk header
-        peerRef.current.send(JSON.stringify({
-          type: 'file-chunk-header',
-          transferId: transferId,
-          chunkIndex: chunkIndex,
-          chunkSize: chunk.byteLength,
-          isLast: chunkIndex === totalChunks - 1
-        }));
-
-        await delay(10); // Small delay for connection stability
+        // Wait for this chunk's slot at the estimated bandwidth
+        await paceChunk(transferId, chunk.byteLength);
+        await sendChunk(peer, transferId, streamId, chunkIndex, chunk, chunkHash, isLast);
+        adaptiveAgent.onChunkSent(transferId, chunk.byteLength, peer.bufferedAmount || 0);
 
-        // Send chunk data with improved retry logic
-        let retries = 0;
-        const maxRetries = 10; // Increased from 3
-        while (retries < maxRetries) {
-          try {
-            if (!peerRef.current || !peerRef.current.connected) {
-              throw new Error('Peer disconnected');
-            }
-
-            // Check buffer before sending
-            const currentBufferAmount = peerRef.current.bufferedAmount || 0;
-            const bufferLimit = 512 * 1024; // 512KB buffer limit
-
-            if (currentBufferAmount > bufferLimit) {
-              console.warn(`⚠️ Buffer too full (${(currentBufferAmount / 1024).toFixed(0)}KB), waiting before send...`);
-              await delay(200); // Wait for buffer to drain
-              throw new Error('Buffer full, retrying'); // Trigger retry
-            }
-
-            peerRef.current.send(chunk);
-            break; // Success
-          } catch (sendError) {
-            retries++;
-            const backoffDelay = Math.min(200 * Math.pow(2, retries - 1), 2000); // Exponential backoff, max 2s
-            console.warn(`⚠️ Send retry ${retries}/${maxRetries} for chunk ${chunkIndex} (waiting ${backoffDelay}ms)`);
-
-            if (retries >= maxRetries) {
-              console.error(`❌ Failed to send chunk ${chunkIndex} after ${maxRetries} retries`);
-              throw sendError;
-            }
-
-            await delay(backoffDelay);
-          }
-        }
+        // Re-send chunks the receiver rejected while we keep streaming
+        await sendPendingResends(peer, transferId, record);
 
         offset += chunk.byteLength;
 
         // Calculate upload progress and speed
         const progress = (offset / file.size) * 100;
-        const elapsed = Math.max((Date.now() - uploadProgress.startTime) / 1000, 0.1); // Prevent division by zero
-        const speed = offset / elapsed;
+        const elapsed = Math.max((Date.now() - uploadProgress.startTime - uploadProgress.pausedMs) / 1000, 0.1); // Prevent division by zero
+        const speed = (offset - startOffset) / elapsed;
+
+        if (transferDiagnosticsService.isSampleDue(transferId)) {
+          const stats = adaptiveAgent.getStats(peerId);
+          transferDiagnosticsService.recordSample(transferId, {
+            throughput: speed,
+            bufferedAmount: peer.bufferedAmount || 0,
+            chunkSize: currentChunkSize,
+            sendDelay: stats.sendDelay,
+            bandwidthEstimate: stats.bandwidthEstimate,
+            cwnd: stats.cwnd,
+            inflight: stats.inflight,
+            phase: stats.phase
+          });
+        }
 
         // Throttle UI updates - update every 10 chunks or on last chunk for smooth display
-        const shouldUpdateUI = (chunkIndex % 10 === 0) || (chunkIndex === totalChunks - 1);
+        const shouldUpdateUI = (chunkIndex % 10 === 0) || isLast;
 
         if (shouldUpdateUI) {
           setActiveDownloads(prev => prev.map(d =>
@@ -465,7 +955,7 @@ export const useOnDemandTransfer = () => {
         }
 
         // Log progress every 1000 chunks
-        if (chunkIndex % 1000 === 0 || chunkIndex === totalChunks - 1) {
+        if (chunkIndex % 1000 === 0 || isLast) {
           console.log(`📤 Upload progress: ${progress.toFixed(1)}% (${formatSpeed(speed)})`);
         }
 
@@ -473,11 +963,12 @@ export const useOnDemandTransfer = () => {
         if (chunkIndex % 25 === 0 && chunkIndex > 0) {
           try {
             console.log(`💓 Sending keepalive at chunk ${chunkIndex}`);
-            peerRef.current.send(JSON.stringify({ 
+            peer.send(JSON.stringify({ 
               type: 'keepalive', 
               transferId: transferId,
               chunkIndex: chunkIndex,
-              bufferAmount: peerRef.current.bufferedAmount || 0
+              bufferAmount: peer.bufferedAmount || 0,
+              sentAt: Date.now()
             }));
           } catch (keepaliveError) {
             console.warn('⚠️ Keepalive failed - connection may be unstable');
@@ -485,22 +976,23 @@ export const useOnDemandTransfer = () => {
           }
         }
 
-        // Apply adaptive delay based on receiver feedback
-        await applyAdaptiveDelay();
-        await delay(2); // Minimal base delay for stability
+        chunkIndex++;
       }
 
-      // Send completion
-      peerRef.current.send(JSON.stringify({
-        type: 'download-complete',
-        requestId: transferId
-      }));
+      await sendPendingResends(peer, transferId, record);
+      record.isSending = false;
+
+      // Send completion with the chunk-list digest
+      await sendDownloadComplete(peer, transferId, record);
 
       console.log(`✅ Upload completed: ${file.name}`);
+      adaptiveAgent.endFlow(transferId);
+      transferDiagnosticsService.endTransfer(transferId, 'completed');
 
       // Upload completed
 
       // Remove from active downloads
+      activeTransfersRef.current.delete(transferId);
       setActiveDownloads(prev => {
         const remaining = prev.filter(d => d.id !== transferId);
         return remaining;
@@ -508,98 +1000,450 @@ export const useOnDemandTransfer = () => {
 
     } catch (error) {
       console.error(`❌ Upload failed: ${file.name}`, error);
+      record.isSending = false;
+      adaptiveAgent.endFlow(transferId);
       
       // Upload error
-      
-      // Send error to peer
-      if (peerRef.current && peerRef.current.connected) {
-        peerRef.current.send(JSON.stringify({
+      const upload = activeTransfersRef.current.get(transferId);
+
+      // The receiver may resume a broken-off upload - a stopped one is gone for good
+      if (upload && upload.stopReason) {
+        clearTimeout(record.expiryTimeout);
+        uploadRecordsRef.current.delete(transferId);
+      } else {
+        expireUploadRecord(transferId, record);
+      }
+
+      // Send error to peer (a stopped upload was already explained to it)
+      const outcome = upload && upload.stopReason
+        ? (upload.stopCode === ERROR_CODES.CANCELLED ? 'cancelled' : 'stopped')
+        : 'failed';
+      transferDiagnosticsService.endTransfer(transferId, outcome, error.message);
+      if (peer && peer.connected && !(upload && upload.stopReason)) {
+        peer.send(JSON.stringify({
           type: 'download-error',
           requestId: transferId,
-          error: error.message
+          error: error.message,
+          code: ERROR_CODES.UPLOAD_FAILED
         }));
       }
 
+      activeTransfersRef.current.delete(transferId);
       setActiveDownloads(prev => {
         const remaining = prev.filter(d => d.id !== transferId);
         return remaining;
       });
     }
+
+    startWaitingUploads(); // Our slot goes to the next request in line
+  };
+
+  // Send one chunk as a single binary frame (stream ID, index, SHA-256 and data, encrypted with the room key if set)
+  const sendChunk = async (peer, transferId, streamId, chunkIndex, chunk, chunkHash, isLast) => {
+    const key = await roomKeyRef.current;
+    // Encrypted frames leave the plaintext hash out - GCM authenticates the chunk and its place instead
+    const payload = key ? await encryptChunk(key, chunk, getChunkAad(transferId, streamId, chunkIndex, isLast)) : chunk;
+    const frame = encodeChunkFrame(streamId, chunkIndex, payload, key ? null : chunkHash, isLast, !!key);
+
+    // Wait for the channel to drain below the high watermark; if it still refuses the
+    // frame (queue full), wait for the low watermark and try again
+    for (let attempt = 1; ; attempt++) {
+      await waitForDrain(peer, frame.byteLength, { toLow: attempt > 1 });
+      try {
+        peer.send(frame);
+        return;
+      } catch (sendError) {
+        if (!peer.connected || attempt >= MAX_SEND_ATTEMPTS) {
+          console.error(`❌ Failed to send chunk ${chunkIndex} after ${attempt} attempt(s)`);
+          throw sendError;
+        }
+        console.warn(`⚠️ Send attempt ${attempt}/${MAX_SEND_ATTEMPTS} for chunk ${chunkIndex} failed, waiting for the buffer to drain`);
+        transferDiagnosticsService.logEvent(transferId, 'retry', `send attempt ${attempt}/${MAX_SEND_ATTEMPTS} for chunk ${chunkIndex} refused`);
+      }
+    }
+  };
+
+  // Re-read and re-send chunks the receiver asked for again
+  const sendPendingResends = async (peer, transferId, record) => {
+    while (record.pendingResends.length > 0) {
+      const chunkIndex = record.pendingResends.shift();
+      const info = record.chunks[chunkIndex];
+      if (!info) {
+        console.warn(`⚠️ Cannot resend chunk ${chunkIndex} - never sent`);
+        continue;
+      }
+
+      const chunk = await readFileChunk(record.file, info.offset, info.size);
+      console.log(`🔁 Re-sending chunk ${chunkIndex} (${formatSize(info.size)})`);
+      transferDiagnosticsService.logEvent(transferId, 'retry', `re-sending chunk ${chunkIndex}`);
+      await paceChunk(transferId, info.size);
+      await sendChunk(peer, transferId, record.streamId, chunkIndex, chunk, info.hash, false);
+    }
+  };
+
+  // Tell the receiver we're done, with the chunk-list digest (see hashChunkList) when we have every chunk hash
+  const sendDownloadComplete = async (peer, transferId, record) => {
+    const hasAllHashes = record.chunks.length > 0 && record.chunks.every(Boolean);
+    const chunkListHash = hasAllHashes ? await hashChunkList(record.chunks.map(c => c.hash)) : null;
+    // With a room key the digest goes sealed, so nobody on the path can check guesses against it
+    const key = await roomKeyRef.current;
+
+    peer.send(JSON.stringify({
+      type: 'download-complete',
+      requestId: transferId,
+      totalChunks: record.chunks.length,
+      chunkListHash: key ? null : chunkListHash,
+      sealedChunkListHash: key && chunkListHash ? await sealChunkListHash(key, chunkListHash, transferId) : null
+    }));
+
+    // Keep the record a while for late resend requests, then drop it
+    expireUploadRecord(transferId, record);
+  };
+
+  // Forget an upload record (and its File) once the receiver can no longer resume or ask for resends
+  const expireUploadRecord = (transferId, record) => {
+    clearTimeout(record.expiryTimeout);
+    record.expiryTimeout = setTimeout(() => {
+      if (uploadRecordsRef.current.get(transferId) === record) {
+        uploadRecordsRef.current.delete(transferId);
+      }
+    }, RESUME_WINDOW_MS);
+  };
+
+  // Handle receiver asking for missing or corrupt chunks again
+  const handleChunkResendRequest = async (message, peerId) => {
+    const record = uploadRecordsRef.current.get(message.requestId);
+    if (!record) {
+      console.error(`❌ Resend requested for unknown transfer: ${message.requestId}`);
+      sendToPeer(peerId, {
+        type: 'download-error',
+        requestId: message.requestId,
+        error: 'Transfer expired - cannot resend chunks',
+        code: ERROR_CODES.TRANSFER_EXPIRED
+      });
+      return;
+    }
+    const peer = getPeer(record.peerId);
+
+    console.log(`🔁 Peer requested ${message.chunks.length} chunk(s) again for ${record.file.name}`);
+    record.pendingResends.push(...message.chunks);
+
+    // The upload loop picks these up while it is still running
+    if (record.isSending) return;
+
+    record.isSending = true;
+    try {
+      await sendPendingResends(peer, message.requestId, record);
+      await sendDownloadComplete(peer, message.requestId, record);
+    } catch (error) {
+      console.error(`❌ Resend failed for ${record.file.name}`, error);
+      sendToPeer(record.peerId, {
+        type: 'download-error',
+        requestId: message.requestId,
+        error: error.message,
+        code: ERROR_CODES.UPLOAD_FAILED
+      });
+    } finally {
+      record.isSending = false;
+    }
   };
 
   // Handle download start from peer
-  const handleDownloadStart = (message) => {
-    console.log(`📥 Starting download: ${message.fileName} (${formatSize(message.fileSize)})`);
-    
-    // Simple check - only allow one download at a time (use ref for immediate check)
-    const hasActiveDownload = activeTransfersRef.current.size > 0;
-    if (hasActiveDownload) {
-      console.error(`🚫 Download rejected: ${message.fileName} - already downloading another file (${activeTransfersRef.current.size} active)`);
-      // Send error back to peer
-      if (peerRef.current && peerRef.current.connected) {
-        peerRef.current.send(JSON.stringify({
-          type: 'download-error',
-          requestId: message.requestId,
-          error: 'Already downloading another file'
-        }));
+  const handleDownloadStart = (message, peerId) => {
+    console.log(`📥 Starting download: ${message.fileName} (${formatSize(message.fileSize)}, stream ${message.streamId})`);
+    const request = pendingRequestsRef.current.get(message.requestId);
+    pendingRequestsRef.current.delete(message.requestId);
+    setAwaitingApproval(prev => {
+      if (!prev.has(message.fileId)) return prev;
+      const next = new Set(prev);
+      next.delete(message.fileId);
+      return next;
+    });
+
+    // Sender is continuing an interrupted transfer - keep the chunks we already have
+    const interrupted = findInterruptedTransfer(message.fileId);
+    if (interrupted && message.isResume) {
+      resumeInterruptedTransfer(interrupted, message, peerId);
+      return;
+    }
+
+    // Only accept files we asked for, within our size/type limits
+    const refusal = !request
+      ? 'The receiver did not request this file'
+      : checkReceiveRules(receiveRulesRef.current, message);
+    if (refusal) {
+      console.warn(`🚫 Refusing ${message.fileName}: ${refusal}`);
+      sendToPeer(peerId, { type: 'download-denied', requestId: message.requestId, fileId: message.fileId, reason: refusal, code: ERROR_CODES.DENIED });
+      setDeniedDownloads(prev => ({ ...prev, [message.fileId]: refusal }));
+      const preparedSink = preparedSinksRef.current.get(message.fileId);
+      if (preparedSink) {
+        preparedSink.abort().catch(() => {});
       }
+      preparedSinksRef.current.delete(message.fileId);
+      folderTargetsRef.current.delete(message.fileId);
+      handleDownloadError({ requestId: message.requestId, fileId: message.fileId, error: refusal, code: ERROR_CODES.DENIED });
       return;
     }
     
+    const relativePath = sanitizeRelativePath(message.relativePath);
     const transfer = {
       id: message.requestId,
+      peerId: peerId, // Sending peer
+      streamId: message.streamId, // Transfer ID in this transfer's chunk frames
+      ownerClientId: (peerInfoRef.current.get(peerId) || {}).clientId, // Survives the sender reconnecting with a new peer ID
       fileId: message.fileId,
       fileName: message.fileName,
       fileSize: message.fileSize,
       mimeType: message.mimeType,
-      totalChunks: message.totalChunks,
+      relativePath: relativePath,
+      saveName: relativePath ? flattenRelativePath(relativePath) : message.fileName, // Keeps folder files apart when saved flat
+      totalChunks: message.totalChunks, // Estimate until the last chunk frame arrives
+      lastChunkSeen: false,
+      chunkSize: message.chunkSize,
       isDownloading: true,
+      isInterrupted: false,
+      state: 'active',
+      pausedBy: null,
+      pausedMs: 0,
       progress: 0,
       speed: 0,
       startTime: Date.now(),
-      chunks: new Array(message.totalChunks),
+      chunkSizes: new Array(message.totalChunks), // Byte size per received chunk (data itself goes to the writer)
+      chunkHashes: new Array(message.totalChunks), // Verified SHA-256 per chunk
+      writer: null,
+      sinkType: null,
+      pendingVerifications: new Set(),
+      resendRounds: 0,
       receivedChunks: 0,
-      bytesReceived: 0
+      bytesReceived: 0,
+      resumedBytes: 0, // Bytes already received before the last resume (for speed calculation)
+      lastFeedbackAt: 0, // Last adaptive-feedback sent to the sender
+      feedbackTimeout: null
     };
 
+    // Stream chunks in order to the sink picked for this file size (or into the chosen folder or ZIP)
+    const preparedSink = preparedSinksRef.current.get(message.fileId);
+    const folderTarget = folderTargetsRef.current.get(message.fileId);
+    const archive = archiveRef.current;
+    preparedSinksRef.current.delete(message.fileId);
+    folderTargetsRef.current.delete(message.fileId);
+    let sinkPromise;
+    if (archive && archive.entryNames.has(message.fileId)) {
+      transfer.sinkType = SINK_TYPES.ZIP;
+      sinkPromise = archive.zip.openEntry(archive.entryNames.get(message.fileId), message.fileSize);
+    } else if (preparedSink) {
+      transfer.sinkType = preparedSink.type;
+      sinkPromise = Promise.resolve(preparedSink);
+    } else if (folderTarget) {
+      transfer.sinkType = SINK_TYPES.FILE_SYSTEM;
+      sinkPromise = createDirectorySink(folderTarget.directoryHandle, folderTarget.path).catch(error => {
+        console.warn(`⚠️ Could not write ${folderTarget.path} into the chosen folder, saving it separately:`, error);
+        return createSink(chooseSinkType(message.fileSize), transfer.saveName, message.mimeType, message.fileSize);
+      });
+    } else {
+      transfer.sinkType = chooseSinkType(message.fileSize);
+      sinkPromise = createSink(transfer.sinkType, transfer.saveName, message.mimeType, message.fileSize);
+    }
+    transfer.writer = new OrderedChunkWriter(sinkPromise);
+    sinkPromise.then(sink => {
+      if (sink.type !== transfer.sinkType) {
+        console.log(`💾 Falling back to ${sink.type} sink for ${message.fileName}`);
+        transfer.sinkType = sink.type;
+        setActiveDownloads(prev => prev.map(d => d.id === transfer.id ? { ...d, sinkType: sink.type } : d));
+      }
+    });
+    console.log(`💾 Using ${transfer.sinkType} sink for ${message.fileName}`);
+
     activeTransfersRef.current.set(message.requestId, transfer);
-    setActiveDownloads(prev => [...prev, transfer]);
+    setActiveDownloads(prev => [...prev, { ...transfer }]);
+    transferDiagnosticsService.startTransfer(message.requestId, {
+      direction: 'download',
+      fileName: message.fileName,
+      fileSize: message.fileSize,
+      peerId
+    });
   };
 
-  // Handle chunk header
-  const handleChunkHeader = (message) => {
-    const transfer = activeTransfersRef.current.get(message.transferId);
-    if (transfer) {
-      transfer.expectedChunk = message;
+  // Find a download that was interrupted by a disconnect for the given file
+  const findInterruptedTransfer = (fileId) => {
+    for (const transfer of activeTransfersRef.current.values()) {
+      if (transfer.isDownloading && transfer.isInterrupted && transfer.fileId === fileId) {
+        return transfer;
+      }
+    }
+    return null;
+  };
+
+  // First chunk index we don't have yet
+  const getFirstMissingChunk = (transfer) => {
+    let index = 0;
+    while (transfer.chunkSizes[index] !== undefined) {
+      index++;
+    }
+    return index;
+  };
+
+  // Continue an interrupted download with the sender's new download-start
+  const resumeInterruptedTransfer = (transfer, message, peerId) => {
+    // Anything after startChunk is re-sent, so drop it and recount what we have
+    transfer.chunkSizes.length = message.startChunk;
+    transfer.chunkHashes.length = message.startChunk;
+    transfer.writer.discardFrom(message.startChunk);
+    transfer.receivedChunks = transfer.chunkSizes.filter(size => size !== undefined).length;
+    transfer.bytesReceived = transfer.chunkSizes.reduce((sum, size) => sum + (size || 0), 0);
+    transfer.totalChunks = message.totalChunks;
+    transfer.lastChunkSeen = false;
+    transfer.peerId = peerId;
+    transfer.streamId = message.streamId;
+    transfer.isInterrupted = false;
+    transfer.startTime = Date.now();
+    transfer.pausedMs = 0;
+    transfer.pausedAt = Date.now();
+    transfer.resumedBytes = transfer.bytesReceived;
+    clearTimeout(transfer.resumeTimeout);
+
+    // The sender's new upload starts active - keep it held if we had paused it
+    if (transfer.state === 'paused' && transfer.pausedBy === 'me') {
+      sendToPeer(peerId, { type: 'transfer-pause', requestId: transfer.id });
     }
+
+    console.log(`⏯️ Resumed download: ${transfer.fileName} at chunk ${message.startChunk}/${transfer.totalChunks} (${formatSize(transfer.bytesReceived)} kept)`);
+    transferDiagnosticsService.startTransfer(transfer.id, {
+      direction: 'download',
+      fileName: transfer.fileName,
+      fileSize: transfer.fileSize,
+      peerId,
+      resumed: true
+    });
+
+    // The requestId stays the same across resumes
+    setActiveDownloads(prev => prev.map(d =>
+      d.id === transfer.id ? { ...d, peerId, isInterrupted: false, totalChunks: transfer.totalChunks } : d
+    ));
   };
 
-  // Handle file chunk data
-  const handleFileChunk = (chunkData) => {
-    // Find the transfer expecting this chunk
+  // Keep partially received downloads when a peer drops so they can resume later
+  const interruptActiveTransfers = (peerId) => {
+    // Requests this peer never answered free their slots
+    for (const [requestId, request] of pendingRequestsRef.current.entries()) {
+      if (request.peerId === peerId) {
+        pendingRequestsRef.current.delete(requestId);
+        downloadQueueRef.current.requeue(request.fileId);
+        settleArchiveFile(request.fileId);
+      }
+    }
+
     for (const [transferId, transfer] of activeTransfersRef.current.entries()) {
-      if (transfer.isDownloading && transfer.expectedChunk) {
-        const chunkInfo = transfer.expectedChunk;
+      if (transfer.resumeRequestedFrom === peerId) {
+        transfer.resumeRequestedFrom = null; // Ask again when it's back
+      }
+      if (transfer.peerId !== peerId) continue;
+      if (!transfer.isDownloading) {
+        activeTransfersRef.current.delete(transferId);
+        continue;
+      }
+      if (transfer.isInterrupted) continue;
+
+      transfer.isInterrupted = true;
+      console.log(`⏸️ Download interrupted: ${transfer.fileName} (${transfer.receivedChunks}/${transfer.totalChunks} chunks kept)`);
+      transferDiagnosticsService.logEvent(transferId, 'interrupted', `${transfer.receivedChunks} chunks kept`);
+
+      // Give up if the peer doesn't come back in time
+      transfer.resumeTimeout = setTimeout(() => {
+        if (activeTransfersRef.current.get(transferId) === transfer && transfer.isInterrupted) {
+          console.log(`⌛ Resume window expired for ${transfer.fileName}, discarding received chunks`);
+          handleDownloadError({ requestId: transferId, error: 'Peer did not reconnect in time', code: ERROR_CODES.RESUME_EXPIRED });
+        }
+      }, RESUME_WINDOW_MS);
+    }
+
+    // Uploads to this peer stop on their own; only interrupted downloads stay visible
+    setActiveDownloads(prev => prev
+      .filter(d => d.peerId !== peerId || activeTransfersRef.current.has(d.id))
+      .map(d => d.peerId === peerId ? { ...d, isInterrupted: true, speed: 0 } : d));
+
+    // Interrupted downloads gave up their slots - files from other devices can use them
+    processDownloadQueue();
+  };
 
-        // Store chunk
-        transfer.chunks[chunkInfo.chunkIndex] = chunkData;
+  // Ask a reconnected sender to continue interrupted downloads from the first missing chunk -
+  // only once its key check (and verification) passed, or the sender couldn't accept the request
+  const resumeInterruptedDownloads = (peerId) => {
+    const clientId = (peerInfoRef.current.get(peerId) || {}).clientId;
+    if (!isPeerConnected(peerId) || !isPeerTrusted(peerId) || !clientId) return;
+
+    for (const transfer of activeTransfersRef.current.values()) {
+      if (!transfer.isDownloading || !transfer.isInterrupted) continue;
+      if (transfer.ownerClientId && transfer.ownerClientId !== clientId) continue;
+      if (transfer.resumeRequestedFrom === peerId) continue; // Already asked this connection
+      transfer.resumeRequestedFrom = peerId;
+
+      const startChunk = getFirstMissingChunk(transfer);
+      let offset = 0;
+      for (let i = 0; i < startChunk; i++) {
+        offset += transfer.chunkSizes[i];
+      }
+
+      console.log(`⏯️ Requesting resume of ${transfer.fileName} from chunk ${startChunk}`);
+      sendToPeer(peerId, {
+        type: 'download-resume',
+        requestId: transfer.id,
+        fileId: transfer.fileId,
+        fileName: transfer.fileName,
+        fileSize: transfer.fileSize,
+        relativePath: transfer.relativePath,
+        startChunk,
+        offset
+      });
+    }
+  };
+
+  // Handle a decoded chunk frame
+  const handleFileChunk = (frame, peerId) => {
+    // Track plaintext sizes - encryption adds an IV and tag to every chunk
+    const chunkSize = frame.encrypted ? frame.payload.byteLength - ENCRYPTION_OVERHEAD : frame.payload.byteLength;
+
+    // Find the transfer from this peer that owns the frame's transfer ID
+    for (const [transferId, transfer] of activeTransfersRef.current.entries()) {
+      if (transfer.isDownloading && transfer.peerId === peerId && transfer.streamId === frame.transferId) {
+        // Track chunk (ignore duplicates re-sent after a resume)
+        if (transfer.chunkSizes[frame.chunkIndex] !== undefined) {
+          break;
+        }
+        transfer.chunkSizes[frame.chunkIndex] = chunkSize;
         transfer.receivedChunks++;
-        transfer.bytesReceived += chunkData.byteLength;
+        // Chunk sizes change during the upload, so download-start only estimated the count
+        if (frame.isLast) {
+          transfer.totalChunks = frame.chunkIndex + 1;
+          transfer.lastChunkSeen = true;
+        }
+        transfer.bytesReceived += chunkSize;
         transfer.progress = (transfer.bytesReceived / transfer.fileSize) * 100;
 
+        // Check the chunk against the sender's hash, then hand it to the writer in order
+        const verification = verifyChunk(transfer, frame, chunkSize);
+        transfer.pendingVerifications.add(verification);
+        verification.finally(() => transfer.pendingVerifications.delete(verification));
+
         // Log chunk reception for debugging
-        if (chunkInfo.chunkIndex % 100 === 0 || chunkInfo.isLast) {
-          console.log(`📦 Received chunk ${chunkInfo.chunkIndex}/${transfer.totalChunks} (${transfer.receivedChunks} total received)`);
+        if (frame.chunkIndex % 100 === 0 || frame.isLast) {
+          console.log(`📦 Received chunk ${frame.chunkIndex}/${transfer.totalChunks} (${transfer.receivedChunks} total received)`);
         }
 
         // Calculate speed
-        const elapsed = Math.max((Date.now() - transfer.startTime) / 1000, 0.1); // Prevent division by zero
-        transfer.speed = transfer.bytesReceived / elapsed;
-
-        transfer.expectedChunk = null;
+        const elapsed = Math.max((Date.now() - transfer.startTime - transfer.pausedMs) / 1000, 0.1); // Prevent division by zero
+        transfer.speed = (transfer.bytesReceived - transfer.resumedBytes) / elapsed;
+
+        if (transferDiagnosticsService.isSampleDue(transferId)) {
+          transferDiagnosticsService.recordSample(transferId, {
+            throughput: transfer.speed,
+            bufferedAmount: transfer.writer ? transfer.bytesReceived - transfer.writer.bytesWritten : 0, // Received, not yet written
+            chunkSize
+          });
+        }
 
         // Throttle UI updates - update every 10 chunks or on last chunk for smooth display
-        const shouldUpdateUI = (transfer.receivedChunks % 10 === 0) || chunkInfo.isLast;
+        const shouldUpdateUI = (transfer.receivedChunks % 10 === 0) || frame.isLast;
 
         if (shouldUpdateUI) {
           // Update UI with current speed
@@ -615,33 +1459,15 @@ export const useOnDemandTransfer = () => {
         }
 
         // Log progress
-        if (transfer.receivedChunks % 1000 === 0 || chunkInfo.isLast) {
+        if (transfer.receivedChunks % 1000 === 0 || frame.isLast) {
           console.log(`📥 Download progress: ${transfer.progress.toFixed(1)}% (${formatSpeed(transfer.speed)})`);
         }
 
-        // Send feedback every 50 chunks - much less frequent to avoid interference 
-        if (transfer.receivedChunks % 50 === 0 || chunkInfo.isLast) {
-          try {
-            // Estimate buffer level (realistic simulation)
-            const pendingChunks = Math.max(0, transfer.totalChunks - transfer.receivedChunks);
-            const currentBufferLevel = Math.min(pendingChunks, 20); // Realistic buffer of max 20 chunks
-            const feedback = adaptiveAgent.generateFeedback(
-              transfer.bytesReceived,
-              currentBufferLevel
-            );
-            
-            if (peerRef.current && peerRef.current.connected) {
-              peerRef.current.send(JSON.stringify(feedback));
-              const stats = adaptiveAgent.getStats();
-              console.log(`📊 Phase: ${stats.transferPhase} | Download: ${(feedback.downloadSpeed/1024/1024).toFixed(1)}MB/s | Upload: ${stats.chunkSize/1024}KB, ${stats.sendDelay}ms | Buffer: ${feedback.bufferLevel}`);
-            }
-          } catch (feedbackError) {
-            console.warn('⚠️ Error sending adaptive feedback:', feedbackError);
-          }
-        }
+        // Report progress to the sender's congestion control
+        scheduleAdaptiveFeedback(transferId, transfer, peerId, frame.isLast);
 
         // Check if download is complete (received all chunks)
-        if (chunkInfo.isLast || transfer.receivedChunks === transfer.totalChunks) {
+        if (transfer.lastChunkSeen && transfer.receivedChunks === transfer.totalChunks) {
           console.log(`✅ All chunks received for ${transfer.fileName} - completion will be handled naturally`);
         }
 
@@ -650,157 +1476,749 @@ export const useOnDemandTransfer = () => {
     }
   };
 
+  // Tell the sender how much of a download arrived and how much still waits to be written,
+  // at most every feedbackIntervalMs - a skipped report goes out when the interval ends
+  const scheduleAdaptiveFeedback = (transferId, transfer, peerId, immediate = false) => {
+    const sinceLast = Date.now() - (transfer.lastFeedbackAt || 0);
+    if (!immediate && sinceLast < CONGESTION_CONFIG.feedbackIntervalMs) {
+      if (!transfer.feedbackTimeout) {
+        transfer.feedbackTimeout = setTimeout(() => {
+          transfer.feedbackTimeout = null;
+          if (activeTransfersRef.current.get(transferId) === transfer) {
+            scheduleAdaptiveFeedback(transferId, transfer, peerId, true);
+          }
+        }, CONGESTION_CONFIG.feedbackIntervalMs - sinceLast);
+      }
+      return;
+    }
+
+    clearTimeout(transfer.feedbackTimeout);
+    transfer.feedbackTimeout = null;
+    transfer.lastFeedbackAt = Date.now();
+    const bufferedBytes = Math.max(0, transfer.bytesReceived - transfer.writer.bytesWritten);
+    sendToPeer(peerId, adaptiveAgent.generateFeedback(transferId, transfer.bytesReceived, bufferedBytes, transfer.chunkSize));
+  };
+
+  // Decrypt (if needed) and verify a received chunk against the hash from its frame; only good chunks reach the writer
+  const verifyChunk = async (transfer, frame, chunkSize) => {
+    let chunkData = frame.payload;
+    let hash = null;
+    try {
+      const key = await roomKeyRef.current;
+      if (frame.encrypted || key) {
+        if (!key) throw new Error('No room key for encrypted chunk');
+        if (!frame.encrypted) throw new Error('Unencrypted chunk in a room with a passphrase');
+        chunkData = await decryptChunk(key, frame.payload, getChunkAad(transfer.id, frame.transferId, frame.chunkIndex, frame.isLast));
+      }
+      hash = await sha256Hex(chunkData);
+    } catch (error) {
+      console.warn(`🔑 Could not decrypt chunk ${frame.chunkIndex} of ${transfer.fileName}:`, error.message);
+    }
+
+    if (hash && (!frame.chunkHash || hash === frame.chunkHash)) {
+      if (transfer.writer.push(frame.chunkIndex, chunkData)) {
+        transfer.chunkHashes[frame.chunkIndex] = hash;
+      } else {
+        // Reorder buffer full behind a gap - count it as missing, it's asked for again at download-complete
+        forgetChunk(transfer, frame.chunkIndex, chunkSize);
+      }
+      requestReorderGap(transfer);
+      return;
+    }
+
+    console.warn(`⚠️ Chunk ${frame.chunkIndex} of ${transfer.fileName} failed verification - requesting it again`);
+    forgetChunk(transfer, frame.chunkIndex, chunkSize);
+    requestChunkResend(transfer, [frame.chunkIndex]);
+  };
+
+  // Undo the bookkeeping for a chunk we won't keep
+  const forgetChunk = (transfer, chunkIndex, chunkSize) => {
+    if (transfer.chunkSizes[chunkIndex] !== undefined) {
+      transfer.chunkSizes[chunkIndex] = undefined;
+      transfer.receivedChunks--;
+      transfer.bytesReceived -= chunkSize;
+    }
+  };
+
+  // Chunks are piling up behind one we don't have - ask for it now rather than at download-complete
+  const requestReorderGap = (transfer) => {
+    const gap = transfer.writer.gap;
+    if (gap === null || transfer.chunkSizes[gap] !== undefined || transfer.gapRequested === gap) return;
+    transfer.gapRequested = gap;
+    console.warn(`⚠️ ${transfer.fileName}: chunks waiting for chunk ${gap} - requesting it early`);
+    requestChunkResend(transfer, [gap]);
+  };
+
+  // Ask the sender for specific chunks again
+  const requestChunkResend = (transfer, chunkIndexes) => {
+    transferDiagnosticsService.logEvent(transfer.id, 'retry', `asked again for ${chunkIndexes.length} chunk(s)`, { chunks: chunkIndexes });
+    sendToPeer(transfer.peerId, {
+      type: 'chunk-resend-request',
+      requestId: transfer.id,
+      chunks: chunkIndexes
+    });
+  };
+
   // Handle download completion
-  const handleDownloadComplete = (message) => {
+  const handleDownloadComplete = async (message) => {
     const transfer = activeTransfersRef.current.get(message.requestId);
     if (!transfer) {
       console.error('❌ No transfer found for requestId:', message.requestId);
       return;
     }
+    if (transfer.isCompleting) return;
+    transfer.isCompleting = true;
+
+    // Let in-flight chunk checks finish before looking for gaps
+    await Promise.all([...transfer.pendingVerifications]);
+    if (message.totalChunks) {
+      transfer.totalChunks = message.totalChunks;
+    }
+
+    // Check for missing (or rejected) chunks first
+    const missingChunks = [];
+    for (let i = 0; i < transfer.totalChunks; i++) {
+      if (transfer.chunkSizes[i] === undefined) {
+        missingChunks.push(i);
+      }
+    }
+
+    if (missingChunks.length > 0 && transfer.resendRounds < MAX_RESEND_ROUNDS) {
+      transfer.resendRounds++;
+      transfer.isCompleting = false;
+      console.warn(`⚠️ Missing chunks: [${missingChunks.join(', ')}] - requesting again (round ${transfer.resendRounds}/${MAX_RESEND_ROUNDS})`);
+      requestChunkResend(transfer, missingChunks);
+      return;
+    }
 
     console.log(`🔧 Assembling downloaded file: ${transfer.fileName} (${transfer.receivedChunks}/${transfer.totalChunks} chunks)`);
 
+    let failure = null; // Why the file couldn't be saved - it stays in the queue for a retry
+    let failureCode = ERROR_CODES.SAVE_FAILED;
     try {
-      // Check for missing chunks first
-      const missingChunks = [];
-      for (let i = 0; i < transfer.totalChunks; i++) {
-        if (!transfer.chunks[i]) {
-          missingChunks.push(i);
-        }
-      }
-      
+      // Check every chunk arrived as sent (chunk-list digest) before handing the file to the user
+      let integrity = 'unverified'; // Sender didn't provide hashes
+      let integrityError = null;
       if (missingChunks.length > 0) {
-        console.error(`❌ Missing chunks: [${missingChunks.join(', ')}]`);
-        console.log(`📊 Received ${transfer.receivedChunks}/${transfer.totalChunks} chunks`);
-        
-        // Try to continue with available chunks (may result in corrupted file)
-        console.warn('⚠️ Attempting to assemble file with missing chunks - file may be corrupted');
-      }
-
-      // Assemble chunks (skip missing ones)
-      const orderedChunks = [];
-      for (let i = 0; i < transfer.totalChunks; i++) {
-        if (transfer.chunks[i]) {
-          orderedChunks.push(transfer.chunks[i]);
+        integrity = 'failed';
+        integrityError = `${missingChunks.length} chunk(s) missing after ${MAX_RESEND_ROUNDS} resend attempts`;
+      } else if (message.chunkListHash || message.sealedChunkListHash) {
+        const expectedHash = message.sealedChunkListHash
+          ? await openChunkListHash(await roomKeyRef.current, message.sealedChunkListHash, transfer.id)
+          : message.chunkListHash;
+        const chunkListHash = await hashChunkList(transfer.chunkHashes.slice(0, transfer.totalChunks));
+        if (chunkListHash === expectedHash) {
+          integrity = 'verified';
         } else {
-          console.warn(`⚠️ Skipping missing chunk ${i}`);
-          // Add empty chunk to maintain file structure
-          orderedChunks.push(new Uint8Array(0));
+          integrity = 'failed';
+          integrityError = 'Chunk list digest mismatch';
         }
       }
 
-      const blob = new Blob(orderedChunks, { type: transfer.mimeType });
-      const url = URL.createObjectURL(blob);
-
       const downloadedFile = {
         id: Date.now() + Math.random(),
+        fileId: transfer.fileId,
         name: transfer.fileName,
+        relativePath: transfer.relativePath,
         size: transfer.fileSize,
         type: transfer.mimeType,
-        url: url,
+        url: null,
+        sinkType: transfer.sinkType,
+        integrity: integrity,
+        integrityError: integrityError,
         timestamp: new Date().toISOString(),
         downloadTime: (Date.now() - transfer.startTime) / 1000
       };
 
+      // Never hand a corrupted file to the user - discard whatever the sink wrote.
+      // A service-worker download has already streamed into the browser's downloads, so say so
+      if (integrity === 'failed') {
+        failure = `Verification failed: ${integrityError}`;
+        failureCode = ERROR_CODES.INTEGRITY;
+        downloadedFile.alreadySaved = transfer.sinkType === SINK_TYPES.SERVICE_WORKER;
+        downloadedFile.saveName = transfer.saveName;
+        console.error(downloadedFile.alreadySaved
+          ? `❌ Verification failed for ${transfer.fileName}: ${integrityError} - the browser already saved ${transfer.saveName}, it must be deleted`
+          : `❌ Verification failed for ${transfer.fileName}: ${integrityError} - not saving`);
+        await transfer.writer.abort();
+        setDownloadedFiles(prev => [...prev, downloadedFile]);
+        return;
+      }
+
+      // Disk and service-worker sinks have already saved the file; memory sinks hand back a Blob
+      const blob = await transfer.writer.close();
+
+      if (blob) {
+        downloadedFile.url = URL.createObjectURL(blob);
+      }
+
       setDownloadedFiles(prev => [...prev, downloadedFile]);
       
       // Mark file as completed
       setCompletedDownloads(prev => new Set([...prev, transfer.fileId]));
-      console.log(`✅ Marked file as completed: ${transfer.fileName} (ID: ${transfer.fileId})`);
+      console.log(`✅ Marked file as completed: ${transfer.fileName} (ID: ${transfer.fileId}, ${integrity}, ${transfer.sinkType})`);
       
       // Auto-download
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = transfer.fileName;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
+      if (downloadedFile.url) {
+        const a = document.createElement('a');
+        a.href = downloadedFile.url;
+        a.download = transfer.saveName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+      }
+
+      console.log(`✅ Download completed: ${transfer.fileName} in ${formatTime(downloadedFile.downloadTime)}`);
+
+    } catch (error) {
+      failure = error.message || 'Could not save the file';
+      console.error(`❌ Failed to assemble file: ${transfer.fileName}`, error);
+    } finally {
+      // Clean up transfer first
+      activeTransfersRef.current.delete(message.requestId);
+      setActiveDownloads(prev => {
+        const remaining = prev.filter(d => d.id !== message.requestId);
+        return remaining;
+      });
+
+      transferDiagnosticsService.endTransfer(message.requestId, failure ? 'failed' : 'completed', failure || '');
+      if (failure) {
+        failOrRetry(transfer.fileId, failure, failureCode);
+      } else {
+        downloadQueueRef.current.complete(transfer.fileId);
+      }
+      settleArchiveFile(transfer.fileId); // After failOrRetry, so a retried entry keeps its place
+      processDownloadQueue(); // Next file into the free slot
+    }
+  };
+
+  // A file of the ZIP being built is done (or failed) - finish the archive after the last one.
+  // A file queued again for a retry stays in the archive and gets its entry when it comes back
+  const settleArchiveFile = (fileId) => {
+    const archive = archiveRef.current;
+    if (!archive || !archive.remaining.has(fileId)) return;
+
+    const item = downloadQueueRef.current.get(fileId);
+    if (!item || item.status !== 'queued') {
+      archive.remaining.delete(fileId);
+    }
+    if (archive.activeFileId === fileId) {
+      archive.activeFileId = null;
+    }
+    if (archive.remaining.size === 0) {
+      finishArchive(archive);
+    } else {
+      setTimeout(() => processDownloadQueue(), 300); // Start the next entry
+    }
+  };
+
+  settleArchiveFileRef.current = settleArchiveFile;
+
+  // Write the ZIP's central directory and hand the archive to the user in one save
+  const finishArchive = async (archive) => {
+    archiveRef.current = null;
+    console.log(`📦 Finishing ${archive.name} (${archive.entryNames.size} file(s))`);
+
+    const downloadedFile = {
+      id: Date.now() + Math.random(),
+      fileId: null,
+      name: archive.name,
+      relativePath: '',
+      size: archive.totalSize,
+      type: 'application/zip',
+      url: null,
+      sinkType: archive.zip.sink.type,
+      integrity: 'unverified', // Entries are verified one by one
+      integrityError: null,
+      timestamp: new Date().toISOString(),
+      downloadTime: (Date.now() - archive.startTime) / 1000
+    };
+
+    try {
+      const blob = await archive.zip.close();
+      if (blob) {
+        downloadedFile.url = URL.createObjectURL(blob);
+        downloadedFile.size = blob.size;
+        const a = document.createElement('a');
+        a.href = downloadedFile.url;
+        a.download = archive.name;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+      }
+      setDownloadedFiles(prev => [...prev, downloadedFile]);
+      console.log(`✅ ZIP completed: ${archive.name} in ${formatTime(downloadedFile.downloadTime)}`);
+    } catch (error) {
+      console.error(`❌ Failed to finish ZIP ${archive.name}:`, error);
+      await archive.zip.abort().catch(() => {});
+    }
+  };
+
+  // Open one sink for a ZIP of the given files. Must be called from the click.
+  // Returns false if the user cancelled or another ZIP is still being built.
+  const startArchive = async (files, archiveName, folderPath = '') => {
+    if (archiveRef.current) {
+      console.warn(`⚠️ Still building ${archiveRef.current.name}, wait for it to finish`);
+      return false;
+    }
+
+    const totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
+    const sinkType = chooseSinkType(totalSize);
+    let sink;
+    try {
+      sink = sinkType === SINK_TYPES.FILE_SYSTEM
+        ? await createFileSystemSink(archiveName)
+        : await createSink(sinkType, archiveName, 'application/zip');
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('🚫 Save dialog dismissed, not creating ZIP');
+        return false;
+      }
+      console.warn('⚠️ Save picker failed, streaming the ZIP instead:', error);
+      sink = await createSink(SINK_TYPES.SERVICE_WORKER, archiveName, 'application/zip');
+    }
+
+    const entryNames = new Map(files.map(file => [
+      file.id,
+      pathWithinFolder(file.relativePath || file.name, folderPath)
+    ]));
+    archiveRef.current = {
+      zip: new ZipWriter(sink),
+      name: archiveName,
+      entryNames,
+      remaining: new Set(entryNames.keys()),
+      activeFileId: null,
+      totalSize,
+      startTime: Date.now()
+    };
+    console.log(`📦 Building ${archiveName}: ${files.length} file(s) into a ${sink.type} sink`);
+    return true;
+  };
+
+  // Move a transfer to a new state and mirror it in the UI; false if the move isn't allowed
+  const setTransferState = (transferId, nextState, by = 'me') => {
+    const transfer = activeTransfersRef.current.get(transferId);
+    if (!transfer) return false;
+    const current = transfer.state || 'active';
+    if (!TRANSFER_TRANSITIONS[current].includes(nextState)) return false;
+
+    if (current === 'paused') {
+      transfer.pausedMs = (transfer.pausedMs || 0) + (Date.now() - transfer.pausedAt);
+    }
+    transfer.state = nextState;
+    transfer.pausedBy = nextState === 'paused' ? by : null;
+    transfer.pausedAt = Date.now();
+    if (transfer.onStateChange) {
+      transfer.onStateChange();
+    }
+
+    setActiveDownloads(prev => prev.map(d =>
+      d.id === transferId
+        ? { ...d, state: nextState, pausedBy: transfer.pausedBy, speed: nextState === 'paused' ? 0 : d.speed }
+        : d
+    ));
+    return true;
+  };
+
+  // Stop an upload at its next chunk (even a paused one); the loop ends without
+  // sending download-error and removes the row itself. code says why (see ERROR_CODES)
+  const stopUpload = (transferId, reason, code) => {
+    const upload = activeTransfersRef.current.get(transferId);
+    if (!upload || !upload.isUploading) return;
+    upload.stopReason = reason;
+    upload.stopCode = code;
+    upload.state = 'cancelled';
+    if (upload.onStateChange) {
+      upload.onStateChange();
+    }
+  };
+
+  // The other side paused or resumed one of our transfers
+  const handleTransferPause = (message, peerId) => {
+    const transfer = activeTransfersRef.current.get(message.requestId);
+    if (!transfer || transfer.peerId !== peerId) return;
+    const paused = message.type === 'transfer-pause';
+    if (setTransferState(message.requestId, paused ? 'paused' : 'active', 'peer')) {
+      console.log(`${paused ? '⏸️' : '▶️'} ${peerId} ${paused ? 'paused' : 'resumed'} ${transfer.fileName}`);
+    }
+  };
+
+  // The other side cancelled - stop sending, or throw away what we received
+  const handleTransferCancel = (message, peerId) => {
+    dropWaitingUploads(waiting => waiting.request.requestId === message.requestId && waiting.peerId === peerId);
+    const transfer = activeTransfersRef.current.get(message.requestId);
+    if (!transfer || transfer.peerId !== peerId) return;
+    console.log(`🛑 ${peerId} cancelled ${transfer.fileName}`);
+    if (transfer.isUploading) {
+      stopUpload(message.requestId, 'Cancelled by the receiver', ERROR_CODES.CANCELLED);
+      uploadRecordsRef.current.delete(message.requestId);
+    } else {
+      setTransferState(message.requestId, 'cancelled', 'peer');
+      handleDownloadError({ requestId: message.requestId, error: 'Cancelled by the sender', code: ERROR_CODES.CANCELLED });
+    }
+  };
+
+  // A device pushed files to us - download them right away or ask first
+  const handleTransferOffer = (message, peerId) => {
+    if (!isPeerTrusted(peerId)) {
+      console.warn(`🔑 Ignoring transfer offer from ${peerId} - key or verification code not confirmed`);
+      return;
+    }
+
+    // Offered files are listed like shared ones, so they can still be pulled later
+    (message.files || []).forEach(file => handleFileMetadata(file, peerId));
+
+    const info = peerInfoRef.current.get(peerId) || {};
+    const offer = {
+      offerId: message.offerId,
+      peerId,
+      deviceName: info.deviceName || 'Peer device',
+      files: (message.files || []).map(file => ({
+        id: file.fileId,
+        name: file.name,
+        size: file.size,
+        type: file.mimeType,
+        relativePath: sanitizeRelativePath(file.relativePath),
+        timestamp: file.timestamp,
+        isAvailable: true,
+        peerId,
+        deviceName: info.deviceName || 'Peer device'
+      })),
+      receivedAt: Date.now()
+    };
+    offer.totalSize = offer.files.reduce((sum, file) => sum + file.size, 0);
+    console.log(`📨 ${offer.deviceName} is sending ${offer.files.length} file(s)`);
+
+    if (autoAcceptOffersRef.current || trustedSendersRef.current.has(info.clientId)) {
+      acceptIncomingOffer(offer);
+      return;
+    }
+    incomingOffersRef.current.set(offer.offerId, offer);
+    setIncomingOffers(prev => [...prev.filter(o => o.offerId !== offer.offerId), offer]);
+  };
+
+  // Request every offered file; they download (or queue) like ones picked by hand
+  const acceptIncomingOffer = async (offer) => {
+    console.log(`📨 Accepting ${offer.files.length} file(s) from ${offer.deviceName}`);
+    sendToPeer(offer.peerId, { type: 'transfer-offer-accepted', offerId: offer.offerId });
+    for (const fileInfo of offer.files) {
+      await requestDownloadRef.current(fileInfo);
+    }
+  };
+
+  const removeIncomingOffer = (offerId) => {
+    const offer = incomingOffersRef.current.get(offerId);
+    incomingOffersRef.current.delete(offerId);
+    setIncomingOffers(prev => prev.filter(o => o.offerId !== offerId));
+    return offer;
+  };
+
+  // The receiver answered one of our offers
+  const handleOfferReply = (message) => {
+    const accepted = message.type === 'transfer-offer-accepted';
+    console.log(`📨 Offer ${message.offerId} ${accepted ? 'accepted' : 'declined'}`);
+    setOutgoingOffers(prev => prev.map(offer =>
+      offer.offerId === message.offerId ? { ...offer, status: accepted ? 'accepted' : 'declined' } : offer
+    ));
+  };
+
+  // The sender stopped sharing files - forget them and stop anything still coming in
+  const handleFileRevoked = (message, peerId) => {
+    const fileIds = new Set(message.fileIds || []);
+    const reason = 'The sender stopped sharing this file';
+    console.log(`🗑️ ${peerId} unshared ${fileIds.size} file(s)`);
+
+    setAvailableFiles(prev => prev.filter(f => !(f.peerId === peerId && fileIds.has(f.id))));
+    fileIds.forEach(fileId => {
+      const item = downloadQueueRef.current.get(fileId);
+      if (item && item.status !== 'active' && item.peerId === peerId) {
+        downloadQueueRef.current.remove(fileId);
+      }
+    });
+
+    for (const [requestId, request] of pendingRequestsRef.current.entries()) {
+      if (request.peerId === peerId && fileIds.has(request.fileId)) {
+        handleDownloadError({ requestId, fileId: request.fileId, error: reason, code: ERROR_CODES.UNSHARED, retryable: false });
+      }
+    }
+    for (const [transferId, transfer] of activeTransfersRef.current.entries()) {
+      // Interrupted downloads may be waiting under the sender's old peer ID
+      if (transfer.isDownloading && fileIds.has(transfer.fileId) && (transfer.peerId === peerId || transfer.isInterrupted)) {
+        handleDownloadError({ requestId: transferId, error: reason, code: ERROR_CODES.UNSHARED, retryable: false });
+      }
+    }
+    fileIds.forEach(fileId => {
+      settleArchiveFile(fileId); // Queued ZIP entries that will never arrive
+      const preparedSink = preparedSinksRef.current.get(fileId);
+      if (preparedSink) {
+        preparedSink.abort().catch(() => {});
+        preparedSinksRef.current.delete(fileId);
+      }
+      folderTargetsRef.current.delete(fileId);
+    });
+
+    // Pushed files that are gone can't be accepted any more
+    incomingOffersRef.current.forEach((offer, offerId) => {
+      if (offer.peerId !== peerId) return;
+      offer.files = offer.files.filter(file => !fileIds.has(file.id));
+      if (offer.files.length === 0) {
+        incomingOffersRef.current.delete(offerId);
+      }
+    });
+    setIncomingOffers([...incomingOffersRef.current.values()].map(offer => ({ ...offer })));
+  };
+
+  // The other side refused a transfer: the sender declined our request, or the
+  // receiver of one of our uploads turned it down
+  const handleDownloadDenied = (message, peerId) => {
+    const upload = activeTransfersRef.current.get(message.requestId);
+    if (upload && upload.isUploading) {
+      console.warn(`🚫 ${peerId} refused ${upload.fileName}: ${message.reason}`);
+      stopUpload(message.requestId, `Receiver refused the file: ${message.reason || 'no reason given'}`, ERROR_CODES.DENIED);
+      return;
+    }
+
+    const request = pendingRequestsRef.current.get(message.requestId);
+    const fileId = message.fileId || (request && request.fileId) || (upload && upload.fileId);
+    const reason = message.reason || 'Declined by the sender';
+    console.warn(`🚫 Download denied: ${reason}`);
+    if (fileId) {
+      setDeniedDownloads(prev => ({ ...prev, [fileId]: reason }));
+    }
+    handleDownloadError({ requestId: message.requestId, fileId, error: reason, code: message.code || ERROR_CODES.DENIED });
+  };
+
+  // Handle download error
+  const handleDownloadError = (message) => {
+    console.error(`❌ Download error: ${message.error}`);
+    const request = pendingRequestsRef.current.get(message.requestId);
+    pendingRequestsRef.current.delete(message.requestId);
+    const transfer = activeTransfersRef.current.get(message.requestId);
+
+    // A refused resume keeps the chunks already received: ask again shortly if the sender was busy
+    // or not ready, otherwise when it reconnects (or until the resume window runs out)
+    if (transfer && transfer.isInterrupted && message.retryable !== false &&
+        message.code !== ERROR_CODES.RESUME_EXPIRED && message.code !== ERROR_CODES.FILE_UNAVAILABLE) {
+      const resumePeerId = transfer.resumeRequestedFrom;
+      transfer.resumeRequestedFrom = null;
+      console.warn(`⏸️ Resume of ${transfer.fileName} refused (${message.error}) - keeping ${transfer.receivedChunks} chunks`);
+      if (resumePeerId && isRetryableError(message.code)) {
+        setTimeout(() => resumeInterruptedDownloads(resumePeerId), getRetryDelay(1));
+      }
+      return;
+    }
+
+    transferDiagnosticsService.endTransfer(message.requestId, message.code === ERROR_CODES.CANCELLED ? 'cancelled' : 'failed', message.error);
+    let aborted = Promise.resolve();
+    if (transfer) {
+      clearTimeout(transfer.resumeTimeout);
+      if (transfer.writer) {
+        aborted = Promise.resolve(transfer.writer.abort());
+      }
+    }
+
+    const fileId = transfer ? transfer.fileId : (request ? request.fileId : message.fileId);
+    setAwaitingApproval(prev => {
+      if (!prev.has(fileId)) return prev;
+      const next = new Set(prev);
+      next.delete(fileId);
+      return next;
+    });
+    activeTransfersRef.current.delete(message.requestId);
+    setActiveDownloads(prev => {
+      const remaining = prev.filter(d => d.id !== message.requestId);
+      return remaining;
+    });
+    console.log(`💭 Download failed (no popup): ${message.error}`);
+
+    // Retry or keep the file as failed, unless it's gone or the user cancelled it
+    if (message.retryable === false) {
+      downloadQueueRef.current.remove(fileId);
+    } else {
+      failOrRetry(fileId, message.error, message.code);
+    }
+    // Wait for a ZIP entry to be dropped before the next one starts
+    aborted.finally(() => settleArchiveFile(fileId));
+    processDownloadQueue(); // Next file into the free slot
+  };
+
+  // Transient failures go back in the queue with backoff (see retryPolicy - decided by the error code,
+  // the error text is only shown); the rest are listed as failed
+  const failOrRetry = (fileId, error, code) => {
+    const queue = downloadQueueRef.current;
+    const item = queue.get(fileId);
+    if (!item || item.status !== 'active') return;
+
+    const delayMs = nextRetryDelay(code, item.attempts, RETRY_POLICY, item.waits || 0);
+    if (delayMs === null) {
+      console.log(`⚠️ Giving up on ${item.name} after ${item.attempts} attempt(s): ${error}`);
+      queue.fail(fileId, error);
+      return;
+    }
+    // A busy sender isn't a failure - wait for it without using up attempts
+    if (isWaitError(code)) {
+      console.log(`⏳ ${item.name}: sender busy, asking again in ${(delayMs / 1000).toFixed(1)}s`);
+      transferDiagnosticsService.logEvent(null, 'retry', `${item.name} waiting ${(delayMs / 1000).toFixed(1)}s for a busy sender: ${error}`);
+      queue.scheduleRetry(fileId, error, delayMs, { countAttempt: false });
+      setTimeout(() => processDownloadQueue(), delayMs);
+      return;
+    }
+    console.log(`🔁 Retrying ${item.name} in ${(delayMs / 1000).toFixed(1)}s (attempt ${item.attempts + 1}/${RETRY_POLICY.maxAttempts}): ${error}`);
+    transferDiagnosticsService.logEvent(null, 'retry', `${item.name} queued again in ${(delayMs / 1000).toFixed(1)}s (attempt ${item.attempts + 1}/${RETRY_POLICY.maxAttempts}): ${error}`);
+    queue.scheduleRetry(fileId, error, delayMs);
+    setTimeout(() => processDownloadQueue(), delayMs);
+  };
+
+  // A peer went away - drop its catalog, keep its partial downloads for resume
+  const handlePeerGone = (peerId, peer, disconnectStatus) => {
+    // A newer connection to the same peer ID already replaced this one
+    if (peersRef.current.get(peerId) !== peer) return;
+    peersRef.current.delete(peerId);
+    peerInfoRef.current.delete(peerId);
+    heldRequestsRef.current.delete(peerId); // The requester asks again after reconnecting
+    dropWaitingUploads(waiting => waiting.peerId === peerId);
+    adaptiveAgent.removePeer(peerId);
+
+    setAvailableFiles(prev => prev.filter(f => f.peerId !== peerId)); // Clear files from this peer
+
+    // Cancel ongoing speed tests against this peer
+    if (speedTestPeerIdRef.current === peerId) {
+      if (speedTesterRef.current) {
+        speedTesterRef.current.handlePeerDisconnect();
+      }
+      speedTesterRef.current = null;
+      speedTestPeerIdRef.current = null;
+      speedCapabilitiesExchanged.current = false; // Reset speed capabilities flag
+    }
+
+    // Keep partial downloads so they can resume after reconnect
+    interruptActiveTransfers(peerId);
+
+    const remaining = updateConnectedPeers();
+    if (remaining.length === 0) {
+      setStatus(disconnectStatus);
+    }
+  };
+
+  // ICE found no working path to the device. The initiator retries once through TURN;
+  // the other side waits for the new offer. Without a relay, tell the user why.
+  const handleIceFailure = (peer, remotePeerId, roomId, initiator, relayOnly) => {
+    if (peersRef.current.get(remotePeerId) !== peer) return;
+    console.warn(`🧊 ICE failed for ${remotePeerId}${relayOnly ? ' over TURN relay' : ''}`);
+    handlePeerGone(remotePeerId, peer, 'disconnected');
+    peer.destroy();
+
+    // A rebuild attempt that didn't get through - try again after the next backoff
+    if (reconnectsRef.current.has(remotePeerId)) {
+      scheduleReconnect(remotePeerId, roomId, initiator, relayOnly);
+      return;
+    }
 
-      console.log(`✅ Download completed: ${transfer.fileName} in ${formatTime(downloadedFile.downloadTime)}`);
+    if (!relayOnly && iceConfigService.hasRelay()) {
+      if (initiator) {
+        console.log(`🔁 Retrying ${remotePeerId} through TURN relay`);
+        createPeerRef.current(true, roomId, remotePeerId, { relayOnly: true });
+      }
+      return;
+    }
 
-    } catch (error) {
-      console.error(`❌ Failed to assemble file: ${transfer.fileName}`, error);
-    } finally {
-      // Clean up transfer first
-      activeTransfersRef.current.delete(message.requestId);
-      setActiveDownloads(prev => {
-        const remaining = prev.filter(d => d.id !== message.requestId);
-        return remaining;
-      });
-      
-      // Small delay to ensure state cleanup is complete before releasing lock
-      setTimeout(() => {
-        // Download completed, no lock to release
-        
-        // Process next item in queue if exists
-        setDownloadQueue(prev => {
-          if (prev.length > 0) {
-            console.log(`📋 ${prev.length} files remaining in queue, processing next...`);
-            // Additional delay to ensure lock is released
-            setTimeout(() => processDownloadQueue(), 300);
-            return prev;
-          } else {
-            // No more files in queue, stop download all
-            console.log('✅ All downloads completed, stopping Download All');
-            console.log('📊 Final download count check - remaining queue length:', prev.length);
-            setIsDownloadingAll(false);
-            // All downloads completed
-            // Reset downloadAll flags
-            downloadAllLock.current = false;
-            downloadAllExecuted.current = false;
-            queueProcessingStarted.current = false;
-            return prev;
-          }
-        });
-      }, 100);
+    setConnectionError(relayOnly
+      ? 'Could not connect through the TURN relay. Check the TURN server address and credentials.'
+      : 'Could not reach the other device directly - a firewall or strict NAT is blocking it and no TURN relay is configured.');
+  };
+
+  // An established connection dropped and wasn't closed on purpose - rebuild it with backoff
+  // while we're still in the room. Only the side that made the offer rebuilds (avoids both
+  // sides offering at once); the other side counts attempts while it waits for the new offer.
+  const scheduleReconnect = (remotePeerId, roomId, initiator, relayOnly) => {
+    const state = reconnectsRef.current.get(remotePeerId) || { attempt: 0, timer: null };
+    if (state.timer) return; // 'error' and 'close' both land here
+
+    if (!socket || !socket.connected || !roomId || state.attempt >= MAX_RECONNECT_ATTEMPTS) {
+      console.warn(`🔌 Giving up on reconnecting to ${remotePeerId} after ${state.attempt} attempt(s)`);
+      reconnectsRef.current.delete(remotePeerId);
+      updateReconnectStatus();
+      if (peersRef.current.size === 0) {
+        setStatus('disconnected');
+      }
+      return;
     }
+
+    state.attempt++;
+    const delayMs = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (state.attempt - 1), RECONNECT_MAX_DELAY_MS);
+    console.log(`🔄 Reconnecting to ${remotePeerId} in ${delayMs}ms (attempt ${state.attempt}/${MAX_RECONNECT_ATTEMPTS})`);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      if (!reconnectsRef.current.has(remotePeerId)) return; // Recovered or left meanwhile
+      if (initiator) {
+        createPeerRef.current(true, roomId, remotePeerId, { relayOnly });
+      } else if (!peersRef.current.has(remotePeerId)) {
+        scheduleReconnect(remotePeerId, roomId, initiator, relayOnly); // Still no offer - keep waiting
+      }
+    }, delayMs);
+    reconnectsRef.current.set(remotePeerId, state);
+    updateReconnectStatus();
   };
 
-  // Handle download error
-  const handleDownloadError = (message) => {
-    console.error(`❌ Download error: ${message.error}`);
-    activeTransfersRef.current.delete(message.requestId);
-    setActiveDownloads(prev => {
-      const remaining = prev.filter(d => d.id !== message.requestId);
-      return remaining;
-    });
-    console.log(`💭 Download failed (no popup): ${message.error}`);
-    
-    // Small delay to ensure cleanup before releasing lock
-    setTimeout(() => {
-      // Download error, no lock to release
-      
-      // Process next item in queue if exists
-      setDownloadQueue(prev => {
-        if (prev.length > 0) {
-          console.log(`📋 ${prev.length} files remaining in queue, processing next after error...`);
-          setTimeout(() => processDownloadQueue(), 300);
-          return prev;
-        } else {
-          console.log('✅ All downloads completed (with errors), stopping Download All');
-          setIsDownloadingAll(false);
-          downloadAllLock.current = false;
-          downloadAllExecuted.current = false;
-          queueProcessingStarted.current = false;
-          return prev;
-        }
-      });
-    }, 100);
+  // Show 'reconnecting' with the highest attempt while any device is being recovered
+  const updateReconnectStatus = () => {
+    const attempts = Array.from(reconnectsRef.current.values()).map(state => state.attempt);
+    const attempt = attempts.length > 0 ? Math.max(...attempts) : 0;
+    setReconnectAttempt(attempt);
+    updateConnectedPeers();
+  };
+
+  // Connection is back - stop retrying and refresh both file catalogs
+  const handleReconnected = (remotePeerId) => {
+    const state = reconnectsRef.current.get(remotePeerId);
+    if (!state) return;
+    clearTimeout(state.timer);
+    reconnectsRef.current.delete(remotePeerId);
+    console.log(`✅ Reconnected to ${remotePeerId} after ${state.attempt} attempt(s)`);
+    updateReconnectStatus();
+    sendToPeer(remotePeerId, { type: 'files-list-request' });
+    sendMyFilesList(remotePeerId);
+  };
+
+  // Ask for fresh ICE candidates on the existing connection (the offering side drives it)
+  const restartIce = (peer, remotePeerId, initiator) => {
+    if (peer.destroyed || !peer._pc || peersRef.current.get(remotePeerId) !== peer) return;
+    const state = reconnectsRef.current.get(remotePeerId) || { attempt: 0, timer: null };
+    state.attempt = Math.max(state.attempt, 1);
+    reconnectsRef.current.set(remotePeerId, state);
+    updateReconnectStatus();
+
+    if (!initiator) {
+      console.log(`🧊 Waiting for ${remotePeerId} to restart ICE`);
+      return;
+    }
+    console.log(`🧊 Restarting ICE with ${remotePeerId}`);
+    iceRestartingRef.current.add(peer);
+    if (typeof peer._pc.restartIce === 'function') {
+      peer._pc.restartIce();
+    } else {
+      peer.offerOptions = { ...peer.offerOptions, iceRestart: true };
+    }
+    peer.negotiate();
   };
 
-  // Create peer connection with enhanced debugging
-  const createPeer = useCallback((initiator, roomId) => {
-    console.log('🔗 Creating peer connection, initiator:', initiator);
+  // Create peer connection with enhanced debugging.
+  // relayOnly sends everything through TURN (used to retry after direct ICE fails).
+  const createPeer = useCallback((initiator, roomId, remotePeerId = DEFAULT_PEER_ID, { relayOnly = false } = {}) => {
+    console.log(`🔗 Creating peer connection to ${remotePeerId}, initiator:`, initiator, relayOnly ? '(relay only)' : '');
+
+    // A new offer for a device we already have a connection to replaces that connection
+    const previousPeer = peersRef.current.get(remotePeerId);
+    if (previousPeer) {
+      closingPeersRef.current.add(previousPeer);
+      handlePeerGone(remotePeerId, previousPeer, 'disconnected');
+      previousPeer.destroy();
+    }
     
     const peer = new SimplePeer({
       initiator,
-      trickle: false,
-      config: {
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' },
-          { urls: 'stun:stun1.l.google.com:19302' }
-        ]
-      },
+      trickle: TRICKLE_ICE,
+      config: iceConfigService.getRtcConfig({ relayOnly }),
       // Increase buffer sizes for large file transfers
       channelConfig: {
         maxRetransmits: 10,
@@ -813,31 +2231,122 @@ export const useOnDemandTransfer = () => {
       }
     });
 
+    const connectTimer = startConnectTimer({ trickle: TRICKLE_ICE, relayOnly });
+    connectTimersRef.current.set(peer, connectTimer);
+
+    // With trickle ICE this fires for the offer/answer and then once per candidate
     peer.on('signal', (data) => {
-      console.log('📡 Sending WebRTC signal');
-      socket.emit('signal', { roomId, signal: data });
+      console.log(`📡 Sending WebRTC ${data.type || (data.candidate ? 'candidate' : 'signal')} to ${remotePeerId}`);
+      markSignal(connectTimer, data, 'out');
+      // Mark restart offers so the other side keeps its connection instead of replacing it
+      let signal = data;
+      if (data.type === 'offer' && iceRestartingRef.current.has(peer)) {
+        iceRestartingRef.current.delete(peer);
+        signal = { ...data, iceRestart: true };
+      }
+      socket.emit('signal', { roomId, signal, to: signalTargetRef.current.get(remotePeerId) || remotePeerId });
+    });
+
+    // ICE that keeps checking without ever connecting is treated like a failure.
+    // Once connected, a 'disconnected' link that doesn't recover gets an ICE restart.
+    let iceCheckTimeout = null;
+    let iceRestartTimeout = null;
+    let wasConnected = false;
+    peer.on('iceStateChange', (iceConnectionState) => {
+      if (iceConnectionState === 'checking' && !iceCheckTimeout) {
+        iceCheckTimeout = setTimeout(() => {
+          if (!peer.connected && !peer.destroyed) {
+            handleIceFailure(peer, remotePeerId, roomId, initiator, relayOnly);
+          }
+        }, ICE_CHECK_TIMEOUT_MS);
+      }
+
+      if (iceConnectionState === 'disconnected' && peer.connected && !iceRestartTimeout) {
+        console.warn(`🧊 Link to ${remotePeerId} disconnected, restarting ICE if it doesn't recover`);
+        iceRestartTimeout = setTimeout(() => {
+          iceRestartTimeout = null;
+          if (peer._pc && peer._pc.iceConnectionState === 'disconnected') {
+            restartIce(peer, remotePeerId, initiator);
+          }
+        }, ICE_RESTART_DELAY_MS);
+      }
+
+      if ((iceConnectionState === 'connected' || iceConnectionState === 'completed') && peer.connected) {
+        clearTimeout(iceRestartTimeout);
+        iceRestartTimeout = null;
+        handleReconnected(remotePeerId);
+      }
     });
 
     peer.on('connect', () => {
-      console.log('✅ Peer connected successfully!');
-      setIsConnected(true);
-      setStatus('connected');
+      console.log(`✅ Peer ${remotePeerId} connected successfully!`);
+      wasConnected = true;
+      clearTimeout(iceCheckTimeout);
+      setConnectionError(null);
+      const reconnecting = reconnectsRef.current.get(remotePeerId);
+      if (reconnecting) {
+        clearTimeout(reconnecting.timer);
+        reconnectsRef.current.delete(remotePeerId);
+        console.log(`✅ Rebuilt connection to ${remotePeerId} (attempt ${reconnecting.attempt})`);
+        updateReconnectStatus();
+      }
+
+      peer.on('data', (data) => handlePeerMessage(data, remotePeerId));
+      updatePeerInfo(remotePeerId, { connectionType: null, connectTimeMs: null });
+      updateConnectedPeers();
 
-      peer.on('data', handlePeerMessage);
+      // Tell the user whether data goes straight to the device or through a TURN relay
+      detectConnectionType(peer).catch(error => {
+        console.warn('⚠️ Could not detect connection type:', error);
+        return null;
+      }).then(connectionType => {
+        const metric = recordConnected(connectTimer, connectionType);
+        console.log(`⏱️ Connected to ${remotePeerId} in ${metric.connectMs}ms (${metric.trickle ? 'trickle' : 'non-trickle'} ICE, ${metric.localCandidates} local / ${metric.remoteCandidates} remote candidates)`, summarizeConnectMetrics());
+        if (peersRef.current.get(remotePeerId) !== peer) return;
+        if (connectionType) {
+          console.log(`🧊 Link to ${remotePeerId} is ${connectionType === 'relay' ? 'relayed through TURN' : 'direct'}`);
+        }
+        updatePeerInfo(remotePeerId, { connectionType, connectTimeMs: metric.connectMs });
+        updateConnectedPeers();
+      });
+
+      // Code for the users to compare - differs on both ends if the signalling server swapped fingerprints
+      getPeerShortAuthString(peer).then(sas => {
+        if (!sas || peersRef.current.get(remotePeerId) !== peer) return;
+        console.log(`🔐 Verification code for ${remotePeerId}: ${sas.digits} ${sas.emoji}`);
+        updatePeerInfo(remotePeerId, { sas, verified: false });
+        updateConnectedPeers();
+      }).catch(error => console.warn('⚠️ Could not compute verification code:', error));
+
+      // Tell the other side who we are so it can group our files and resume transfers
+      sendToPeer(remotePeerId, {
+        type: 'peer-info',
+        clientId: clientIdRef.current,
+        protocolVersion: PROTOCOL_VERSION,
+        deviceName: `${adaptiveAgent.deviceType} (${clientIdRef.current.slice(-4)})`
+      });
+
+      // Confirm both sides derived the same room key before any files are listed
+      sendKeyCheck(remotePeerId);
 
-      // Initialize SpeedTester
-      speedTesterRef.current = new SpeedTester(peer);
+      // Initialize SpeedTester against the first connected peer
+      if (!speedTesterRef.current) {
+        speedTesterRef.current = new SpeedTester(peer);
+        speedTestPeerIdRef.current = remotePeerId;
+      }
 
       // Test connection with ping
       setTimeout(() => {
         console.log('🔄 Testing connection and syncing files...');
-        sendPing();
-        sendMyFilesList();
+        sendPing(remotePeerId);
+        sendMyFilesList(remotePeerId);
       }, 1000);
 
-      // Run automatic speed detection after connection stabilizes
+      // Run automatic speed detection after connection stabilizes. The test covers both
+      // directions, so only the initiator runs it - the other side mirrors its results.
       setTimeout(() => {
-        if (!speedTestCompleted.current && peer.connected && runSpeedTestRef.current) {
+        if (!initiator) return;
+        if (!speedTestCompleted.current && peer.connected && runSpeedTestRef.current && speedTestPeerIdRef.current === remotePeerId) {
           console.log('🚀 Triggering automatic speed detection...');
           runSpeedTestRef.current();
         } else {
@@ -854,7 +2363,7 @@ export const useOnDemandTransfer = () => {
       const syncInterval = setInterval(() => {
         if (syncAttempts < 5 && peer.connected) {
           console.log(`🔄 Sync attempt ${syncAttempts + 1}/5`);
-          sendMyFilesList();
+          sendMyFilesList(remotePeerId);
           syncAttempts++;
         } else {
           clearInterval(syncInterval);
@@ -862,55 +2371,54 @@ export const useOnDemandTransfer = () => {
       }, 3000);
     });
 
+    // Don't clear downloads - they resume once the peer reconnects
+    const handleDropped = (disconnectStatus) => {
+      clearTimeout(iceCheckTimeout);
+      clearTimeout(iceRestartTimeout);
+      if (peersRef.current.get(remotePeerId) !== peer) return;
+      handlePeerGone(remotePeerId, peer, disconnectStatus);
+      if ((wasConnected || reconnectsRef.current.has(remotePeerId)) && !closingPeersRef.current.has(peer)) {
+        scheduleReconnect(remotePeerId, roomId, initiator, relayOnly);
+      }
+    };
+
     peer.on('error', (err) => {
-      console.error('❌ Peer error:', err);
+      console.error(`❌ Peer ${remotePeerId} error:`, err);
       
-      // Check if it's a user-initiated abort (mobile browser backgrounding)
-      if (err.message && err.message.includes('User-Initiated Abort')) {
+      if (!wasConnected && (err.code === 'ERR_ICE_CONNECTION_FAILURE' || err.code === 'ERR_CONNECTION_FAILURE')) {
+        // No usable network path between the devices
+        clearTimeout(iceCheckTimeout);
+        handleIceFailure(peer, remotePeerId, roomId, initiator, relayOnly);
+      } else if (err.message && err.message.includes('User-Initiated Abort')) {
+        // User-initiated abort (mobile browser backgrounding)
         console.warn('📱 Mobile browser backgrounded - connection lost');
-        setStatus('mobile-disconnected');
+        handleDropped('mobile-disconnected');
       } else {
-        setStatus('disconnected');
-      }
-      
-      setIsConnected(false);
-      
-      // Don't immediately clear transfers - they might resume
-      if (!err.message || !err.message.includes('User-Initiated Abort')) {
-        setActiveDownloads([]);
-        activeTransfersRef.current.clear();
+        handleDropped('disconnected');
       }
     });
 
     peer.on('close', () => {
-      console.log('🔌 Peer disconnected');
-      setIsConnected(false);
-      setStatus('disconnected');
-      setAvailableFiles([]); // Clear available files when peer disconnects
-      speedCapabilitiesExchanged.current = false; // Reset speed capabilities flag
-
-      // Cancel ongoing speed tests
-      if (speedTesterRef.current) {
-        speedTesterRef.current.handlePeerDisconnect();
-      }
-
-      // Clear active transfers on disconnect
-      setActiveDownloads([]);
-      activeTransfersRef.current.clear();
+      console.log(`🔌 Peer ${remotePeerId} disconnected`);
+      handleDropped('disconnected');
     });
 
-    peerRef.current = peer;
+    peersRef.current.set(remotePeerId, peer);
     return peer;
-  }, [socket, handlePeerMessage]);
+  }, [socket, handlePeerMessage, sendToPeer]);
+  createPeerRef.current = createPeer;
 
-  // Share files (metadata only) with enhanced debugging
+  // Share files (metadata only) with enhanced debugging.
+  // Accepts File objects (folder inputs set webkitRelativePath) or { file, relativePath } from dropped folders.
   const shareFiles = useCallback((files) => {
     console.log(`📋 shareFiles called with ${files.length} files`);
     
     const fileArray = Array.isArray(files) ? files : [files];
     console.log(`📋 Sharing metadata for ${fileArray.length} file(s)`);
 
-    fileArray.forEach(file => {
+    return fileArray.map(item => {
+      const file = item instanceof Blob ? item : item.file;
+      const relativePath = sanitizeRelativePath((item instanceof Blob ? file.webkitRelativePath : item.relativePath) || '');
       const fileId = `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
       console.log(`📎 Storing file reference:`, fileId, file.name);
@@ -923,6 +2431,7 @@ export const useOnDemandTransfer = () => {
         name: file.name,
         size: file.size,
         type: file.type,
+        relativePath: relativePath, // Path inside a shared folder ('' for loose files)
         timestamp: new Date().toISOString(),
         file: file // Keep reference for uploads
       };
@@ -932,8 +2441,8 @@ export const useOnDemandTransfer = () => {
         return [...prev, sharedFile];
       });
       
-      // Send metadata to peer if connected
-      if (isConnected && peerRef.current && peerRef.current.connected) {
+      // Send metadata to every connected peer
+      if (isConnected && peersRef.current.size > 0) {
         console.log(`📤 Sending metadata for: ${file.name}`);
         const metadata = {
           type: 'file-metadata',
@@ -941,168 +2450,316 @@ export const useOnDemandTransfer = () => {
           name: file.name,
           size: file.size,
           mimeType: file.type,
+          relativePath: relativePath,
           timestamp: sharedFile.timestamp,
           peerId: 'me'
         };
         console.log('📤 Metadata being sent:', metadata);
-        peerRef.current.send(JSON.stringify(metadata));
+        broadcastToPeers(metadata);
       } else {
         console.log(`⚠️ Not connected, will send metadata when connected`);
       }
+      return sharedFile;
     });
-  }, [isConnected]);
-
-  // Request download from peer
-  const requestDownload = useCallback((fileInfo) => {
-    if (!isConnected) {
-      console.warn('Not connected to peer');
-      return;
-    }
-
-    // Simple check - only allow one download at a time (use ref for immediate check)
-    const hasActiveDownload = activeTransfersRef.current.size > 0;
-    if (hasActiveDownload) {
-      console.log(`🔒 Already downloading, adding ${fileInfo.name} to queue (${activeTransfersRef.current.size} active)`);
-      setDownloadQueue(prev => {
-        // Check if already in queue
-        if (prev.find(f => f.id === fileInfo.id)) {
-          console.log('File already in queue:', fileInfo.name);
-          return prev;
-        }
-        return [...prev, fileInfo];
-      });
-      return;
+  }, [isConnected, broadcastToPeers]);
+
+  // Push files to a device (every trusted device when none is given) instead of
+  // waiting for it to pull them. The files are shared too, so declining an offer
+  // still leaves them in the other side's download list.
+  const sendFiles = useCallback((files, { peerId = null } = {}) => {
+    // A chosen device has to pass the same key check and verification as a broadcast
+    const targets = (peerId ? [peerId] : [...peersRef.current.keys()])
+      .filter(id => isPeerConnected(id) && isPeerTrusted(id));
+    if (targets.length === 0) {
+      console.warn(peerId
+        ? `⚠️ ${peerId} is not connected or not trusted yet - not sending files to it`
+        : '⚠️ No connected device to send files to');
+      return [];
     }
 
-    const requestId = `download_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    console.log(`📥 Requesting download: ${fileInfo.name}`);
-    
-    peerRef.current.send(JSON.stringify({
-      type: 'download-request',
-      requestId: requestId,
-      fileId: fileInfo.id,
-      fileName: fileInfo.name,
-      fileSize: fileInfo.size
+    const sharedFiles = shareFiles(files);
+    const offerFiles = sharedFiles.map(file => ({
+      fileId: file.id,
+      name: file.name,
+      size: file.size,
+      mimeType: file.type,
+      relativePath: file.relativePath,
+      timestamp: file.timestamp
     }));
-  }, [isConnected]);
 
-  // Process download queue - simplified
-  const processDownloadQueue = useCallback(() => {
-    // Prevent multiple simultaneous queue processing
-    if (queueProcessingLock.current) {
-      console.log('🔒 Queue processing already in progress, skipping');
-      return;
+    return targets.map(targetId => {
+      const offerId = generateId('offer');
+      // We chose to send these, so the requests that follow skip manual approval
+      sharedFiles.forEach(file => approvedFilesRef.current.add(getApprovalKey(targetId, file.id)));
+      sendToPeer(targetId, { type: 'transfer-offer', offerId, files: offerFiles });
+
+      const offer = {
+        offerId,
+        peerId: targetId,
+        deviceName: (peerInfoRef.current.get(targetId) || {}).deviceName || 'Peer device',
+        fileNames: sharedFiles.map(file => file.name),
+        totalSize: sharedFiles.reduce((sum, file) => sum + file.size, 0),
+        status: 'waiting', // 'waiting', 'accepted' or 'declined'
+        sentAt: Date.now()
+      };
+      console.log(`📨 Offered ${sharedFiles.length} file(s) to ${offer.deviceName}`);
+      setOutgoingOffers(prev => [...prev, offer]);
+      return offerId;
+    });
+  }, [shareFiles, sendToPeer]);
+
+  // Stop sharing files: drop their refs, stop their uploads and tell every peer
+  const unshareFiles = useCallback((fileIds) => {
+    const ids = new Set(Array.isArray(fileIds) ? fileIds : [fileIds]);
+    if (ids.size === 0) return;
+    console.log(`🗑️ Unsharing ${ids.size} file(s)`);
+
+    ids.forEach(fileId => fileRefsMap.current.delete(fileId));
+    setMySharedFiles(prev => prev.filter(f => !ids.has(f.id)));
+
+    activeTransfersRef.current.forEach((transfer, transferId) => {
+      if (transfer.isUploading && ids.has(transfer.fileId)) {
+        stopUpload(transferId, 'File was unshared', ERROR_CODES.UNSHARED);
+      }
+    });
+    pendingApprovalsRef.current.forEach(({ request }, requestId) => {
+      if (ids.has(request.fileId)) {
+        removePendingApproval(requestId);
+      }
+    });
+
+    broadcastToPeers({ type: 'file-revoked', fileIds: [...ids] });
+  }, [broadcastToPeers]);
+
+  const unshareAll = useCallback(() => {
+    unshareFiles(mySharedFilesRef.current.map(f => f.id));
+  }, [unshareFiles]);
+
+  // Queued or downloading (failed items can be queued again)
+  const isWaitingInQueue = (fileId) => {
+    const item = downloadQueueRef.current.get(fileId);
+    return !!item && item.status !== 'failed';
+  };
+
+  // Our own receive rules, checked before asking so nothing is sent just to be refused.
+  // Returns true (and records why) if the file is blocked.
+  const isBlockedByReceiveRules = (fileInfo) => {
+    const refusal = checkReceiveRules(receiveRulesRef.current, {
+      fileName: fileInfo.name,
+      fileSize: fileInfo.size,
+      mimeType: fileInfo.type
+    });
+    setDeniedDownloads(prev => {
+      if (!refusal && !(fileInfo.id in prev)) return prev;
+      const next = { ...prev };
+      if (refusal) {
+        next[fileInfo.id] = refusal;
+      } else {
+        delete next[fileInfo.id];
+      }
+      return next;
+    });
+    if (refusal) {
+      console.log(`🚫 Not downloading ${fileInfo.name}: ${refusal}`);
     }
-    queueProcessingLock.current = true;
+    return !!refusal;
+  };
 
-    // Check if there's already an active download (use ref for immediate check)
-    if (activeTransfersRef.current.size > 0) {
-      console.log(`🔒 Already downloading, cannot process queue (${activeTransfersRef.current.size} active)`);
-      queueProcessingLock.current = false;
+  // Start queued files (highest priority first) until every download slot is taken
+  const processDownloadQueue = useCallback(() => {
+    const freeSlots = maxConcurrentRef.current - getUsedDownloadSlots();
+    if (freeSlots <= 0) {
+      console.log(`🔒 All ${maxConcurrentRef.current} download slots busy, cannot process queue`);
       return;
     }
 
-    setDownloadQueue(prevQueue => {
-      console.log(`🔄 Processing queue: ${prevQueue.length} files`);
-      console.log('📝 Queue contents:', prevQueue.map(f => f.name));
-      
-      // Check if queue is empty
-      if (prevQueue.length === 0) {
-        console.log('📭 Queue is empty, nothing to process');
-        queueProcessingLock.current = false;
-        return prevQueue;
+    // Files whose device is connected can go; the rest wait for it to come back
+    const archive = archiveRef.current;
+    const nextFiles = downloadQueueRef.current.takeNext(freeSlots, item => {
+      if (!isPeerConnected(item.peerId)) return false;
+      if (archive && archive.entryNames.has(item.id)) {
+        // ZIP entries are written one after another
+        if (archive.activeFileId) return false;
+        archive.activeFileId = item.id;
       }
+      return true;
+    });
 
-      // Get next file from queue
-      const [nextFile, ...remainingQueue] = prevQueue;
-      if (!nextFile) {
-        console.log('❌ No next file found in queue');
-        queueProcessingLock.current = false;
-        return prevQueue;
+    nextFiles.forEach(nextFile => {
+      const requestId = generateId('download');
+      console.log(`📥 Requesting download: ${nextFile.name} from ${nextFile.deviceName || nextFile.peerId}`);
+      pendingRequestsRef.current.set(requestId, { peerId: nextFile.peerId, fileId: nextFile.id });
+      sendToPeer(nextFile.peerId, {
+        type: 'download-request',
+        requestId: requestId,
+        fileId: nextFile.id,
+        fileName: nextFile.name,
+        fileSize: nextFile.size,
+        relativePath: nextFile.relativePath
+      });
+    });
+  }, [sendToPeer]);
+
+  // Request download from peer - it goes through the queue and starts once a slot is free
+  const requestDownload = useCallback(async (fileInfo, { priority = 'normal' } = {}) => {
+    if (!isConnected) {
+      console.warn('Not connected to peer');
+      return;
+    }
+    if (isBlockedByReceiveRules(fileInfo)) return;
+
+    // Large files go straight to disk - the save picker only opens from this click
+    if (chooseSinkType(fileInfo.size) === SINK_TYPES.FILE_SYSTEM && !preparedSinksRef.current.has(fileInfo.id)) {
+      try {
+        const sink = await createFileSystemSink(fileInfo.name);
+        preparedSinksRef.current.set(fileInfo.id, sink);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          console.log(`🚫 Save dialog dismissed, not downloading ${fileInfo.name}`);
+          return;
+        }
+        console.warn('⚠️ Save picker failed, falling back to streamed download:', error);
       }
+    }
 
-      // Start download
-      const requestId = `download_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      console.log(`📥 Processing queued download: ${nextFile.name} (${remainingQueue.length} files remaining)`);
-      console.log('📝 Remaining files after this:', remainingQueue.map(f => f.name));
-      
-      if (peerRef.current && peerRef.current.connected) {
-        peerRef.current.send(JSON.stringify({
-          type: 'download-request',
-          requestId: requestId,
-          fileId: nextFile.id,
-          fileName: nextFile.name,
-          fileSize: nextFile.size
-        }));
-      } else {
-        console.warn('⚠️ Cannot send download request - peer not connected');
-        // Failed to send request
-        queueProcessingLock.current = false;
-        return prevQueue; // Don't remove from queue if we can't send
+    if (downloadQueueRef.current.add([fileInfo], { priority }).length === 0) {
+      console.log('File already in queue:', fileInfo.name);
+      return;
+    }
+    processDownloadQueue();
+  }, [isConnected, processDownloadQueue]);
+  requestDownloadRef.current = requestDownload;
+
+  // Change how many files download at once (1-4) and fill any newly free slots - uploads have their own limit
+  const setMaxConcurrentTransfers = useCallback((count) => {
+    const limit = Math.max(1, Math.min(MAX_CONCURRENT_TRANSFERS, Math.round(count) || 1));
+    console.log(`🎛️ Concurrent transfers set to ${limit}`);
+    maxConcurrentRef.current = limit;
+    setMaxConcurrentTransfersState(limit);
+    processDownloadQueue();
+  }, [processDownloadQueue]);
+
+  // Ask where to save a folder and remember each file's place in it.
+  // Returns false if the user cancelled. Without directory access files are saved flat with their path in the name.
+  const prepareFolderTargets = async (files, folderPath = '') => {
+    if (!supportsDirectoryAccess() || !files.some(file => file.relativePath)) return true;
+
+    let directoryHandle;
+    try {
+      directoryHandle = await pickDirectory();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('🚫 Folder picker dismissed, not downloading');
+        return false;
       }
+      console.warn('⚠️ Folder picker failed, saving files separately:', error);
+      return true;
+    }
 
-      // Release lock and return the remaining queue
-      queueProcessingLock.current = false;
-      return remainingQueue;
+    files.forEach(file => {
+      const path = pathWithinFolder(file.relativePath || file.name, folderPath);
+      folderTargetsRef.current.set(file.id, { directoryHandle, path });
     });
-  }, []);
+    console.log(`📁 Saving ${files.length} file(s) into ${directoryHandle.name}/`);
+    return true;
+  };
 
-  // Download all files sequentially - completely rewritten to avoid React issues
-  const downloadAll = useCallback(() => {
-    console.log('📞 downloadAll function called');
-    
-    // Single atomic check and set
-    if (downloadAllExecuted.current) {
-      console.log('🔒 Download All already executed, ignoring');
+  // Download every file in a shared folder, keeping its structure (as folders or one ZIP)
+  const downloadFolder = useCallback(async (files, folderPath = '', { asZip = false } = {}) => {
+    if (!isConnected || files.length === 0) return;
+
+    const filesToAdd = files.filter(file =>
+      !completedDownloads.has(file.id) && !isWaitingInQueue(file.id) && !isBlockedByReceiveRules(file)
+    );
+    if (filesToAdd.length === 0) {
+      console.log(`All files in ${folderPath || 'folder'} are already downloaded or queued`);
       return;
     }
-    
+
+    // The folder or save picker has to open straight from the click
+    const folderName = folderPath.split('/').pop() || 'folder';
+    const ready = asZip
+      ? await startArchive(filesToAdd, `${folderName}.zip`, folderPath)
+      : await prepareFolderTargets(filesToAdd, folderPath);
+    if (!ready) return;
+
+    console.log(`📁 Queueing folder ${folderPath}: ${filesToAdd.length} file(s)`);
+    downloadQueueRef.current.add(filesToAdd);
+    processDownloadQueue();
+  }, [isConnected, completedDownloads, processDownloadQueue]);
+
+  // Queue every available file (up to maxConcurrentTransfers download at a time)
+  // With asZip every file goes into one streamed archive instead of one save prompt per file
+  const downloadAll = useCallback(async ({ asZip = false } = {}) => {
     if (!isConnected || availableFiles.length === 0) {
       console.warn('Cannot download all: not connected or no files available');
       return;
     }
 
-    // Immediately set execution flag
-    downloadAllExecuted.current = true;
-    console.log('🔒 Download All execution marked');
-
-    // Directly set the queue and start processing - avoid React state setter issues
-    const filesToAdd = availableFiles.filter(file => {
-      const alreadyInQueue = downloadQueue.find(f => f.id === file.id);
-      return !alreadyInQueue;
-    });
-
+    const filesToAdd = availableFiles.filter(file => !isWaitingInQueue(file.id) && !isBlockedByReceiveRules(file));
     if (filesToAdd.length === 0) {
       console.log('All files are already in queue');
-      downloadAllExecuted.current = false;
       return;
     }
 
-    console.log(`📋 Directly adding ${filesToAdd.length} files to download queue`);
-    console.log('📝 Files being added:', filesToAdd.map(f => f.name));
+    // Shared folders are saved with their structure into a directory the user picks, or into the ZIP
+    const ready = asZip
+      ? await startArchive(filesToAdd, `shared-files-${new Date().toISOString().slice(0, 10)}.zip`)
+      : await prepareFolderTargets(filesToAdd);
+    if (!ready) return;
 
-    // Set states directly
+    console.log(`📋 Adding ${filesToAdd.length} files to download queue`);
     setIsDownloadingAll(true);
-    setDownloadQueue(prev => [...prev, ...filesToAdd]);
+    downloadQueueRef.current.add(filesToAdd);
+    processDownloadQueue();
+  }, [isConnected, availableFiles, processDownloadQueue]);
 
-    // Start processing immediately
-    setTimeout(() => {
-      console.log('🚀 Starting download processing');
-      processDownloadQueue();
-    }, 300);
+  // Drag-to-reorder: put a queued file in front of another one (at the end without one)
+  const moveInQueue = useCallback((fileId, beforeFileId = null) => {
+    downloadQueueRef.current.move(fileId, beforeFileId);
+  }, []);
+
+  // 'high', 'normal' or 'low' - higher priorities start first
+  const setQueuePriority = useCallback((fileId, priority) => {
+    downloadQueueRef.current.setPriority(fileId, priority);
+  }, []);
+
+  const removeFromQueue = useCallback((fileId) => {
+    const item = downloadQueueRef.current.get(fileId);
+    if (!item || item.status === 'active') return; // Running downloads are cancelled instead
+    console.log(`🗑️ Removed ${item.name} from the queue`);
+    downloadQueueRef.current.remove(fileId);
+    settleArchiveFileRef.current(fileId); // A ZIP waiting on it can finish without it
+    const preparedSink = preparedSinksRef.current.get(fileId);
+    if (preparedSink) {
+      preparedSink.abort().catch(() => {});
+      preparedSinksRef.current.delete(fileId);
+    }
+    folderTargetsRef.current.delete(fileId);
+  }, []);
 
-  }, [isConnected, availableFiles, downloadQueue]);
+  // Retry one failed download, or all of them
+  const retryFailed = useCallback((fileId = null) => {
+    const retried = downloadQueueRef.current.retry(fileId);
+    if (retried > 0) {
+      console.log(`🔁 Retrying ${retried} failed download(s)`);
+      processDownloadQueue();
+    }
+  }, [processDownloadQueue]);
 
-  // Send my files list to peer with better debugging
-  const sendMyFilesList = () => {
-    if (!peerRef.current || !peerRef.current.connected) {
+  // Send my files list to one peer, or to every peer when none is given
+  const sendMyFilesList = useCallback((peerId = null) => {
+    if (peerId ? !isPeerConnected(peerId) : peersRef.current.size === 0) {
       console.log(`⚠️ Cannot send file list - peer not connected`);
       return;
     }
+    if (peerId && !isPeerTrusted(peerId)) {
+      console.log(`🔑 Not sending file list to ${peerId} - key or verification code not confirmed yet`);
+      return;
+    }
     
-    console.log(`📤 Sending my file list: ${mySharedFiles.length} files`);
+    const mySharedFiles = mySharedFilesRef.current;
+    console.log(`📤 Sending my file list to ${peerId || 'all peers'}: ${mySharedFiles.length} files`);
     console.log('Files to send:', mySharedFiles.map(f => ({ id: f.id, name: f.name, size: f.size })));
     
     // Send individual metadata for each file
@@ -1113,31 +2770,36 @@ export const useOnDemandTransfer = () => {
         name: file.name,
         size: file.size,
         mimeType: file.type,
+        relativePath: file.relativePath,
         timestamp: file.timestamp,
         peerId: 'me'
       };
       console.log(`📤 Sending metadata:`, metadata);
-      peerRef.current.send(JSON.stringify(metadata));
+      if (peerId) {
+        sendToPeer(peerId, metadata);
+      } else {
+        broadcastToPeers(metadata);
+      }
     });
 
     if (mySharedFiles.length === 0) {
       console.log('📤 No files to share');
     }
-  };
+  }, [sendToPeer, broadcastToPeers]);
 
   // Refresh available files (public method)
   const refreshAvailableFiles = useCallback(() => {
     console.log('🔄 Refreshing available files...');
-    if (peerRef.current && peerRef.current.connected) {
+    if (peersRef.current.size > 0) {
       console.log('🔄 Sending files-list-request');
-      peerRef.current.send(JSON.stringify({ type: 'files-list-request' }));
+      broadcastToPeers({ type: 'files-list-request' });
       
       // Also send ping to test connection
       sendPing();
     } else {
       console.log('⚠️ Cannot refresh - peer not connected');
     }
-  }, []);
+  }, [broadcastToPeers, sendPing]);
 
   // Auto-send files when connection is established
   useEffect(() => {
@@ -1147,7 +2809,7 @@ export const useOnDemandTransfer = () => {
         sendMyFilesList();
       }, 1000);
     }
-  }, [isConnected, mySharedFiles.length]);
+  }, [isConnected, mySharedFiles.length, sendMyFilesList]);
 
   // Utility functions
   const readFileChunk = (file, offset, size) => {
@@ -1160,39 +2822,6 @@ export const useOnDemandTransfer = () => {
     });
   };
 
-  const waitForBuffer = (peer, threshold = 256 * 1024) => {
-    return new Promise((resolve, reject) => {
-      let attempts = 0;
-      const maxAttempts = 200; // 10 seconds max wait (increased from 5s)
-
-      const checkBuffer = () => {
-        if (!peer || !peer.connected) {
-          reject(new Error('Peer disconnected while waiting for buffer'));
-          return;
-        }
-
-        attempts++;
-        const bufferAmount = peer.bufferedAmount || 0;
-
-        if (bufferAmount < threshold) {
-          resolve();
-        } else if (attempts >= maxAttempts) {
-          console.warn(`⚠️ Buffer still at ${bufferAmount} bytes after ${attempts} attempts - continuing anyway`);
-          resolve(); // Don't reject, just continue
-        } else {
-          // Log warning if buffer is critically high
-          if (bufferAmount > 1024 * 1024 && attempts % 20 === 0) {
-            console.warn(`⚠️ High buffer level: ${(bufferAmount / 1024 / 1024).toFixed(2)} MB (attempt ${attempts}/${maxAttempts})`);
-          }
-          setTimeout(checkBuffer, 50);
-        }
-      };
-      checkBuffer();
-    });
-  };
-
-  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
   const formatSize = (bytes) => {
     const units = ['B', 'KB', 'MB', 'GB', 'TB'];
     let size = bytes;
@@ -1218,51 +2847,176 @@ export const useOnDemandTransfer = () => {
     return `${secs}s`;
   };
 
+  // Pick up the room's saved queue; files already listed by connected devices can start right away
+  const restoreDownloadQueue = useCallback(async (roomId) => {
+    const restored = await downloadQueueRef.current.load(roomId);
+    if (restored === 0) return;
+    setAvailableFiles(prev => {
+      prev.forEach(file => downloadQueueRef.current.relink(file));
+      return prev;
+    });
+    setTimeout(() => processDownloadQueue(), 300);
+  }, [processDownloadQueue]);
+
   // Socket event handlers
   useEffect(() => {
     if (!socket) return;
 
-    const handleRoomCreated = ({ roomId }) => {
+    const handleRoomCreated = ({ roomId, rejoinToken }) => {
       console.log('🏠 Room created:', roomId);
+      rejoinTokenRef.current = rejoinToken || null;
       setRoomId(roomId);
+      prepareRoomKey(roomId);
+      restoreDownloadQueue(roomId);
       setStatus('waiting');
     };
 
-    const handleRoomJoined = ({ roomId }) => {
+    const handleRoomJoined = ({ roomId, peers, rejoinToken }) => {
       console.log('🚪 Room joined:', roomId);
+      rejoinTokenRef.current = rejoinToken || null;
       setRoomId(roomId);
-      createPeer(true, roomId);
+      prepareRoomKey(roomId);
+      restoreDownloadQueue(roomId);
+      // Connect to everyone already in the room (older servers don't send the list)
+      const existingPeers = Array.isArray(peers) && peers.length > 0 ? peers : [DEFAULT_PEER_ID];
+      existingPeers.forEach(peerId => createPeer(true, roomId, peerId));
       setStatus('waiting');
     };
 
-    const handlePeerJoined = () => {
-      console.log('👋 Peer joined room');
-      if (!peerRef.current) {
-        createPeer(false, roomId);
+    // A device we're still connected to came back to the room under a new socket ID -
+    // keep the existing connection and route its signals to the new ID
+    const aliasLivePeer = (socketId, clientId) => {
+      if (!clientId) return false;
+      for (const [peerId, peer] of peersRef.current.entries()) {
+        const info = peerInfoRef.current.get(peerId) || {};
+        if (peer.connected && info.clientId === clientId) {
+          closingPeersRef.current.delete(peer);
+          if (socketId !== peerId) {
+            console.log(`🔗 ${peerId} is now ${socketId} on the signaling server, keeping the connection`);
+            peerAliasRef.current.set(socketId, peerId);
+            signalTargetRef.current.set(peerId, socketId);
+          }
+          return true;
+        }
       }
+      return false;
     };
 
-    const handleSignal = ({ signal }) => {
-      console.log('📡 Received WebRTC signal');
-      if (peerRef.current) {
-        peerRef.current.signal(signal);
+    const handlePeerJoined = ({ peerId = DEFAULT_PEER_ID, clientId } = {}) => {
+      console.log(`👋 Peer ${peerId} joined room`);
+      if (aliasLivePeer(peerId, clientId)) return;
+      if (!peersRef.current.has(peerId)) {
+        createPeer(false, roomId, peerId);
       }
     };
 
-    const handlePeerLeft = () => {
-      console.log('👋 Peer left room');
-      if (peerRef.current) {
-        peerRef.current.destroy();
-        peerRef.current = null;
+    // Socket reconnected (e.g. after a server restart) - get back into our room
+    const handleSocketConnect = () => {
+      if (!roomId) return;
+      console.log(`🔁 Rejoining room ${roomId}`);
+      isRejoiningRef.current = true;
+      setSignalingStatus('rejoining');
+      socket.emit('rejoin-room', { roomId, rejoinToken: rejoinTokenRef.current, clientId: clientIdRef.current });
+    };
+
+    // peers: socket IDs, or { peerId, clientId } so live connections can be recognised
+    const handleRoomRejoined = ({ roomId: rejoinedRoomId, peers = [], rejoinToken }) => {
+      console.log(`✅ Rejoined room ${rejoinedRoomId || roomId}`);
+      isRejoiningRef.current = false;
+      if (rejoinToken) {
+        rejoinTokenRef.current = rejoinToken;
       }
-      setIsConnected(false);
-      setStatus('waiting');
-      setAvailableFiles([]);
-      speedCapabilitiesExchanged.current = false; // Reset speed capabilities flag
+      setSignalingStatus('connected');
+
+      const hasLivePeers = Array.from(peersRef.current.values()).some(peer => peer.connected);
+      peers.forEach(entry => {
+        const { peerId, clientId } = typeof entry === 'string' ? { peerId: entry } : entry;
+        if (!peerId || aliasLivePeer(peerId, clientId) || peersRef.current.has(peerId)) return;
+        if (!clientId && hasLivePeers) {
+          console.warn(`⚠️ Can't tell whether ${peerId} is a device we're still connected to, not connecting again`);
+          return;
+        }
+        createPeer(true, roomId, peerId);
+      });
+      updateConnectedPeers();
+    };
+
+    const handleRejoinFailed = ({ message } = {}) => {
+      console.error('🏠 Could not rejoin room:', message);
+      isRejoiningRef.current = false;
+      setSignalingStatus('error');
+    };
+
+    const handleSignal = ({ signal, from: socketId = DEFAULT_PEER_ID }) => {
+      const from = peerAliasRef.current.get(socketId) || socketId;
+      console.log(`📡 Received WebRTC ${signal.type || (signal.candidate ? 'candidate' : 'signal')} from ${from}`);
+      let peer = peersRef.current.get(from);
+
+      // A trickled candidate can beat the offer/answer it belongs to - hold it until that is applied
+      if (signal.candidate && (!peer || !remoteDescribedRef.current.has(peer))) {
+        const pending = pendingCandidatesRef.current.get(from) || [];
+        pending.push(signal);
+        pendingCandidatesRef.current.set(from, pending);
+        return;
+      }
+
+      if (!peer || (signal.type === 'offer' && !signal.iceRestart && remoteDescribedRef.current.has(peer))) {
+        // Offer arrived before peer-joined, or the other side started over (relay retry, reconnect)
+        peer = createPeer(false, roomId, from);
+      }
+      peer.signal(signal);
+      const connectTimer = connectTimersRef.current.get(peer);
+      if (connectTimer) {
+        markSignal(connectTimer, signal, 'in');
+      }
+
+      if (signal.type === 'offer' || signal.type === 'answer') {
+        remoteDescribedRef.current.add(peer);
+        const pending = pendingCandidatesRef.current.get(from) || [];
+        pendingCandidatesRef.current.delete(from);
+        if (pending.length > 0) {
+          console.log(`🧊 Applying ${pending.length} early candidate(s) from ${from}`);
+        }
+        pending.forEach(candidate => {
+          peer.signal(candidate);
+          if (connectTimer) markSignal(connectTimer, candidate, 'in');
+        });
+      }
+    };
+
+    const handlePeerLeft = ({ peerId: socketId } = {}) => {
+      const peerId = socketId && (peerAliasRef.current.get(socketId) || socketId);
+      console.log(`👋 Peer ${peerId || 'unknown'} left room`);
+      // The old socket of a device that already rejoined under a new ID
+      const newerSocketId = signalTargetRef.current.get(socketId);
+      if (newerSocketId && newerSocketId !== socketId) return;
+      // Without an ID we can't tell who left, so drop every connection
+      const leaving = peerId ? [peerId] : Array.from(peersRef.current.keys());
+      leaving.forEach(id => {
+        pendingCandidatesRef.current.delete(id);
+        const reconnecting = reconnectsRef.current.get(id);
+        if (reconnecting) {
+          clearTimeout(reconnecting.timer);
+          reconnectsRef.current.delete(id);
+        }
+        const peer = peersRef.current.get(id);
+        if (!peer) return;
+        closingPeersRef.current.add(peer); // They left - nothing to reconnect to
+        if (socketId && peer.connected) {
+          // Could be the server restarting - keep the direct link until it closes or they rejoin
+          console.log(`🔗 Keeping direct connection to ${id} until it closes`);
+          return;
+        }
+        peer.destroy();
+      });
     };
 
     const handleRoomError = ({ message }) => {
       console.error('🏠 Room error:', message);
+      if (isRejoiningRef.current) {
+        handleRejoinFailed({ message });
+        return;
+      }
       alert(message);
       setStatus('disconnected');
     };
@@ -1273,6 +3027,9 @@ export const useOnDemandTransfer = () => {
     socket.on('signal', handleSignal);
     socket.on('peer-left', handlePeerLeft);
     socket.on('room-error', handleRoomError);
+    socket.on('connect', handleSocketConnect);
+    socket.on('room-rejoined', handleRoomRejoined);
+    socket.on('rejoin-failed', handleRejoinFailed);
 
     return () => {
       socket.off('room-created', handleRoomCreated);
@@ -1281,25 +3038,45 @@ export const useOnDemandTransfer = () => {
       socket.off('signal', handleSignal);
       socket.off('peer-left', handlePeerLeft);
       socket.off('room-error', handleRoomError);
+      socket.off('connect', handleSocketConnect);
+      socket.off('room-rejoined', handleRoomRejoined);
+      socket.off('rejoin-failed', handleRejoinFailed);
     };
-  }, [socket, roomId, createPeer]);
+  }, [socket, roomId, createPeer, restoreDownloadQueue]);
+
+  // Our speed test results as sent to peers (speeds in MBps, 0 = not measured)
+  const getSpeedCapabilities = () => {
+    const results = speedTestResultsRef.current || {};
+    return {
+      type: 'speed-capabilities',
+      uploadSpeed: results.upload || 0,
+      downloadSpeed: results.download || 0,
+      uploadRange: results.uploadRange || null,
+      downloadRange: results.downloadRange || null,
+      rtt: typeof results.rtt === 'number' ? results.rtt : null,
+      jitter: typeof results.jitter === 'number' ? results.jitter : null,
+      deviceType: navigator.userAgent
+    };
+  };
 
   // Run speed test (can be called manually or automatically)
   const runSpeedTest = useCallback(async () => {
     console.log('🎯 runSpeedTest called');
+    const peer = getPeer(speedTestPeerIdRef.current);
     console.log('🎯 Peer state:', {
-      peerExists: !!peerRef.current,
-      peerConnected: peerRef.current?.connected,
+      peerId: speedTestPeerIdRef.current,
+      peerExists: !!peer,
+      peerConnected: peer?.connected,
       speedTesterExists: !!speedTesterRef.current,
       isTestingSpeed: isTestingSpeed
     });
 
-    if (!peerRef.current || !speedTesterRef.current) {
+    if (!peer || !speedTesterRef.current) {
       console.log('⚠️ Cannot run speed test - peer or speed tester not initialized');
       return;
     }
 
-    if (!peerRef.current.connected) {
+    if (!peer.connected) {
       console.log('⚠️ Cannot run speed test - peer not connected');
       return;
     }
@@ -1311,7 +3088,7 @@ export const useOnDemandTransfer = () => {
 
     try {
       setIsTestingSpeed(true);
-      setSpeedTestProgress('Starting upload test...');
+      setSpeedTestProgress('Starting speed test...');
       console.log('🚀 Starting speed test...');
 
       const results = await speedTesterRef.current.runSpeedTest((progress) => {
@@ -1326,29 +3103,24 @@ export const useOnDemandTransfer = () => {
       }
 
       console.log('✅ Speed test completed:', results);
+      const range = (r) => r ? ` (${r.low.toFixed(2)}-${r.high.toFixed(2)})` : '';
       console.log('╔═══════════════════════════════════════╗');
       console.log('║       SPEED TEST RESULTS              ║');
       console.log('╠═══════════════════════════════════════╣');
-      console.log(`║ My Upload:    ${results.upload.toFixed(2).padStart(6)} MBps        ║`);
-      console.log(`║ My Download:  ${results.download.toFixed(2).padStart(6)} MBps        ║`);
-      console.log('╠═══════════════════════════════════════╣');
-      console.log(`║ This means:                           ║`);
-      console.log(`║ • I can send at ${results.upload.toFixed(2)} MBps            ║`);
-      console.log(`║ • Peer received at ${results.upload.toFixed(2)} MBps       ║`);
-      console.log(`║ • I can receive at ${results.download.toFixed(2)} MBps      ║`);
-      console.log(`║ • Peer sent at ${results.download.toFixed(2)} MBps          ║`);
+      console.log(`║ My Upload:    ${results.upload.toFixed(2).padStart(6)} MBps${range(results.uploadRange)}`);
+      console.log(`║ My Download:  ${results.download.toFixed(2).padStart(6)} MBps${range(results.downloadRange)}`);
+      if (results.rtt !== null) {
+        console.log(`║ RTT:          ${results.rtt.toFixed(1).padStart(6)} ms (jitter ${results.jitter.toFixed(1)} ms)`);
+      }
       console.log('╚═══════════════════════════════════════╝');
 
+      speedTestResultsRef.current = results;
+
       // Send my speed capabilities to peer (check connection first)
-      if (peerRef.current && peerRef.current.connected) {
-        const myCapabilities = {
-          type: 'speed-capabilities',
-          uploadSpeed: results.upload,
-          downloadSpeed: results.download,
-          deviceType: navigator.userAgent
-        };
+      if (peer.connected) {
+        const myCapabilities = getSpeedCapabilities();
         try {
-          peerRef.current.send(JSON.stringify(myCapabilities));
+          peer.send(JSON.stringify(myCapabilities));
           console.log('📤 Sent my speed capabilities to peer:', myCapabilities);
         } catch (err) {
           console.error('❌ Error sending speed capabilities:', err);
@@ -1357,23 +3129,19 @@ export const useOnDemandTransfer = () => {
         console.warn('⚠️ Cannot send speed capabilities - peer disconnected');
       }
 
-      // Store my speeds
-      adaptiveAgent.myUploadSpeed = results.upload;
-      adaptiveAgent.myDownloadSpeed = results.download;
+      // Initial UATD from my own measurements (refined when the peer sends its view)
+      const initialUATD = Math.min(...[results.upload, results.download].filter(speed => speed > 0));
 
-      // Calculate initial UATD (will be refined when peer responds)
-      const initialUATD = Math.min(results.upload, results.download);
-
-      console.log(`📊 Initial UATD: ${initialUATD.toFixed(2)} MBps (will adjust when peer responds)`);
-      setDetectedSpeed(initialUATD);
-      adaptiveAgent.setUploadSpeed(initialUATD);
+      if (Number.isFinite(initialUATD)) {
+        console.log(`📊 Initial UATD: ${initialUATD.toFixed(2)} MBps (will adjust when peer responds)`);
+        setDetectedSpeed(initialUATD);
+        adaptiveAgent.seedBandwidth(initialUATD);
+      }
 
       // Set results for UI display
       setSpeedTestResults({
-        upload: results.upload,
-        download: results.download,
-        uatd: initialUATD,
-        timestamp: Date.now()
+        ...results,
+        uatd: Number.isFinite(initialUATD) ? initialUATD : null
       });
 
       setSpeedTestProgress('Speed test complete!');
@@ -1396,16 +3164,170 @@ export const useOnDemandTransfer = () => {
   runSpeedTestRef.current = runSpeedTest;
 
   // Public API
-  const createRoom = useCallback(() => {
+  // User compared the codes on both devices and they match
+  const confirmVerification = useCallback((peerId) => {
+    if (!peersRef.current.has(peerId)) return;
+    console.log(`🔐 Connection to ${peerId} verified by user`);
+    updatePeerInfo(peerId, { verified: true });
+    updateConnectedPeers();
+
+    // File lists and download requests may have been held back until now
+    sendMyFilesList(peerId);
+    sendToPeer(peerId, { type: 'files-list-request' });
+    handlePeerCheckedRef.current(peerId);
+  }, [sendToPeer, sendMyFilesList]);
+
+  // Codes differ - someone is in the middle, so drop the connection
+  const rejectVerification = useCallback((peerId) => {
+    const peer = peersRef.current.get(peerId);
+    if (!peer) return;
+    const deviceName = (peerInfoRef.current.get(peerId) || {}).deviceName || 'Peer device';
+    console.error(`🚨 Verification codes for ${deviceName} did not match - disconnecting`);
+    setKeyError(`Verification codes didn't match for ${deviceName} - disconnected. The connection may have been intercepted.`);
+    peer.destroy();
+  }, []);
+
+  // Ask before uploading ('manual') or upload whenever a device requests a file ('auto')
+  const setApprovalMode = useCallback((mode) => {
+    console.log(`✋ Download approval: ${mode}`);
+    approvalModeRef.current = mode;
+    setApprovalModeState(mode);
+  }, []);
+
+  // Accept a waiting request; alwaysAllowDevice approves the device's future requests this session
+  const approveRequest = (requestId, { alwaysAllowDevice = false } = {}) => {
+    const pending = removePendingApproval(requestId);
+    if (!pending) return;
+    const { request, peerId, resumeFrom } = pending;
+    if (alwaysAllowDevice) {
+      const clientId = (peerInfoRef.current.get(peerId) || {}).clientId;
+      if (clientId) trustedClientsRef.current.add(clientId);
+    }
+
+    const fileRef = fileRefsMap.current.get(request.fileId);
+    if (!fileRef || !isPeerConnected(peerId)) {
+      console.warn(`⚠️ Can't send ${request.fileName} - file or device no longer available`);
+      sendToPeer(peerId, { type: 'download-error', requestId, error: 'File not found or no longer available', code: ERROR_CODES.FILE_UNAVAILABLE });
+      return;
+    }
+    console.log(`✅ Approved ${request.fileName} for ${peerId}`);
+    startApprovedUpload(fileRef, request, peerId, resumeFrom);
+  };
+
+  // Pause a transfer from either end; the sender holds its chunk loop until resumed
+  const pauseTransfer = (transferId) => {
+    const transfer = activeTransfersRef.current.get(transferId);
+    if (!transfer || transfer.isInterrupted || !setTransferState(transferId, 'paused')) return;
+    console.log(`⏸️ Paused ${transfer.fileName}`);
+    sendToPeer(transfer.peerId, { type: 'transfer-pause', requestId: transferId });
+  };
+
+  const resumeTransfer = (transferId) => {
+    const transfer = activeTransfersRef.current.get(transferId);
+    if (!transfer || !setTransferState(transferId, 'active')) return;
+    console.log(`▶️ Resumed ${transfer.fileName}`);
+    sendToPeer(transfer.peerId, { type: 'transfer-resume', requestId: transferId });
+  };
+
+  // Cancel a transfer from either end; a cancelled download drops its buffered chunks and partial file
+  const cancelTransfer = (transferId) => {
+    const transfer = activeTransfersRef.current.get(transferId);
+    if (!transfer) return;
+    console.log(`🛑 Cancelled ${transfer.fileName}`);
+    sendToPeer(transfer.peerId, { type: 'transfer-cancel', requestId: transferId });
+    if (transfer.isUploading) {
+      stopUpload(transferId, 'Cancelled by the sender', ERROR_CODES.CANCELLED);
+      uploadRecordsRef.current.delete(transferId);
+    } else {
+      setTransferState(transferId, 'cancelled');
+      handleDownloadError({ requestId: transferId, error: 'Cancelled', code: ERROR_CODES.CANCELLED, retryable: false });
+    }
+  };
+
+  // Accept files a device pushed to us; alwaysFromDevice accepts its future offers this session
+  const acceptOffer = (offerId, { alwaysFromDevice = false } = {}) => {
+    const offer = removeIncomingOffer(offerId);
+    if (!offer) return;
+    if (alwaysFromDevice) {
+      const clientId = (peerInfoRef.current.get(offer.peerId) || {}).clientId;
+      if (clientId) trustedSendersRef.current.add(clientId);
+    }
+    acceptIncomingOffer(offer);
+  };
+
+  const declineOffer = (offerId) => {
+    const offer = removeIncomingOffer(offerId);
+    if (!offer) return;
+    console.log(`📨 Declined ${offer.files.length} file(s) from ${offer.deviceName}`);
+    sendToPeer(offer.peerId, { type: 'transfer-offer-declined', offerId });
+  };
+
+  // Accept every offer without asking
+  const setAutoAcceptOffers = useCallback((enabled) => {
+    console.log(`📨 Auto-accept incoming files: ${enabled}`);
+    autoAcceptOffersRef.current = enabled;
+    setAutoAcceptOffersState(enabled);
+  }, []);
+
+  const denyRequest = useCallback((requestId, reason = '') => {
+    const pending = removePendingApproval(requestId);
+    if (!pending) return;
+    console.log(`🚫 Denied ${pending.request.fileName} for ${pending.peerId}`);
+    sendToPeer(pending.peerId, {
+      type: 'download-denied',
+      requestId,
+      fileId: pending.request.fileId,
+      reason: reason || 'The sender declined this download',
+      code: ERROR_CODES.DENIED
+    });
+  }, [sendToPeer]);
+
+  // Size/type limits for files we receive: { maxFileSize: bytes | null, allowedTypes: 'image/*, .pdf' }
+  const setReceiveRules = useCallback((rules) => {
+    const next = { ...receiveRulesRef.current, ...rules };
+    console.log('📏 Receive rules:', next);
+    receiveRulesRef.current = next;
+    setReceiveRulesState(next);
+  }, []);
+
+  // Refuse file listing until codes are confirmed
+  const setRequireVerification = useCallback((required) => {
+    console.log(`🔐 Require verification: ${required}`);
+    requireVerificationRef.current = required;
+    setRequireVerificationState(required);
+    if (!required) {
+      // Peers that only lacked confirmation become trusted now
+      peersRef.current.forEach((peer, peerId) => {
+        sendMyFilesList(peerId);
+        sendToPeer(peerId, { type: 'files-list-request' });
+        handlePeerCheckedRef.current(peerId);
+      });
+    } else {
+      setAvailableFiles(prev => prev.filter(f => isPeerTrusted(f.peerId)));
+    }
+  }, [sendToPeer, sendMyFilesList]);
+
+  // Derive the room key once the room code (the PBKDF2 salt) is known
+  const prepareRoomKey = (roomCode) => {
+    const passphrase = passphraseRef.current;
+    roomKeyRef.current = passphrase ? deriveRoomKey(passphrase, roomCode) : Promise.resolve(null);
+    setIsEncrypted(!!passphrase);
+    setKeyError(null);
+  };
+
+  const createRoom = useCallback((passphrase = '') => {
     if (socket) {
-      console.log('🏠 Creating room...');
+      console.log(`🏠 Creating room${passphrase ? ' with passphrase' : ''}...`);
+      passphraseRef.current = passphrase;
       socket.emit('create-room');
     }
   }, [socket]);
 
-  const joinRoom = useCallback((roomCode) => {
+  const joinRoom = useCallback(async (roomCode, passphrase = '') => {
     if (socket && roomCode) {
-      console.log('🚪 Joining room:', roomCode);
+      console.log(`🚪 Joining room: ${roomCode}${passphrase ? ' with passphrase' : ''}`);
+      passphraseRef.current = passphrase;
+      await iceConfigService.load(); // Peers are created as soon as the room is joined
       socket.emit('join-room', roomCode);
     }
   }, [socket]);
@@ -1414,23 +3336,63 @@ export const useOnDemandTransfer = () => {
     roomId,
     isConnected,
     status,
-    availableFiles,      // Files peer is sharing (can download)
+    connectedPeers,      // Connected devices [{ id, clientId, deviceName, keyStatus }]
+    isEncrypted,         // Room passphrase set - file data is end-to-end encrypted
+    keyError,            // Key-confirmation failure (wrong or missing passphrase)
+    reconnectAttempt,    // Automatic reconnect attempt while status is 'reconnecting' (0 otherwise)
+    approvalMode,        // 'auto' or 'manual' approval of download requests for my files
+    pendingApprovals,    // Requests for my files waiting for accept/deny
+    receiveRules,        // Size/type limits for files I receive
+    deniedDownloads,     // fileId -> why a download was refused
+    awaitingApproval,    // fileIds whose sender hasn't approved my request yet
+    incomingOffers,      // Files pushed to me, waiting for accept/decline
+    outgoingOffers,      // Files I pushed [{ offerId, deviceName, fileNames, status }]
+    autoAcceptOffers,    // Pushed files download without asking
+    signalingStatus,     // Signaling server: connecting, connected, disconnected, reconnecting, rejoining or error
+    signalingAttempt,    // Socket.IO reconnect attempt while signalingStatus is 'reconnecting'
+    maxReconnectAttempts: MAX_RECONNECT_ATTEMPTS,
+    connectionError,     // Why a device couldn't be reached (no direct path and no working relay)
+    requireVerification, // File lists wait until verification codes are confirmed
+    availableFiles,      // Files peers are sharing, tagged with peerId/deviceName
     mySharedFiles,       // Files I'm sharing
     downloadedFiles,     // Files I've downloaded
     activeDownloads,     // Current transfers
-    downloadQueue,       // Files waiting to download
+    downloadQueue,       // Waiting and failed downloads in queue order [{ ...file, priority, status, error }]
     isDownloadingAll,    // Is download all active
+    maxConcurrentTransfers, // Files transferred at once (1-4)
     completedDownloads,  // Track which files have been downloaded
     detectedSpeed,       // Auto-detected upload speed
     isTestingSpeed,      // Is speed test running
     speedTestProgress,   // Speed test progress message
     speedTestResults,    // Speed test results { upload, download, uatd }
     shareFiles,          // Share files (metadata only)
+    sendFiles,           // Share files and push them to a device
+    unshareFiles,        // Stop sharing one or more files (peers drop them)
+    unshareAll,          // Stop sharing everything
     requestDownload,     // Start downloading a file
-    downloadAll,         // Download all files sequentially
+    downloadAll,         // Download all files (up to maxConcurrentTransfers at a time)
+    downloadFolder,      // Download one shared folder with its structure
+    moveInQueue,         // Reorder the queue (fileId, beforeFileId)
+    setQueuePriority,    // Set a queued file's priority
+    removeFromQueue,     // Drop a waiting or failed file from the queue
+    retryFailed,         // Queue failed downloads again (one fileId or all)
+    setMaxConcurrentTransfers, // Change the concurrent transfer limit
     refreshAvailableFiles, // Refresh peer's file list
     sendPing,            // Test connection
     runSpeedTest,        // Run manual speed test
+    confirmVerification, // Mark a device's verification code as matching
+    rejectVerification,  // Codes differ - disconnect from that device
+    setRequireVerification,
+    setApprovalMode,     // 'auto' or 'manual' approval of requests for my files
+    approveRequest,      // Accept a waiting request (optionally always allow that device)
+    denyRequest,         // Decline a waiting request - the requester sees the reason
+    setReceiveRules,     // Change size/type limits for incoming files
+    acceptOffer,         // Download files a device pushed (optionally always from that device)
+    declineOffer,        // Turn down pushed files
+    setAutoAcceptOffers,
+    pauseTransfer,       // Pause one transfer (upload or download) - the other side sees it paused
+    resumeTransfer,      // Continue a paused transfer
+    cancelTransfer,      // Stop a transfer on both sides and discard the partial download
     createRoom,
     joinRoom,
     formatSize,
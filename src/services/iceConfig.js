@@ -0,0 +1,134 @@
+// ICE Server Configuration Service (STUN/TURN for WebRTC)
+const DEFAULT_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' }
+];
+
+const splitUrls = (value) => (value || '').split(',').map(url => url.trim()).filter(Boolean);
+
+class IceConfigService {
+  constructor() {
+    const serverUrl = import.meta.env.VITE_SERVER_URL || 'http://localhost:3001';
+    this.endpoint = import.meta.env.VITE_ICE_SERVERS_URL || `${serverUrl}/ice-servers`;
+    this.timeoutDuration = 5000; // Don't hold up connecting for a slow backend
+    this.iceServers = this.readEnvServers();
+    this.source = 'env';
+    this.expiresAt = null; // Time-limited TURN credentials from the backend
+    this.loading = null;
+  }
+
+  // Servers from VITE_ICE_SERVERS (JSON) or VITE_STUN_URLS / VITE_TURN_* (comma-separated URLs)
+  readEnvServers() {
+    const env = import.meta.env;
+
+    if (env.VITE_ICE_SERVERS) {
+      try {
+        const servers = JSON.parse(env.VITE_ICE_SERVERS);
+        if (Array.isArray(servers) && servers.length > 0) return servers;
+      } catch (error) {
+        console.warn('⚠️ VITE_ICE_SERVERS is not valid JSON, ignoring it:', error);
+      }
+    }
+
+    const servers = [];
+    const stunUrls = splitUrls(env.VITE_STUN_URLS);
+    servers.push(...(stunUrls.length > 0 ? [{ urls: stunUrls }] : DEFAULT_ICE_SERVERS));
+
+    const turnUrls = splitUrls(env.VITE_TURN_URLS);
+    if (turnUrls.length > 0) {
+      servers.push({
+        urls: turnUrls,
+        username: env.VITE_TURN_USERNAME || '',
+        credential: env.VITE_TURN_CREDENTIAL || ''
+      });
+    }
+    return servers;
+  }
+
+  // Fetch servers from the backend, keeping the env/default ones if it has none.
+  // Safe to call often - only refetches when the credentials expired.
+  async load() {
+    if (this.source === 'backend' && (!this.expiresAt || Date.now() < this.expiresAt)) {
+      return this.iceServers;
+    }
+    if (this.loading) return this.loading;
+
+    this.loading = (async () => {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.timeoutDuration);
+      try {
+        const response = await fetch(this.endpoint, { signal: controller.signal });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        // Either [RTCIceServer] or { iceServers: [RTCIceServer], ttl: seconds }
+        const data = await response.json();
+        const servers = Array.isArray(data) ? data : data.iceServers;
+        if (Array.isArray(servers) && servers.length > 0) {
+          this.iceServers = servers;
+          this.source = 'backend';
+          this.expiresAt = data.ttl ? Date.now() + data.ttl * 1000 * 0.9 : null;
+          console.log(`🧊 Loaded ${servers.length} ICE server(s) from backend${this.hasRelay() ? ' (TURN available)' : ''}`);
+        }
+      } catch (error) {
+        console.log(`🧊 No ICE servers from backend (${error.message}), using ${this.hasRelay() ? 'configured TURN + STUN' : 'STUN only'}`);
+      } finally {
+        clearTimeout(timeoutId);
+        this.loading = null;
+      }
+      return this.iceServers;
+    })();
+    return this.loading;
+  }
+
+  // Is a TURN server configured to fall back to?
+  hasRelay() {
+    return this.iceServers.some(server => {
+      const urls = Array.isArray(server.urls) ? server.urls : [server.urls];
+      return urls.some(url => /^turns?:/.test(url));
+    });
+  }
+
+  // RTCConfiguration for a peer; relayOnly forces traffic through TURN
+  getRtcConfig({ relayOnly = false } = {}) {
+    return {
+      iceServers: this.iceServers,
+      iceTransportPolicy: relayOnly ? 'relay' : 'all'
+    };
+  }
+}
+
+// Which path the connection actually uses: 'relay' (through TURN) or 'direct'
+export async function detectConnectionType(peer) {
+  const pc = peer && peer._pc;
+  if (!pc || typeof pc.getStats !== 'function') return null;
+
+  const stats = await pc.getStats();
+  let selectedPairId = null;
+  stats.forEach(report => {
+    if (report.type === 'transport' && report.selectedCandidatePairId) {
+      selectedPairId = report.selectedCandidatePairId;
+    }
+  });
+
+  let pair = null;
+  stats.forEach(report => {
+    if (report.type !== 'candidate-pair') return;
+    // Firefox has no transport stats; it marks the pair as selected instead
+    if (report.id === selectedPairId || (!selectedPairId && (report.selected || (report.nominated && report.state === 'succeeded')))) {
+      pair = report;
+    }
+  });
+  if (!pair) return null;
+
+  const local = stats.get(pair.localCandidateId);
+  const remote = stats.get(pair.remoteCandidateId);
+  const isRelay = [local, remote].some(candidate => candidate && candidate.candidateType === 'relay');
+  return isRelay ? 'relay' : 'direct';
+}
+
+// Create singleton instance
+const iceConfigService = new IceConfigService();
+
+export default iceConfigService;
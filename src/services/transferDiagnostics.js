@@ -0,0 +1,181 @@
+// Transfer Diagnostics Service - per-transfer metric timelines and an event log for bug reports
+import { adaptiveAgent } from '../utils/SimpleAdaptiveAgent';
+import { chunkSizeManager } from '../utils/chunkSizeManager';
+
+const SAMPLE_INTERVAL_MS = 250;  // Starting resolution of the time-series
+const MAX_SAMPLES = 1200;        // Past this the series is thinned to half and sampled half as often
+const MAX_EVENTS = 500;          // Per transfer and for the general log
+const MAX_TRANSFERS = 20;        // Finished transfers beyond this are dropped, oldest first
+const NOTIFY_INTERVAL_MS = 500;  // Listeners hear about changes at most this often
+
+// Reported every 100ms per transfer - its numbers show up in the samples instead
+const QUIET_CONTROL_TYPES = new Set(['adaptive-feedback']);
+
+const pushBounded = (list, entry, max) => {
+  list.push(entry);
+  if (list.length > max) {
+    list.shift();
+  }
+};
+
+class TransferDiagnosticsService {
+  constructor() {
+    this.transfers = new Map(); // transferId -> { id, direction, fileName, ..., samples, events }
+    this.log = [];              // Events that belong to no transfer (queue retries, other control messages)
+    this.listeners = [];
+    this.notifyTimeout = null;
+  }
+
+  // Add event listener for diagnostics changes
+  addListener(callback) {
+    this.listeners.push(callback);
+  }
+
+  // Remove event listener
+  removeListener(callback) {
+    this.listeners = this.listeners.filter(listener => listener !== callback);
+  }
+
+  // Notify listeners, batched so a busy transfer doesn't re-render on every chunk
+  notifyListeners() {
+    if (this.notifyTimeout) return;
+    this.notifyTimeout = setTimeout(() => {
+      this.notifyTimeout = null;
+      this.listeners.forEach(callback => {
+        try {
+          callback();
+        } catch (error) {
+          console.error('❌ Error in diagnostics listener:', error);
+        }
+      });
+    }, NOTIFY_INTERVAL_MS);
+  }
+
+  // Begin (or, on resume, continue) the timeline of a transfer
+  startTransfer(transferId, { direction, fileName, fileSize, peerId, resumed = false }) {
+    let transfer = this.transfers.get(transferId);
+    if (!transfer) {
+      transfer = {
+        id: transferId,
+        direction, // 'upload' or 'download'
+        fileName,
+        fileSize,
+        peerId,
+        startedAt: Date.now(),
+        endedAt: null,
+        outcome: null,
+        sampleInterval: SAMPLE_INTERVAL_MS,
+        lastSampleAt: 0,
+        samples: [],
+        events: []
+      };
+      this.transfers.set(transferId, transfer);
+      this.dropOldTransfers();
+    }
+    transfer.peerId = peerId;
+    transfer.endedAt = null;
+    transfer.outcome = null;
+    this.logEvent(transferId, resumed ? 'resume' : 'start', `${direction} of ${fileName}`);
+    return transfer;
+  }
+
+  // Close a transfer's timeline ('completed', 'failed', 'cancelled', 'stopped' or 'interrupted')
+  endTransfer(transferId, outcome, detail = '') {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) return;
+    transfer.endedAt = Date.now();
+    transfer.outcome = outcome;
+    this.logEvent(transferId, outcome, detail);
+  }
+
+  dropOldTransfers() {
+    for (const [transferId, transfer] of this.transfers) {
+      if (this.transfers.size <= MAX_TRANSFERS) break;
+      if (transfer.endedAt) {
+        this.transfers.delete(transferId);
+      }
+    }
+  }
+
+  // Whether a transfer's next sample is due - lets callers skip gathering one
+  isSampleDue(transferId) {
+    const transfer = this.transfers.get(transferId);
+    return !!transfer && Date.now() - transfer.lastSampleAt >= transfer.sampleInterval;
+  }
+
+  // Add a point to a transfer's time-series: { throughput, bufferedAmount, chunkSize, sendDelay, ... }
+  recordSample(transferId, sample) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) return;
+    const now = Date.now();
+    transfer.lastSampleAt = now;
+    transfer.samples.push({ t: now - transfer.startedAt, ...sample });
+
+    // Long transfers keep their whole span at a coarser resolution
+    if (transfer.samples.length > MAX_SAMPLES) {
+      transfer.samples = transfer.samples.filter((_, index) => index % 2 === 0);
+      transfer.sampleInterval *= 2;
+    }
+    this.notifyListeners();
+  }
+
+  // Record something that happened: a retry, a keepalive round trip, a chunk size change...
+  // Events without a known transfer go to the general log
+  logEvent(transferId, type, detail = '', data = null) {
+    const transfer = transferId ? this.transfers.get(transferId) : null;
+    const now = Date.now();
+    const event = { at: now, type, detail };
+    if (data) {
+      event.data = data;
+    }
+    if (transfer) {
+      pushBounded(transfer.events, { ...event, t: now - transfer.startedAt }, MAX_EVENTS);
+    } else {
+      pushBounded(this.log, transferId ? { ...event, transferId } : event, MAX_EVENTS);
+    }
+    this.notifyListeners();
+  }
+
+  // Record a control message sent ('out') or received ('in')
+  logControl(direction, peerId, message) {
+    if (!message || !message.type || QUIET_CONTROL_TYPES.has(message.type)) return;
+    const transferId = message.requestId || message.transferId || null;
+    this.logEvent(transferId, 'control', `${direction === 'out' ? '→' : '←'} ${message.type}`, { peerId });
+  }
+
+  getTransfers() {
+    return [...this.transfers.values()];
+  }
+
+  getLog() {
+    return [...this.log];
+  }
+
+  // Everything recorded plus the current congestion and chunk size state, for attaching to bug reports
+  exportJson() {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      adaptiveStats: adaptiveAgent.getStats(),
+      chunkSizeHistory: chunkSizeManager.getHistory(),
+      transfers: this.getTransfers(),
+      log: this.log
+    }, null, 2);
+  }
+
+  clear() {
+    // Running transfers keep their entry so their timelines carry on
+    for (const [transferId, transfer] of this.transfers) {
+      if (transfer.endedAt) {
+        this.transfers.delete(transferId);
+      }
+    }
+    this.log = [];
+    this.notifyListeners();
+  }
+}
+
+// Create singleton instance
+const transferDiagnosticsService = new TransferDiagnosticsService();
+
+export default transferDiagnosticsService;
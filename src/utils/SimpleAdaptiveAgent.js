@@ -1,55 +1,59 @@
 /**
  * Simple Adaptive Transfer Agent
- * A lightweight agent that can be added to existing WebRTC file transfer
- * to automatically optimize transfer speeds between different devices
+ * Congestion control for uploads in the style of BBR. Receivers report how many
+ * bytes of each transfer they have taken in and how much is still waiting to be
+ * written. The sender turns that into a bottleneck bandwidth estimate (the max
+ * recent delivery rate) and a round-trip time (the min recent feedback delay),
+ * paces chunks at a gain times the bandwidth and caps the data in flight at a
+ * couple of bandwidth-delay products. A send buffer or receiver backlog that
+ * keeps growing cuts the estimate multiplicatively.
  */
 
 import { chunkSizeManager } from './chunkSizeManager';
 
+const MB = 1024 * 1024;
+
+export const CONGESTION_CONFIG = {
+  initialRate: 1 * MB,            // Bytes/second before anything is measured (a speed test replaces it)
+  minRate: 64 * 1024,             // Pacing never goes below this
+  startupGain: 2.885,             // 2/ln2 - the rate can double each round while the estimate keeps growing
+  probeGains: [1.25, 0.75, 1, 1, 1, 1, 1, 1], // Steady state: probe for more, drain what that queued, cruise
+  cwndGain: 2,                    // Data in flight is capped at this many bandwidth-delay products
+  minCwndChunks: 4,
+  bwWindowSamples: 10,            // The bandwidth estimate is the max of this many rate samples
+  minRttWindowMs: 10000,          // The RTT estimate is the min over this window
+  rateSampleMs: 200,              // Shortest interval for one delivery rate sample
+  feedbackIntervalMs: 100,        // How often receivers report progress
+  feedbackTimeoutMs: 2000,        // Without feedback for this long only pacing applies
+  backoffFactor: 0.85,            // Multiplicative decrease when a queue keeps growing
+  sendBufferLowWater: 128 * 1024, // bufferedAmount below this is never treated as a queue
+  receiverBacklogLimit: 4 * MB,   // Unwritten bytes the receiver may hold before we slow down
+  pacingQuantumMs: 4,             // Sleep only when this far ahead (timers are no finer)
+  pacingCreditMs: 10              // Time lost to late timers that may be made up
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const formatRate = (bytesPerSecond) => `${(bytesPerSecond / MB).toFixed(2)} MBps`;
+
 class SimpleAdaptiveAgent {
   constructor() {
-    // DYNAMIC UPLOAD SPEED STRATEGY - User Configurable Upload, Unlimited Download
-    
-    // Default upload speed: 0.1 MBps = 104,857.6 bytes per second
-    this.uploadTargetSpeed = 0.1 * 1024 * 1024; // 0.1 MBps in bytes/second
-    this.uploadSpeedMBps = 0.1; // 0.1 MBps (default)
-    
-    // Unlimited download speed - no target limit
-    this.downloadTargetSpeed = Infinity; // No download limit
-    this.downloadSpeedMbps = 'Unlimited'; // No speed cap
-    
-    // Initialize chunk size manager
-    this.uploadChunkSize = chunkSizeManager.updateSpeed(this.uploadSpeedMBps);
-    this.uploadDelay = this.calculateUploadDelay(); // Calculated delay for current speed
-    
-    // Speed measurements for both devices
-    this.localUploadSpeed = 0.1; // Local device upload capability
-    this.localDownloadSpeed = Infinity; // Local device download capability
-    this.remoteUploadSpeed = 0; // Remote device upload capability
-    this.remoteDownloadSpeed = 0; // Remote device download capability
-    
-    // Fixed parameters - no optimization needed
-    this.minChunkSize = 131072; // Fixed 128KB
-    this.maxChunkSize = 131072; // Fixed 128KB
-    this.constantMode = true; // No adaptive changes
-    
-    // Performance metrics (for display only)
-    this.bufferLevel = 0;
-    this.lastFeedbackTime = Date.now();
-    this.uploadSpeed = this.uploadTargetSpeed;
-    this.downloadSpeed = 0;
-    this.maxObservedDownloadSpeed = 0;
-    this.targetDownloadSpeed = Infinity;
-    
-    // Speed monitoring (minimal)
-    this.speedHistory = [];
-    this.maxHistorySize = 5;
-    
+    this.seedRate = CONGESTION_CONFIG.initialRate; // Starting estimate for new links
+    this.links = new Map();  // peerId -> model of the path to that device
+    this.flows = new Map();  // transferId -> upload running over a link
+    this.lastPeerId = null;  // Link reported by getStats() by default
+
+    // Speed test results (display only)
+    this.localUploadSpeed = 0;
+    this.localDownloadSpeed = 0;
+    this.remoteUploadSpeed = 0;
+    this.remoteDownloadSpeed = 0;
+
     // Device detection
     this.deviceType = this.detectDevice();
-    console.log(`📱 Device detected: ${this.deviceType} - Using dynamic upload speed (default: ${this.uploadSpeedMBps} MBps), unlimited download`);
+    console.log(`📱 Device detected: ${this.deviceType} - Upload pacing follows the measured bandwidth`);
   }
-  
+
   detectDevice() {
     const userAgent = navigator.userAgent.toLowerCase();
     if (userAgent.includes('iphone')) return 'iPhone';
@@ -61,182 +65,360 @@ class SimpleAdaptiveAgent {
     }
     return 'Desktop';
   }
-  
-  // Calculate exact delay needed for current upload speed with 128KB chunks
-  calculateUploadDelay() {
-    const chunksPerSecond = this.uploadTargetSpeed / this.uploadChunkSize;
-    const timePerChunk = 1000 / chunksPerSecond; // milliseconds
-    const processingOverhead = 6; // estimated processing time
-    const requiredDelay = Math.max(10, timePerChunk - processingOverhead); // minimum 10ms
-    
-    console.log(`🎯 Upload calculated for ${this.uploadSpeedMBps} MBps: ${chunksPerSecond.toFixed(1)} chunks/sec, ${timePerChunk.toFixed(1)}ms per chunk, ${requiredDelay.toFixed(1)}ms delay`);
-    console.log(`📊 Download speed: Unlimited (no speed cap on downloads)`);
-    return requiredDelay;
-  }
-  
-  // Update upload speed dynamically
-  setUploadSpeed(speedMBps) {
-    this.uploadSpeedMBps = speedMBps;
-    this.uploadTargetSpeed = speedMBps * 1024 * 1024; // Convert to bytes/second
-    this.uploadChunkSize = chunkSizeManager.updateSpeed(speedMBps); // Update chunk size based on new speed
-    this.uploadDelay = this.calculateUploadDelay(); // Recalculate delay
-    console.log(`⚡ Upload speed updated to: ${speedMBps} MBps (delay: ${this.uploadDelay.toFixed(1)}ms, chunk: ${chunkSizeManager.getChunkSizeLabel()})`);
-  }
-  
+
+  createLink(peerId) {
+    return {
+      peerId,
+      phase: 'startup',          // 'startup', 'drain' or 'probe'
+      btlBw: this.seedRate,      // Bottleneck bandwidth estimate (bytes/second)
+      bwSamples: [],             // Recent delivery rates, newest last
+      fullBw: 0,                 // Startup ends once the estimate stops growing by 25%...
+      fullBwRounds: 0,           // ...for three samples in a row
+      minRtt: null,              // ms
+      minRttAt: 0,
+      cycleIndex: 0,             // Position in probeGains
+      nextSendAt: 0,
+      lastSendAt: 0,
+      lastChunkBytes: 0,
+      lastFeedbackAt: 0,
+      delivered: 0,              // Bytes the receiver confirmed, over all uploads
+      sampleStart: Date.now(),
+      sampleDelivered: 0,
+      sampleBacklog: 0,
+      bufferedAmount: 0,         // Sender's data channel buffer after the last chunk
+      bufferSum: 0,
+      bufferCount: 0,
+      bufferAvg: 0,
+      bufferGrowth: 0,           // Rate samples in a row with a growing send buffer
+      receiverBacklog: 0,
+      lastBackoffAt: 0,
+      waiters: []                // Uploads waiting for feedback to open the window
+    };
+  }
+
+  getLink(peerId) {
+    let link = this.links.get(peerId);
+    if (!link) {
+      link = this.createLink(peerId);
+      this.links.set(peerId, link);
+    }
+    return link;
+  }
+
+  // Forget a device's path model (it disconnected)
+  removePeer(peerId) {
+    const link = this.links.get(peerId);
+    if (!link) return;
+    this.links.delete(peerId);
+    this.wakeWaiters(link);
+  }
+
+  wakeWaiters(link) {
+    const waiters = link.waiters;
+    link.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  // Start a speed test result or measured capability as the estimate for new links
+  seedBandwidth(speedMBps) {
+    if (!(speedMBps > 0)) return;
+    this.seedRate = Math.max(CONGESTION_CONFIG.minRate, speedMBps * MB);
+    chunkSizeManager.updateSpeed(speedMBps);
+    // Links that have not measured anything yet start from it too
+    this.links.forEach(link => {
+      if (link.bwSamples.length === 0) {
+        link.btlBw = this.seedRate;
+      }
+    });
+    console.log(`🎯 Bandwidth seed: ${formatRate(this.seedRate)} (chunk: ${chunkSizeManager.getChunkSizeLabel()})`);
+  }
+
   // Set speed capabilities for both devices
   setSpeedCapabilities(localUpload, localDownload, remoteUpload, remoteDownload) {
     this.localUploadSpeed = localUpload;
     this.localDownloadSpeed = localDownload;
     this.remoteUploadSpeed = remoteUpload;
     this.remoteDownloadSpeed = remoteDownload;
-    
-    // Calculate UATD (Upload Adjusted To Device) - upload speed limited by remote download
-    const uatd = Math.min(localUpload, remoteDownload);
-    console.log(`🔄 Speed capabilities - Local: ↑${localUpload} ↓${localDownload} MBps | Remote: ↑${remoteUpload} ↓${remoteDownload} MBps | UATD: ${uatd} MBps`);
-    
-    // Auto-adjust upload speed to match remote download capability
-    if (uatd > 0 && uatd !== this.uploadSpeedMBps) {
-      this.setUploadSpeed(uatd);
-    }
-  }
-  
-  // Get slider constraints based on current chunk size range
-  getSliderConstraints() {
-    return chunkSizeManager.getSliderConstraints();
-  }
-  
+
+    // Calculate UATD (Upload Adjusted To Device) - upload speed limited by remote download (0 = not measured)
+    const uatd = Math.min(...[localUpload, remoteDownload].filter(speed => speed > 0));
+    console.log(`🔄 Speed capabilities - Local: ↑${localUpload} ↓${localDownload} MBps | Remote: ↑${remoteUpload} ↓${remoteDownload} MBps | UATD: ${Number.isFinite(uatd) ? uatd : '?'} MBps`);
+    if (Number.isFinite(uatd)) {
+      this.seedBandwidth(uatd);
+    }
+  }
+
   // Get current chunk size label for display
   getChunkSizeLabel() {
     return chunkSizeManager.getChunkSizeLabel();
   }
-  
-  // Process feedback from receiver - CONSTANT SPEED MODE
-  processFeedback(feedback) {
-    // Update metrics for display only
-    if (feedback.bufferLevel !== undefined) {
-      this.bufferLevel = feedback.bufferLevel;
-    }
-    
-    if (feedback.downloadSpeed !== undefined) {
-      this.downloadSpeed = feedback.downloadSpeed;
-      
-      // Add to speed history for display
-      this.speedHistory.push(this.downloadSpeed);
-      if (this.speedHistory.length > this.maxHistorySize) {
-        this.speedHistory.shift();
+
+  // Start tracking an upload (a resumed upload counts from its offset, like the receiver)
+  startFlow(transferId, peerId, offset = 0) {
+    this.getLink(peerId);
+    this.flows.set(transferId, { transferId, peerId, sent: offset, acked: offset, sentLog: [] });
+    this.lastPeerId = peerId;
+  }
+
+  endFlow(transferId) {
+    const flow = this.flows.get(transferId);
+    if (!flow) return;
+    this.flows.delete(transferId);
+    const link = this.links.get(flow.peerId);
+    if (link) {
+      this.wakeWaiters(link);
+    }
+  }
+
+  // Bytes sent to a device that it has not confirmed yet
+  getInflight(link) {
+    let inflight = 0;
+    this.flows.forEach(flow => {
+      if (flow.peerId === link.peerId) {
+        inflight += Math.max(0, flow.sent - flow.acked);
       }
+    });
+    return inflight;
+  }
+
+  getBdp(link) {
+    return link.minRtt === null ? 0 : link.btlBw * link.minRtt / 1000;
+  }
+
+  getPacingGain(link) {
+    if (link.phase === 'startup') return CONGESTION_CONFIG.startupGain;
+    if (link.phase === 'drain') return 1 / CONGESTION_CONFIG.startupGain;
+    return CONGESTION_CONFIG.probeGains[link.cycleIndex];
+  }
+
+  getPacingRate(link) {
+    return Math.max(CONGESTION_CONFIG.minRate, this.getPacingGain(link) * link.btlBw);
+  }
+
+  // In-flight cap - none until the receiver reports, or once it goes quiet (older versions never do)
+  getCwnd(link) {
+    if (link.minRtt === null || Date.now() - link.lastFeedbackAt > CONGESTION_CONFIG.feedbackTimeoutMs) {
+      return Infinity;
     }
-    
-    // CONSTANT MODE - No optimization, just monitoring
-    this.lastFeedbackTime = Date.now();
-    
-    const currentDownloadMbps = (this.downloadSpeed / 1024 / 1024).toFixed(1);
-    const bufferChunks = this.bufferLevel;
-    
-    console.log(`📊 SPEEDS - Upload: ${this.uploadSpeedMBps} MB/s (limited) | Download: ${currentDownloadMbps} MB/s (unlimited) | Buffer: ${bufferChunks} chunks`);
-    
-    // No parameter changes during transfer - maintain current upload settings
-    // Upload parameters remain constant during active transfer
-  }
-  
-  // Reset for new transfer - CONSTANT MODE
-  resetForNewTransfer() {
-    // Reset basic metrics but keep constant parameters
-    this.bufferLevel = 0;
-    this.speedHistory = [];
-    console.log(`🔄 New transfer starting - Upload limit: ${this.uploadSpeedMBps} MBps, unlimited download`);
-  }
-  
-  // Legacy method compatibility
-  maintainOptimalSpeed() {
-    // No optimization needed in constant mode
-    this.lastFeedbackTime = Date.now();
-  }
-  
-  // Analyze speed trend from recent history
-  getSpeedTrend() {
-    if (this.speedHistory.length < 3) return 0;
-    
-    const recent = this.speedHistory.slice(-3);
-    const avg1 = recent[0];
-    const avg2 = (recent[1] + recent[2]) / 2;
-    
-    return (avg2 - avg1) / avg1; // Percentage change
-  }
-  
-  
-  // Generate feedback message for sender
-  generateFeedback(bytesReceived, chunksInBuffer) {
-    const currentSpeed = bytesReceived / ((Date.now() - this.lastFeedbackTime) / 1000);
-    
+    const gain = link.phase === 'probe' ? CONGESTION_CONFIG.cwndGain : CONGESTION_CONFIG.startupGain;
+    // Confirmations come in batches, so up to one feedback interval of data is in flight on top of the BDP
+    const aggregation = link.btlBw * CONGESTION_CONFIG.feedbackIntervalMs / 1000;
+    return Math.max(gain * this.getBdp(link) + aggregation, CONGESTION_CONFIG.minCwndChunks * link.lastChunkBytes);
+  }
+
+  /**
+   * Wait until a chunk of `bytes` may go out on an upload: first for room in the
+   * window, then for its slot at the pacing rate
+   */
+  async pace(transferId, bytes) {
+    const flow = this.flows.get(transferId);
+    if (!flow) return;
+    const link = this.getLink(flow.peerId);
+
+    while (this.flows.has(transferId) && this.getInflight(link) >= this.getCwnd(link)) {
+      await new Promise(resolve => {
+        link.waiters.push(resolve);
+        setTimeout(resolve, CONGESTION_CONFIG.feedbackTimeoutMs);
+      });
+    }
+
+    const wait = link.nextSendAt - Date.now();
+    if (wait > CONGESTION_CONFIG.pacingQuantumMs) {
+      await sleep(wait);
+    }
+    link.nextSendAt = Math.max(link.nextSendAt, Date.now() - CONGESTION_CONFIG.pacingCreditMs)
+      + bytes * 1000 / this.getPacingRate(link);
+  }
+
+  // Record a chunk handed to the data channel and the buffer level right after
+  onChunkSent(transferId, bytes, bufferedAmount = 0) {
+    const flow = this.flows.get(transferId);
+    if (!flow) return;
+    const link = this.getLink(flow.peerId);
+    const now = Date.now();
+
+    flow.sent += bytes;
+    flow.sentLog.push({ bytes: flow.sent, at: now });
+    if (flow.sentLog.length > 1000) {
+      flow.sentLog.shift(); // Receiver is not reporting
+    }
+
+    link.lastSendAt = now;
+    link.lastChunkBytes = bytes;
+    link.bufferedAmount = bufferedAmount;
+    link.bufferSum += bufferedAmount;
+    link.bufferCount++;
+  }
+
+  // Process feedback from the receiver of an upload
+  processFeedback(peerId, feedback) {
+    const flow = this.flows.get(feedback.requestId);
+    if (!flow || flow.peerId !== peerId || typeof feedback.bytesReceived !== 'number') return;
+    const link = this.getLink(peerId);
+    const now = Date.now();
+    link.lastFeedbackAt = now;
+
+    // RTT sample: time since the chunk that completes the confirmed bytes was sent
+    let sentEntry = null;
+    while (flow.sentLog.length > 0 && flow.sentLog[0].bytes <= feedback.bytesReceived) {
+      sentEntry = flow.sentLog.shift();
+    }
+    if (sentEntry) {
+      const rtt = now - sentEntry.at;
+      if (link.minRtt === null || rtt <= link.minRtt || now - link.minRttAt > CONGESTION_CONFIG.minRttWindowMs) {
+        link.minRtt = rtt;
+        link.minRttAt = now;
+      }
+    }
+
+    if (feedback.bytesReceived > flow.acked) {
+      link.delivered += feedback.bytesReceived - flow.acked;
+      flow.acked = feedback.bytesReceived;
+    }
+    link.receiverBacklog = feedback.bufferedBytes || 0;
+
+    if (now - link.sampleStart >= CONGESTION_CONFIG.rateSampleMs) {
+      this.takeRateSample(link, now);
+    }
+    this.wakeWaiters(link);
+  }
+
+  // Close a delivery rate sample and update the model from it
+  takeRateSample(link, now) {
+    const config = CONGESTION_CONFIG;
+    const rate = (link.delivered - link.sampleDelivered) * 1000 / (now - link.sampleStart);
+    // An idle sender (paused, between files) says nothing about the path unless it still beat the estimate
+    const appLimited = now - link.lastSendAt > config.rateSampleMs;
+    const receiverGrowing = link.receiverBacklog > config.receiverBacklogLimit && link.receiverBacklog > link.sampleBacklog;
+    link.sampleStart = now;
+    link.sampleDelivered = link.delivered;
+    link.sampleBacklog = link.receiverBacklog;
+
+    if (rate > 0 && (!appLimited || rate > link.btlBw)) {
+      link.bwSamples.push(rate);
+      if (link.bwSamples.length > config.bwWindowSamples) {
+        link.bwSamples.shift();
+      }
+      link.btlBw = Math.max(...link.bwSamples);
+    }
+
+    // A send buffer that fills up sample after sample means we pace faster than the path drains
+    const bufferAvg = link.bufferCount > 0 ? link.bufferSum / link.bufferCount : 0;
+    link.bufferGrowth = bufferAvg > config.sendBufferLowWater && bufferAvg > link.bufferAvg ? link.bufferGrowth + 1 : 0;
+    link.bufferAvg = bufferAvg;
+    link.bufferSum = 0;
+    link.bufferCount = 0;
+
+    if (link.bufferGrowth >= 2) {
+      this.backOff(link, now, `send buffer growing (${(bufferAvg / 1024).toFixed(0)}KB)`);
+    } else if (receiverGrowing) {
+      this.backOff(link, now, `receiver backlog at ${(link.receiverBacklog / MB).toFixed(1)}MB`);
+    }
+
+    this.advancePhase(link);
+
+    // Sizing chunks from a sample of a busy sender; the manager smooths and steps the size itself
+    if (!appLimited && link.btlBw > 0) {
+      chunkSizeManager.observe(link.btlBw / MB, link.minRtt);
+    }
+  }
+
+  backOff(link, now, reason) {
+    if (now - link.lastBackoffAt < CONGESTION_CONFIG.rateSampleMs * 2) return;
+    link.lastBackoffAt = now;
+    link.btlBw = Math.max(CONGESTION_CONFIG.minRate, link.btlBw * CONGESTION_CONFIG.backoffFactor);
+    link.bwSamples = [link.btlBw];
+    link.bufferGrowth = 0;
+    if (link.phase === 'startup') {
+      link.phase = 'drain';
+    } else if (link.phase === 'probe') {
+      link.cycleIndex = 0; // The next round drains
+    }
+    console.log(`📉 Backing off to ${formatRate(link.btlBw)} - ${reason}`);
+  }
+
+  advancePhase(link) {
+    if (link.phase === 'startup') {
+      if (link.btlBw >= link.fullBw * 1.25) {
+        link.fullBw = link.btlBw;
+        link.fullBwRounds = 0;
+      } else if (++link.fullBwRounds >= 3) {
+        link.phase = 'drain';
+        console.log(`📶 Bandwidth found: ${formatRate(link.btlBw)}, RTT ${link.minRtt === null ? '?' : link.minRtt}ms - draining queue`);
+      }
+    } else if (link.phase === 'drain') {
+      if (this.getInflight(link) <= this.getBdp(link)) {
+        link.phase = 'probe';
+        link.cycleIndex = 0;
+      }
+    } else {
+      link.cycleIndex = (link.cycleIndex + 1) % CONGESTION_CONFIG.probeGains.length;
+    }
+  }
+
+  // Generate feedback message for the sender of a download
+  generateFeedback(transferId, bytesReceived, bufferedBytes, chunkSize) {
     return {
       type: 'adaptive-feedback',
-      bufferLevel: chunksInBuffer,
-      downloadSpeed: currentSpeed,
-      maxDownloadSpeed: this.maxObservedDownloadSpeed,
-      targetSpeed: this.targetDownloadSpeed,
+      requestId: transferId,
+      bytesReceived,      // Every byte that arrived, including ones kept from before a resume
+      bufferedBytes,      // Received but not written yet
+      bufferLevel: chunkSize ? Math.ceil(bufferedBytes / chunkSize) : 0, // The same in chunks
       deviceType: this.deviceType,
-      canHandleMore: chunksInBuffer < 25, // Signal if can handle more data
       timestamp: Date.now()
     };
   }
-  
-  // Get current chunk size - CONSTANT 128KB
+
+  // Chunk size for new uploads (set from the speed test)
   getChunkSize() {
-    return this.uploadChunkSize; // Always 128KB
-  }
-  
-  // Get current send delay - DYNAMIC based on current speed
-  getSendDelay() {
-    return Math.floor(this.uploadDelay); // Calculated for current speed
-  }
-  
-  // Check if should apply delay - ALWAYS true for speed control
-  shouldDelay() {
-    return true; // Always apply delay for speed control
+    return chunkSizeManager.getChunkSize();
   }
-  
-  // Update stats for display - CONSTANT SPEED MODE
-  getStats() {
-    return {
-      chunkSize: this.getChunkSize(),
+
+  // Model of one link (the most recently used one by default) for display
+  getStats(peerId = this.lastPeerId) {
+    const link = peerId ? this.links.get(peerId) : null;
+    const chunkSize = this.getChunkSize();
+    const stats = {
+      chunkSize,
       chunkSizeLabel: this.getChunkSizeLabel(),
-      sendDelay: this.getSendDelay(),
-      bufferLevel: this.bufferLevel,
       deviceType: this.deviceType,
-      uploadSpeed: this.uploadTargetSpeed, // Current speed setting
-      downloadSpeed: this.downloadSpeed,
-      maxDownloadSpeed: this.maxObservedDownloadSpeed || Infinity, // No limit
-      targetDownloadSpeed: Infinity, // No download limit
-      speedEfficiency: '100%', // Always optimal for constant mode
-      optimizationActive: false,
-      // Constant mode stats
-      uploadSpeedMbps: this.uploadSpeedMbps,
-      downloadSpeedMbps: this.downloadSpeedMbps,
-      constantMode: this.constantMode,
-      calculatedDelay: this.uploadDelay.toFixed(1) + 'ms',
-      mode: `Upload: ${this.uploadSpeedMBps} MBps (Limited) | Download: Unlimited`,
-      // Speed capabilities
       localUploadSpeed: this.localUploadSpeed,
       localDownloadSpeed: this.localDownloadSpeed,
       remoteUploadSpeed: this.remoteUploadSpeed,
       remoteDownloadSpeed: this.remoteDownloadSpeed
     };
+    if (!link) {
+      return { ...stats, phase: null, bandwidthEstimate: this.seedRate, pacingRate: this.seedRate, sendDelay: 0 };
+    }
+
+    const pacingRate = this.getPacingRate(link);
+    const cwnd = this.getCwnd(link);
+    return {
+      ...stats,
+      peerId,
+      phase: link.phase,
+      bandwidthEstimate: link.btlBw,     // bytes/second
+      pacingGain: this.getPacingGain(link),
+      pacingRate,                        // bytes/second
+      sendDelay: Math.round((link.lastChunkBytes || chunkSize) * 1000 / pacingRate), // ms between chunks
+      minRtt: link.minRtt,               // ms
+      cwnd: cwnd === Infinity ? null : cwnd,
+      inflight: this.getInflight(link),
+      bufferedAmount: link.bufferedAmount,
+      receiverBacklog: link.receiverBacklog
+    };
   }
 }
 
 // Export as singleton for easy integration
 export const adaptiveAgent = new SimpleAdaptiveAgent();
 
-// Helper function to apply adaptive delay
-export async function applyAdaptiveDelay() {
-  const delay = adaptiveAgent.getSendDelay();
-  if (delay > 0) {
-    await new Promise(resolve => setTimeout(resolve, delay));
-  }
+// Helper to wait for an upload's next send slot
+export function paceChunk(transferId, bytes) {
+  return adaptiveAgent.pace(transferId, bytes);
 }
 
 // Helper to get adaptive chunk size
 export function getAdaptiveChunkSize(defaultSize = 16384) {
   return adaptiveAgent.getChunkSize() || defaultSize;
-}
\ No newline at end of file
+}
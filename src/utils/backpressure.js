@@ -0,0 +1,122 @@
+/**
+ * Backpressure
+ * Waits for a peer's data channel to drain on its `bufferedamountlow` event
+ * instead of polling bufferedAmount. Watermarks follow the chunk size: sends go
+ * straight through while the buffer is under the high mark, otherwise they wait
+ * until the channel reports it fell to the low mark.
+ */
+
+const KB = 1024;
+const MB = 1024 * 1024;
+
+export const BACKPRESSURE = {
+  highChunks: 8,          // High watermark in chunks...
+  minHigh: 1 * MB,        // ...but at least this
+  maxBuffered: 12 * MB,   // High mark plus one chunk stays under this (browsers refuse sends past 16 MB)
+  lowChunks: 2,           // Low watermark in chunks, at most half the high mark
+  minLow: 256 * KB,
+  stallTimeoutMs: 10000,  // Carry on if the channel never reports draining
+  pollIntervalMs: 50      // Browsers without bufferedAmountLowThreshold
+};
+
+/**
+ * High and low watermarks in bytes for a chunk size
+ */
+export function getWatermarks(chunkSize) {
+  const high = Math.min(Math.max(chunkSize * BACKPRESSURE.highChunks, BACKPRESSURE.minHigh), BACKPRESSURE.maxBuffered - chunkSize);
+  const low = Math.min(Math.max(chunkSize * BACKPRESSURE.lowChunks, BACKPRESSURE.minLow), Math.floor(high / 2));
+  return { high, low };
+}
+
+// simple-peer keeps its RTCDataChannel private and uses onbufferedamountlow itself, so listeners are added alongside
+const getChannel = (peer) => (peer && peer._channel) || null;
+
+// Waiters on each channel share one bufferedamountlow listener. The threshold sits at the lowest
+// mark any of them waits for, so the event fires once the buffer is low enough for all of them;
+// with nobody waiting it goes back to simple-peer's own value.
+const channelWaiters = new WeakMap(); // channel -> { waiters: Set<{ low, finish }>, idleThreshold, check }
+
+const getWaiterState = (channel) => {
+  let state = channelWaiters.get(channel);
+  if (!state) {
+    state = { waiters: new Set(), idleThreshold: channel.bufferedAmountLowThreshold };
+    // Wake the waiters the buffer is low enough for; the rest wait for the next event
+    state.check = () => {
+      [...state.waiters].forEach(waiter => {
+        if (channel.bufferedAmount <= waiter.low) waiter.finish();
+      });
+    };
+    channel.addEventListener('bufferedamountlow', state.check);
+    channelWaiters.set(channel, state);
+  }
+  return state;
+};
+
+const updateLowThreshold = (channel, state) => {
+  channel.bufferedAmountLowThreshold = state.waiters.size > 0
+    ? Math.min(...[...state.waiters].map(waiter => waiter.low))
+    : state.idleThreshold;
+};
+
+const addWaiter = (channel, waiter) => {
+  const state = getWaiterState(channel);
+  state.waiters.add(waiter);
+  updateLowThreshold(channel, state);
+};
+
+const removeWaiter = (channel, waiter) => {
+  const state = channelWaiters.get(channel);
+  if (!state || !state.waiters.delete(waiter)) return;
+  updateLowThreshold(channel, state);
+  // A raised threshold may already be passed - no event would come for it
+  state.check();
+};
+
+/**
+ * Resolve when a chunk of chunkSize may be sent: right away under the high
+ * watermark (or the low one with toLow), otherwise once the buffer drains to
+ * the low one. Rejects if the peer disconnects while waiting.
+ */
+export function waitForDrain(peer, chunkSize, { toLow = false } = {}) {
+  const channel = getChannel(peer);
+  if (!peer || !peer.connected || !channel) {
+    return Promise.reject(new Error('Peer disconnected while waiting for buffer'));
+  }
+
+  const { high, low } = getWatermarks(chunkSize);
+  if (channel.bufferedAmount <= (toLow ? low : high)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    let pollTimer = null;
+    const waiter = { low, finish: null };
+    const finish = (error) => {
+      clearTimeout(stallTimer);
+      clearInterval(pollTimer);
+      removeWaiter(channel, waiter);
+      channel.removeEventListener('close', onClose);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    waiter.finish = () => finish();
+    const onClose = () => finish(new Error('Peer disconnected while waiting for buffer'));
+    const stallTimer = setTimeout(() => {
+      console.warn(`⚠️ Buffer still at ${(channel.bufferedAmount / KB).toFixed(0)}KB after ${BACKPRESSURE.stallTimeoutMs / 1000}s - continuing anyway`);
+      finish();
+    }, BACKPRESSURE.stallTimeoutMs);
+
+    channel.addEventListener('close', onClose);
+    if (typeof channel.bufferedAmountLowThreshold === 'number') {
+      // The buffer is above this waiter's low mark, so it is above the threshold too and the event will come
+      addWaiter(channel, waiter);
+    } else {
+      pollTimer = setInterval(() => {
+        if (channel.bufferedAmount <= low) finish();
+      }, BACKPRESSURE.pollIntervalMs);
+    }
+  });
+}
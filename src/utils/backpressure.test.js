@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getWatermarks, waitForDrain } from './backpressure';
+
+const KB = 1024;
+const SIMPLE_PEER_THRESHOLD = 64 * KB;
+
+// Enough of an RTCDataChannel for waitForDrain, with the buffer level set by the test
+class FakeChannel extends EventTarget {
+  constructor(bufferedAmount) {
+    super();
+    this.bufferedAmount = bufferedAmount;
+    this.bufferedAmountLowThreshold = SIMPLE_PEER_THRESHOLD;
+  }
+
+  drainTo(bufferedAmount) {
+    this.bufferedAmount = bufferedAmount;
+    this.dispatchEvent(new Event('bufferedamountlow'));
+  }
+}
+
+const createPeer = (bufferedAmount) => ({ connected: true, _channel: new FakeChannel(bufferedAmount) });
+const settled = async (promise) => {
+  let done = false;
+  promise.then(() => { done = true; }, () => { done = true; });
+  await Promise.resolve();
+  await Promise.resolve();
+  return done;
+};
+
+describe('waitForDrain', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('goes straight through under the high watermark', async () => {
+    const { high } = getWatermarks(256 * KB);
+    const peer = createPeer(high);
+    await expect(waitForDrain(peer, 256 * KB)).resolves.toBeUndefined();
+    expect(peer._channel.bufferedAmountLowThreshold).toBe(SIMPLE_PEER_THRESHOLD);
+  });
+
+  it('sets the threshold to the lowest pending mark and restores it afterwards', async () => {
+    vi.useFakeTimers(); // No timer may be needed to wake the waiters
+    const small = getWatermarks(64 * KB);
+    const large = getWatermarks(1024 * KB);
+    const peer = createPeer(12 * 1024 * KB);
+    const channel = peer._channel;
+
+    const waitLarge = waitForDrain(peer, 1024 * KB);
+    expect(channel.bufferedAmountLowThreshold).toBe(large.low);
+    const waitSmall = waitForDrain(peer, 64 * KB);
+    expect(channel.bufferedAmountLowThreshold).toBe(small.low);
+
+    // Low enough for the large chunks only: they go, the threshold stays for the small ones
+    channel.drainTo(large.low);
+    expect(await settled(waitLarge)).toBe(true);
+    expect(await settled(waitSmall)).toBe(false);
+    expect(channel.bufferedAmountLowThreshold).toBe(small.low);
+
+    channel.drainTo(small.low);
+    expect(await settled(waitSmall)).toBe(true);
+    expect(channel.bufferedAmountLowThreshold).toBe(SIMPLE_PEER_THRESHOLD);
+  });
+
+  it('keeps waiting if the buffer filled up again before the event was handled', async () => {
+    const { low } = getWatermarks(256 * KB);
+    const peer = createPeer(8 * 1024 * KB);
+    const wait = waitForDrain(peer, 256 * KB);
+
+    peer._channel.bufferedAmount = low + 1;
+    peer._channel.dispatchEvent(new Event('bufferedamountlow'));
+    expect(await settled(wait)).toBe(false);
+
+    peer._channel.drainTo(low);
+    expect(await settled(wait)).toBe(true);
+  });
+
+  it('rejects when the channel closes while waiting', async () => {
+    const peer = createPeer(8 * 1024 * KB);
+    const wait = waitForDrain(peer, 256 * KB);
+    peer._channel.dispatchEvent(new Event('close'));
+    await expect(wait).rejects.toThrow('disconnected');
+    expect(peer._channel.bufferedAmountLowThreshold).toBe(SIMPLE_PEER_THRESHOLD);
+  });
+});
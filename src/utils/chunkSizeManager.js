@@ -1,6 +1,9 @@
 /**
  * Chunk Size Manager
- * Manages dynamic chunk sizes based on upload speed ranges
+ * Manages dynamic chunk sizes based on upload speed ranges. During transfers
+ * the measured throughput moves it up and down the table, one range at a time
+ * and only after the change held for a few measurements, so it doesn't flap
+ * around a range boundary.
  */
 
 const CHUNK_SIZE_CONFIG = [
@@ -14,35 +17,110 @@ const CHUNK_SIZE_CONFIG = [
   { minSpeed: 100, maxSpeed: 125, chunkSize: 4 * 1024 * 1024, label: '4MB' } // 100-125 MBps: 4MB chunks
 ];
 
+const STEP_UP_MARGIN = 1.1;        // Throughput must clear the next range's floor by 10%...
+const STEP_DOWN_MARGIN = 0.9;      // ...or drop 10% below the current one's
+const STEP_CONFIRMATIONS = 3;      // Measurements in a row that must agree before a step
+const MIN_STEP_INTERVAL_MS = 2000; // Time at one size before the next step
+const MIN_CHUNK_TIME_MS = 25;      // A chunk may take up to max(RTT, this) to go out at the measured speed
+const MAX_HISTORY = 100;
+
 class ChunkSizeManager {
   constructor() {
     this.currentSpeedMBps = 0.1; // Default speed
     this.currentConfig = this.getConfigForSpeed(0.1);
+    this.pendingStep = null;     // { direction, count } while a step waits for confirmation
+    this.lastStepAt = 0;
+    this.history = [];           // Size changes, oldest first
+  }
+
+  /**
+   * Index of the range for a given speed (speeds past either end get the nearest range)
+   */
+  getIndexForSpeed(speedMBps) {
+    const index = CHUNK_SIZE_CONFIG.findIndex(config => speedMBps >= config.minSpeed && speedMBps <= config.maxSpeed);
+    if (index !== -1) return index;
+    return speedMBps > CHUNK_SIZE_CONFIG[CHUNK_SIZE_CONFIG.length - 1].maxSpeed ? CHUNK_SIZE_CONFIG.length - 1 : 0;
   }
 
   /**
    * Get chunk configuration for a given speed
    */
   getConfigForSpeed(speedMBps) {
-    for (const config of CHUNK_SIZE_CONFIG) {
-      if (speedMBps >= config.minSpeed && speedMBps <= config.maxSpeed) {
-        return config;
-      }
-    }
-    // Default to first range if out of bounds
-    return CHUNK_SIZE_CONFIG[0];
+    return CHUNK_SIZE_CONFIG[this.getIndexForSpeed(speedMBps)];
   }
 
   /**
    * Update current speed and return new chunk size
    */
-  updateSpeed(speedMBps) {
+  updateSpeed(speedMBps, reason = 'speed test') {
     this.currentSpeedMBps = speedMBps;
-    this.currentConfig = this.getConfigForSpeed(speedMBps);
-    console.log(`📦 Chunk size updated: ${this.currentConfig.label} for ${speedMBps} MBps`);
+    this.setConfig(this.getConfigForSpeed(speedMBps), { reason, throughputMBps: speedMBps });
+    this.pendingStep = null;
     return this.currentConfig.chunkSize;
   }
 
+  /**
+   * Switch to a table entry and record the change
+   */
+  setConfig(config, { reason, throughputMBps = null, rttMs = null }) {
+    if (config === this.currentConfig) return;
+    const from = this.currentConfig;
+    this.currentConfig = config;
+    this.lastStepAt = Date.now();
+    this.history.push({ at: this.lastStepAt, from: from.label, to: config.label, chunkSize: config.chunkSize, throughputMBps, rttMs, reason });
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+    console.log(`📦 Chunk size ${from.label} → ${config.label} (${reason}${throughputMBps !== null ? `, ${throughputMBps.toFixed(2)} MBps` : ''}${rttMs !== null ? `, RTT ${rttMs}ms` : ''})`);
+  }
+
+  /**
+   * Feed a throughput (MBps) and RTT (ms) measurement from a running transfer.
+   * Returns the chunk size to use from now on.
+   */
+  observe(throughputMBps, rttMs = null) {
+    this.currentSpeedMBps = throughputMBps;
+    const current = CHUNK_SIZE_CONFIG.indexOf(this.currentConfig);
+
+    // Where the measurement points, with margins around the range boundaries
+    let target = current;
+    while (target < CHUNK_SIZE_CONFIG.length - 1 && throughputMBps >= CHUNK_SIZE_CONFIG[target + 1].minSpeed * STEP_UP_MARGIN) {
+      target++;
+    }
+    while (target > 0 && throughputMBps < CHUNK_SIZE_CONFIG[target].minSpeed * STEP_DOWN_MARGIN) {
+      target--;
+    }
+    // Keep each chunk short enough to go out within a round trip, so pacing stays smooth
+    const maxChunkSize = throughputMBps * 1024 * 1024 * Math.max(rttMs || 0, MIN_CHUNK_TIME_MS) / 1000;
+    while (target > 0 && CHUNK_SIZE_CONFIG[target].chunkSize > maxChunkSize) {
+      target--;
+    }
+
+    const direction = Math.sign(target - current);
+    if (direction === 0) {
+      this.pendingStep = null;
+      return this.currentConfig.chunkSize;
+    }
+
+    this.pendingStep = this.pendingStep && this.pendingStep.direction === direction
+      ? { direction, count: this.pendingStep.count + 1 }
+      : { direction, count: 1 };
+
+    // One range per step, once the measurements agreed long enough
+    if (this.pendingStep.count >= STEP_CONFIRMATIONS && Date.now() - this.lastStepAt >= MIN_STEP_INTERVAL_MS) {
+      this.pendingStep = null;
+      this.setConfig(CHUNK_SIZE_CONFIG[current + direction], { reason: direction > 0 ? 'throughput up' : 'throughput down', throughputMBps, rttMs });
+    }
+    return this.currentConfig.chunkSize;
+  }
+
+  /**
+   * Recorded chunk size changes (newest last)
+   */
+  getHistory() {
+    return [...this.history];
+  }
+
   /**
    * Get current chunk size in bytes
    */
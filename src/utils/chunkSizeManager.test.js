@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { chunkSizeManager } from './chunkSizeManager';
+
+const KB = 1024;
+const MB = 1024 * 1024;
+const RTT_MS = 100; // Long enough that the round-trip cap doesn't hold sizes back from 4 MBps up
+
+// Measurements a second apart, like the adaptive agent's samples
+const observeFor = (seconds, throughputMBps, rttMs = RTT_MS) => {
+  let chunkSize;
+  for (let i = 0; i < seconds; i++) {
+    vi.advanceTimersByTime(1000);
+    chunkSize = chunkSizeManager.observe(throughputMBps, rttMs);
+  }
+  return chunkSize;
+};
+
+describe('chunkSizeManager', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    chunkSizeManager.updateSpeed(2, 'test setup'); // 128KB
+    vi.advanceTimersByTime(10000); // Past the minimum time at one size
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('picks the table entry for a tested speed', () => {
+    expect(chunkSizeManager.updateSpeed(0.5)).toBe(64 * KB);
+    expect(chunkSizeManager.updateSpeed(30)).toBe(1 * MB);
+    expect(chunkSizeManager.updateSpeed(500)).toBe(4 * MB); // Past the top of the table
+    expect(chunkSizeManager.updateSpeed(0.01)).toBe(64 * KB);
+    expect(chunkSizeManager.getChunkSizeLabel()).toBe('64KB');
+  });
+
+  it('steps up one range only after three measurements agree', () => {
+    expect(chunkSizeManager.observe(20, RTT_MS)).toBe(128 * KB);
+    expect(chunkSizeManager.observe(20, RTT_MS)).toBe(128 * KB);
+    expect(chunkSizeManager.observe(20, RTT_MS)).toBe(256 * KB); // One range, not straight to 512KB
+  });
+
+  it('waits at each size before the next step', () => {
+    observeFor(3, 20);
+    expect(chunkSizeManager.getChunkSize()).toBe(256 * KB);
+
+    // Three more agreeing measurements inside the 2s minimum don't move it
+    chunkSizeManager.observe(20, RTT_MS);
+    chunkSizeManager.observe(20, RTT_MS);
+    expect(chunkSizeManager.observe(20, RTT_MS)).toBe(256 * KB);
+
+    expect(observeFor(3, 20)).toBe(512 * KB);
+  });
+
+  it('does not flap around a range boundary', () => {
+    // Just over 4 MBps is inside the 256KB range but not 10% past its floor
+    expect(observeFor(10, 4.2)).toBe(128 * KB);
+    // Just under 1 MBps is inside the 64KB range but not 10% below the 128KB floor
+    // (a 200ms RTT lets a 128KB chunk take its time at that speed)
+    expect(observeFor(10, 0.95, 200)).toBe(128 * KB);
+  });
+
+  it('starts over when a measurement disagrees', () => {
+    chunkSizeManager.observe(20, RTT_MS);
+    chunkSizeManager.observe(20, RTT_MS);
+    chunkSizeManager.observe(2, RTT_MS); // Back in range
+    chunkSizeManager.observe(20, RTT_MS);
+    expect(chunkSizeManager.observe(20, RTT_MS)).toBe(128 * KB);
+    expect(chunkSizeManager.observe(20, RTT_MS)).toBe(256 * KB);
+  });
+
+  it('steps down when throughput falls', () => {
+    chunkSizeManager.updateSpeed(30); // 1MB
+    vi.advanceTimersByTime(10000);
+    expect(observeFor(3, 5)).toBe(512 * KB);
+    expect(observeFor(3, 5)).toBe(256 * KB);
+    expect(observeFor(3, 5)).toBe(256 * KB); // 5 MBps belongs in the 256KB range
+  });
+
+  it('keeps chunks short enough to go out within a round trip', () => {
+    chunkSizeManager.updateSpeed(30); // 1MB
+    vi.advanceTimersByTime(10000);
+    // At 30 MBps and a 5ms RTT a chunk may take 25ms: 750KB, so 1MB is too big
+    expect(observeFor(3, 30, 5)).toBe(512 * KB);
+    expect(observeFor(3, 30, 5)).toBe(512 * KB);
+  });
+
+  it('records each change with its reason', () => {
+    const before = chunkSizeManager.getHistory().length;
+    observeFor(3, 20);
+    const history = chunkSizeManager.getHistory();
+    expect(history.length).toBe(before + 1);
+    expect(history[history.length - 1]).toMatchObject({
+      from: '128KB',
+      to: '256KB',
+      chunkSize: 256 * KB,
+      throughputMBps: 20,
+      rttMs: RTT_MS,
+      reason: 'throughput up'
+    });
+  });
+});
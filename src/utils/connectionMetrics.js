@@ -0,0 +1,94 @@
+/**
+ * Connection Metrics
+ * Time-to-connect for each peer connection, kept in localStorage so trickle
+ * and non-trickle ICE (VITE_TRICKLE_ICE=false) can be compared across sessions.
+ */
+
+const STORAGE_KEY = 'p2p-connect-metrics';
+const MAX_RECORDS = 50;
+
+const loadRecords = () => {
+  try {
+    const records = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(records) ? records : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Start timing a connection attempt
+ */
+export function startConnectTimer({ trickle, relayOnly }) {
+  return {
+    trickle,
+    relayOnly,
+    startedAt: performance.now(),
+    firstSignalMs: null,   // Until our first offer/answer/candidate went out
+    remoteDescriptionMs: null, // Until the other side's offer/answer arrived
+    localCandidates: 0,
+    remoteCandidates: 0
+  };
+}
+
+/**
+ * Note a signal we sent or received
+ */
+export function markSignal(timer, signal, direction) {
+  const elapsed = Math.round(performance.now() - timer.startedAt);
+  if (direction === 'out' && timer.firstSignalMs === null) {
+    timer.firstSignalMs = elapsed;
+  }
+  if (direction === 'in' && (signal.type === 'offer' || signal.type === 'answer') && timer.remoteDescriptionMs === null) {
+    timer.remoteDescriptionMs = elapsed;
+  }
+  if (signal.candidate) {
+    if (direction === 'out') timer.localCandidates++;
+    else timer.remoteCandidates++;
+  }
+}
+
+/**
+ * Finish timing and store the result. Returns the record.
+ */
+export function recordConnected(timer, connectionType) {
+  const record = {
+    trickle: timer.trickle,
+    relayOnly: timer.relayOnly,
+    connectionType,
+    connectMs: Math.round(performance.now() - timer.startedAt),
+    firstSignalMs: timer.firstSignalMs,
+    remoteDescriptionMs: timer.remoteDescriptionMs,
+    localCandidates: timer.localCandidates,
+    remoteCandidates: timer.remoteCandidates,
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    const records = [...loadRecords(), record].slice(-MAX_RECORDS);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+  } catch (error) {
+    console.warn('⚠️ Could not store connection metrics:', error);
+  }
+  return record;
+}
+
+/**
+ * Average and median time-to-connect per ICE mode over the stored records
+ */
+export function summarizeConnectMetrics() {
+  const summary = {};
+  ['trickle', 'non-trickle'].forEach(mode => {
+    const times = loadRecords()
+      .filter(record => (record.trickle ? 'trickle' : 'non-trickle') === mode)
+      .map(record => record.connectMs)
+      .sort((a, b) => a - b);
+    if (times.length === 0) return;
+    summary[mode] = {
+      count: times.length,
+      averageMs: Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length),
+      medianMs: times[Math.floor(times.length / 2)]
+    };
+  });
+  return summary;
+}
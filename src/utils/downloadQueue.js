@@ -0,0 +1,298 @@
+/**
+ * Download Queue
+ * Ordered list of files waiting to download, with a priority per item and
+ * failed items kept for retry. The queue is saved in IndexedDB per room, so a
+ * page refresh during a long batch picks up where it stopped once the files
+ * are listed again.
+ */
+
+export const QUEUE_PRIORITIES = ['high', 'normal', 'low'];
+
+const DB_NAME = 'p2p-transfer';
+const DB_VERSION = 1;
+const STORE_NAME = 'download-queue';
+
+// Fields kept for each item - enough to request the file again after a reload
+const toStoredItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  size: item.size,
+  type: item.type,
+  relativePath: item.relativePath || '',
+  deviceName: item.deviceName,
+  priority: item.priority,
+  status: item.status === 'active' ? 'queued' : item.status, // Nothing is in flight after a reload
+  error: item.error || null,
+  attempts: item.attempts || 0,
+  addedAt: item.addedAt
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB not available'));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'roomId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export class DownloadQueue {
+  /**
+   * onChange(items) is called with the sorted items after every change
+   */
+  constructor(onChange = () => {}) {
+    this.items = [];
+    this.roomId = null;
+    this.onChange = onChange;
+  }
+
+  // High priority first, then the order the user arranged
+  sorted() {
+    const rank = (item) => QUEUE_PRIORITIES.indexOf(item.priority);
+    return [...this.items].sort((a, b) => rank(a) - rank(b) || a.order - b.order);
+  }
+
+  get(fileId) {
+    return this.items.find(item => item.id === fileId) || null;
+  }
+
+  has(fileId) {
+    return !!this.get(fileId);
+  }
+
+  // Anything still waiting or downloading
+  hasPending() {
+    return this.items.some(item => item.status === 'queued' || item.status === 'active');
+  }
+
+  changed() {
+    // Keep order values compact and matching what the user sees
+    this.items = this.sorted();
+    this.items.forEach((item, index) => { item.order = index; });
+    this.onChange(this.items.map(item => ({ ...item })));
+    this.save();
+  }
+
+  /**
+   * Queue files (file infos from availableFiles). Failed items that are added again are retried.
+   * Returns the items that are now waiting.
+   */
+  add(files, { priority = 'normal' } = {}) {
+    const added = [];
+    files.forEach(file => {
+      const existing = this.get(file.id);
+      if (existing) {
+        if (existing.status === 'failed') {
+          this.resetItem(existing);
+          added.push(existing);
+        }
+        return;
+      }
+      const item = {
+        ...file,
+        priority,
+        status: 'queued', // 'queued', 'active' or 'failed'
+        error: null,       // Last error (also kept while waiting for an automatic retry)
+        attempts: 0,       // Download attempts started (a busy sender's refusals don't count)
+        waits: 0,          // Refusals from a busy sender in a row, for their backoff
+        retryAt: null,     // Not before this time (ms) when waiting for an automatic retry
+        addedAt: Date.now(),
+        order: this.items.length
+      };
+      this.items.push(item);
+      added.push(item);
+    });
+    if (added.length > 0) {
+      this.changed();
+    }
+    return added;
+  }
+
+  /**
+   * Mark up to `limit` waiting items as active and return them, in queue order.
+   * canStart(item) decides whether an item can go now (device connected, ZIP slot free).
+   */
+  takeNext(limit, canStart = () => true) {
+    const now = Date.now();
+    const taken = [];
+    for (const item of this.sorted()) {
+      if (taken.length >= limit) break;
+      if (item.status !== 'queued' || (item.retryAt && item.retryAt > now) || !canStart(item)) continue;
+      item.status = 'active';
+      item.attempts = (item.attempts || 0) + 1;
+      item.retryAt = null;
+      taken.push(item);
+    }
+    if (taken.length > 0) {
+      this.changed();
+    }
+    return taken;
+  }
+
+  // Put an active item back in line (its device went away before it started)
+  requeue(fileId) {
+    const item = this.get(fileId);
+    if (!item || item.status !== 'active') return;
+    item.status = 'queued';
+    this.changed();
+  }
+
+  complete(fileId) {
+    this.remove(fileId);
+  }
+
+  // Only items that were downloading can fail (a refused, unrequested start leaves a waiting one alone)
+  fail(fileId, error) {
+    const item = this.get(fileId);
+    if (!item || item.status !== 'active') return;
+    item.status = 'failed';
+    item.error = error || 'Download failed';
+    this.changed();
+  }
+
+  /**
+   * Put a failed download back in line to start again after delayMs. Without countAttempt
+   * (the sender was only busy) the attempt it just made is given back.
+   */
+  scheduleRetry(fileId, error, delayMs, { countAttempt = true } = {}) {
+    const item = this.get(fileId);
+    if (!item || item.status !== 'active') return;
+    item.status = 'queued';
+    item.error = error;
+    item.retryAt = Date.now() + delayMs;
+    if (countAttempt) {
+      item.waits = 0;
+    } else {
+      item.attempts = Math.max((item.attempts || 0) - 1, 0);
+      item.waits = (item.waits || 0) + 1;
+    }
+    this.changed();
+  }
+
+  resetItem(item) {
+    item.status = 'queued';
+    item.error = null;
+    item.attempts = 0;
+    item.waits = 0;
+    item.retryAt = null;
+  }
+
+  remove(fileId) {
+    const count = this.items.length;
+    this.items = this.items.filter(item => item.id !== fileId);
+    if (this.items.length !== count) {
+      this.changed();
+    }
+  }
+
+  // Retry one failed item, or all of them
+  retry(fileId = null) {
+    let retried = 0;
+    this.items.forEach(item => {
+      if (item.status === 'failed' && (!fileId || item.id === fileId)) {
+        this.resetItem(item);
+        retried++;
+      }
+    });
+    if (retried > 0) {
+      this.changed();
+    }
+    return retried;
+  }
+
+  setPriority(fileId, priority) {
+    const item = this.get(fileId);
+    if (!item || !QUEUE_PRIORITIES.includes(priority) || item.priority === priority) return;
+    item.priority = priority;
+    item.order = -1; // Front of its new priority group
+    this.changed();
+  }
+
+  /**
+   * Move an item in front of another one (to the end without one). It takes
+   * the priority of the items around its new place so the sort keeps it there.
+   */
+  move(fileId, beforeFileId = null) {
+    const sorted = this.sorted();
+    const fromIndex = sorted.findIndex(item => item.id === fileId);
+    if (fromIndex === -1 || fileId === beforeFileId) return;
+
+    const [item] = sorted.splice(fromIndex, 1);
+    const beforeIndex = beforeFileId ? sorted.findIndex(entry => entry.id === beforeFileId) : -1;
+    const index = beforeIndex === -1 ? sorted.length : beforeIndex;
+    sorted.splice(index, 0, item);
+    const neighbour = sorted[index + 1] || sorted[index - 1];
+    if (neighbour) {
+      item.priority = neighbour.priority;
+    }
+    sorted.forEach((entry, order) => { entry.order = order; });
+    this.items = sorted;
+    this.changed();
+  }
+
+  /**
+   * Point items at the device that lists their file now (peer IDs change on reconnect and reload).
+   * Returns true if a waiting item became startable.
+   */
+  relink(fileInfo) {
+    const item = this.get(fileInfo.id);
+    if (!item || (item.peerId === fileInfo.peerId && item.deviceName === fileInfo.deviceName)) return false;
+    item.peerId = fileInfo.peerId;
+    item.deviceName = fileInfo.deviceName;
+    this.onChange(this.items.map(entry => ({ ...entry })));
+    return item.status === 'queued';
+  }
+
+  /**
+   * Switch to a room's saved queue. Restored items have no device until their file is listed again.
+   */
+  async load(roomId) {
+    this.roomId = roomId;
+    this.items = [];
+    this.onChange([]);
+    try {
+      const record = await runRequest('readonly', store => store.get(roomId));
+      if (this.roomId !== roomId || !record || !Array.isArray(record.items)) return 0;
+      this.items = record.items.map((item, order) => ({ ...item, peerId: null, order }));
+      this.onChange(this.items.map(item => ({ ...item })));
+      console.log(`📋 Restored ${this.items.length} queued download(s) for room ${roomId}`);
+      return this.items.length;
+    } catch (error) {
+      console.warn('⚠️ Could not restore the download queue:', error);
+      return 0;
+    }
+  }
+
+  async save() {
+    if (!this.roomId) return;
+    const roomId = this.roomId;
+    const items = this.items.map(toStoredItem);
+    try {
+      await runRequest('readwrite', store => items.length > 0
+        ? store.put({ roomId, items, savedAt: Date.now() })
+        : store.delete(roomId));
+    } catch (error) {
+      console.warn('⚠️ Could not save the download queue:', error);
+    }
+  }
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { DownloadQueue } from './downloadQueue';
+
+const file = (id, extra = {}) => ({ id, name: `${id}.bin`, size: 100, peerId: 'peer-1', ...extra });
+const ids = (items) => items.map(item => item.id);
+
+describe('DownloadQueue', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('hands out waiting items in order, up to the limit', () => {
+    const queue = new DownloadQueue();
+    queue.add([file('a'), file('b'), file('c')]);
+
+    const taken = queue.takeNext(2);
+    expect(ids(taken)).toEqual(['a', 'b']);
+    expect(taken.every(item => item.status === 'active' && item.attempts === 1)).toBe(true);
+    expect(ids(queue.takeNext(2))).toEqual(['c']);
+    expect(queue.takeNext(2)).toEqual([]);
+  });
+
+  it('starts higher priorities first and skips items that cannot start', () => {
+    const queue = new DownloadQueue();
+    queue.add([file('a'), file('b')]);
+    queue.add([file('urgent')], { priority: 'high' });
+    queue.add([file('later')], { priority: 'low' });
+
+    expect(ids(queue.sorted())).toEqual(['urgent', 'a', 'b', 'later']);
+    expect(ids(queue.takeNext(4, item => item.id !== 'a'))).toEqual(['urgent', 'b', 'later']);
+  });
+
+  it('moves an item and gives it the priority of its new neighbours', () => {
+    const queue = new DownloadQueue();
+    queue.add([file('a'), file('b')]);
+    queue.add([file('low')], { priority: 'low' });
+
+    queue.move('low', 'a');
+    expect(ids(queue.sorted())).toEqual(['low', 'a', 'b']);
+    expect(queue.get('low').priority).toBe('normal');
+
+    queue.move('a');
+    expect(ids(queue.sorted())).toEqual(['low', 'b', 'a']);
+  });
+
+  it('holds a scheduled retry back until its time', () => {
+    vi.useFakeTimers();
+    const queue = new DownloadQueue();
+    queue.add([file('a')]);
+    queue.takeNext(1);
+
+    queue.scheduleRetry('a', 'Peer busy', 2000);
+    expect(queue.get('a')).toMatchObject({ status: 'queued', error: 'Peer busy' });
+    expect(queue.takeNext(1)).toEqual([]);
+
+    vi.advanceTimersByTime(2000);
+    const [item] = queue.takeNext(1);
+    expect(item.id).toBe('a');
+    expect(item.attempts).toBe(2);
+  });
+
+  it('gives the attempt back when the sender was only busy', () => {
+    vi.useFakeTimers();
+    const queue = new DownloadQueue();
+    queue.add([file('a')]);
+    queue.takeNext(1);
+
+    queue.scheduleRetry('a', 'Sender busy', 1000, { countAttempt: false });
+    expect(queue.get('a')).toMatchObject({ status: 'queued', attempts: 0, waits: 1 });
+
+    vi.advanceTimersByTime(1000);
+    queue.takeNext(1);
+    queue.scheduleRetry('a', 'Connection lost', 1000);
+    expect(queue.get('a')).toMatchObject({ attempts: 1, waits: 0 });
+  });
+
+  it('keeps failed items until they are retried or added again', () => {
+    const queue = new DownloadQueue();
+    queue.add([file('a'), file('b')]);
+    queue.takeNext(2);
+    queue.fail('a', 'Verification failed');
+    queue.fail('b');
+
+    expect(queue.get('a')).toMatchObject({ status: 'failed', error: 'Verification failed' });
+    expect(queue.hasPending()).toBe(false);
+
+    expect(queue.retry('a')).toBe(1);
+    expect(queue.get('a')).toMatchObject({ status: 'queued', error: null, attempts: 0 });
+
+    expect(ids(queue.add([file('b')]))).toEqual(['b']);
+    expect(queue.add([file('a')])).toEqual([]); // Already waiting
+  });
+
+  it('only fails, requeues or retries items that are downloading', () => {
+    const queue = new DownloadQueue();
+    queue.add([file('a')]);
+
+    queue.fail('a', 'Refused');
+    queue.requeue('a');
+    queue.scheduleRetry('a', 'Busy', 1000);
+    expect(queue.get('a')).toMatchObject({ status: 'queued', error: null, retryAt: null });
+  });
+
+  it('drops completed items and reports every change', () => {
+    const onChange = vi.fn();
+    const queue = new DownloadQueue(onChange);
+    queue.add([file('a')]);
+    queue.takeNext(1);
+    queue.complete('a');
+
+    expect(queue.has('a')).toBe(false);
+    expect(onChange).toHaveBeenCalledTimes(3);
+    expect(onChange).toHaveBeenLastCalledWith([]);
+  });
+
+  it('points items at the device that lists their file now', () => {
+    const queue = new DownloadQueue();
+    queue.add([file('a', { deviceName: 'Laptop' })]);
+
+    expect(queue.relink({ id: 'a', peerId: 'peer-1', deviceName: 'Laptop' })).toBe(false);
+    expect(queue.relink({ id: 'a', peerId: 'peer-2', deviceName: 'Laptop' })).toBe(true);
+    expect(queue.get('a').peerId).toBe('peer-2');
+    expect(queue.relink({ id: 'missing', peerId: 'peer-2' })).toBe(false);
+  });
+});
@@ -0,0 +1,367 @@
+/**
+ * Download Sinks
+ * Where received file data goes: an in-memory Blob for small files, a file
+ * picked through the File System Access API, or a service-worker-backed
+ * download stream. Large files are written in order as chunks arrive instead
+ * of being assembled in memory.
+ */
+
+export const SINK_TYPES = {
+  MEMORY: 'memory',
+  FILE_SYSTEM: 'file-system',
+  SERVICE_WORKER: 'service-worker',
+  ZIP: 'zip' // Entry in a ZIP archive that has its own sink
+};
+
+export const SINK_LABELS = {
+  [SINK_TYPES.MEMORY]: '🧠 In memory',
+  [SINK_TYPES.FILE_SYSTEM]: '💾 Saving to disk',
+  [SINK_TYPES.SERVICE_WORKER]: '🌊 Streaming download',
+  [SINK_TYPES.ZIP]: '📦 Adding to ZIP'
+};
+
+const MEMORY_SINK_LIMIT = 200 * 1024 * 1024; // Files above 200MB stream to disk when the browser allows it
+const MAX_REORDER_BUFFER = 32; // Out-of-order chunks held before writing - more are refused until the gap fills
+const REORDER_GAP_CHUNKS = 8;  // Chunks waiting behind a gap before it's worth asking for the gap early
+const SERVICE_WORKER_URL = '/download-sw.js';
+const SERVICE_WORKER_DOWNLOAD_PREFIX = '/__stream-download__/';
+
+let serviceWorkerRegistration = null;
+
+export function supportsFileSystemAccess() {
+  return typeof window !== 'undefined' && 'showSaveFilePicker' in window;
+}
+
+export function supportsDirectoryAccess() {
+  return typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+}
+
+export function supportsServiceWorkerStream() {
+  return typeof navigator !== 'undefined' &&
+    'serviceWorker' in navigator &&
+    window.isSecureContext &&
+    typeof ReadableStream !== 'undefined';
+}
+
+/**
+ * Pick the best sink for a file of the given size in this browser
+ */
+export function chooseSinkType(fileSize) {
+  if (fileSize <= MEMORY_SINK_LIMIT) return SINK_TYPES.MEMORY;
+  if (supportsFileSystemAccess()) return SINK_TYPES.FILE_SYSTEM;
+  if (supportsServiceWorkerStream()) return SINK_TYPES.SERVICE_WORKER;
+  return SINK_TYPES.MEMORY;
+}
+
+/**
+ * Keeps every chunk and returns one Blob on close (small files only)
+ */
+class MemorySink {
+  constructor(mimeType) {
+    this.type = SINK_TYPES.MEMORY;
+    this.mimeType = mimeType;
+    this.parts = [];
+  }
+
+  async write(data) {
+    this.parts.push(data);
+  }
+
+  async close() {
+    const blob = new Blob(this.parts, { type: this.mimeType });
+    this.parts = [];
+    return blob;
+  }
+
+  async abort() {
+    this.parts = [];
+  }
+}
+
+/**
+ * Writes straight into a file picked by the user. Data goes to a swap file
+ * until close(), but the picker (or getFileHandle) already created an empty
+ * file, so abort() removes it too.
+ */
+class FileSystemSink {
+  constructor(writable, handle, directory = null) {
+    this.type = SINK_TYPES.FILE_SYSTEM;
+    this.writable = writable;
+    this.handle = handle;
+    this.directory = directory; // Set for files written into a chosen folder
+  }
+
+  async write(data) {
+    await this.writable.write(data);
+  }
+
+  async close() {
+    await this.writable.close();
+    return null;
+  }
+
+  async abort() {
+    await this.writable.abort().catch(() => {});
+    try {
+      if (this.directory) {
+        await this.directory.removeEntry(this.handle.name);
+      } else if (typeof this.handle.remove === 'function') {
+        await this.handle.remove();
+      } else {
+        // No way to delete a picked file here - at least leave it empty
+        const empty = await this.handle.createWritable();
+        await empty.close();
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not remove ${this.handle.name} after aborting:`, error);
+    }
+  }
+}
+
+/**
+ * Streams chunks to the download service worker, which serves them to a
+ * hidden iframe as a regular browser download. A write resolves once the
+ * worker's stream has taken the chunk and has room for more, so bytesWritten
+ * follows what the browser actually consumed.
+ */
+class ServiceWorkerSink {
+  constructor(worker, fileName, mimeType, fileSize) {
+    this.type = SINK_TYPES.SERVICE_WORKER;
+    this.cancelled = false;
+    this.flowControl = false; // Workers from before acks were added never send them
+    this.nextSeq = 0;
+    this.pendingWrites = new Map(); // seq -> { resolve, reject } until the worker acks the chunk
+
+    const id = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const channel = new MessageChannel();
+    this.port = channel.port1;
+    this.port.onmessage = ({ data }) => {
+      if (!data) return;
+      if (data.type === 'registered') {
+        this.flowControl = !!data.flowControl;
+      } else if (data.type === 'ack') {
+        const pending = this.pendingWrites.get(data.seq);
+        this.pendingWrites.delete(data.seq);
+        if (pending) pending.resolve();
+      } else if (data.type === 'cancelled') {
+        console.warn(`⚠️ Browser download cancelled: ${fileName}`);
+        this.cancelled = true;
+        this.failPendingWrites(new Error('Download was cancelled in the browser'));
+      }
+    };
+
+    worker.postMessage({
+      type: 'register-download',
+      id,
+      fileName,
+      mimeType,
+      fileSize
+    }, [channel.port2]);
+
+    // Start the browser download without navigating away
+    this.iframe = document.createElement('iframe');
+    this.iframe.hidden = true;
+    this.iframe.src = `${SERVICE_WORKER_DOWNLOAD_PREFIX}${id}`;
+    document.body.appendChild(this.iframe);
+  }
+
+  async write(data) {
+    if (this.cancelled) {
+      throw new Error('Download was cancelled in the browser');
+    }
+    const seq = this.nextSeq++;
+    if (!this.flowControl) {
+      this.port.postMessage({ type: 'chunk', data, seq });
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      this.pendingWrites.set(seq, { resolve, reject });
+      this.port.postMessage({ type: 'chunk', data, seq });
+    });
+  }
+
+  failPendingWrites(error) {
+    this.pendingWrites.forEach(({ reject }) => reject(error));
+    this.pendingWrites.clear();
+  }
+
+  async close() {
+    this.port.postMessage({ type: 'end' });
+    this.cleanup();
+    return null;
+  }
+
+  async abort() {
+    this.port.postMessage({ type: 'abort' });
+    this.failPendingWrites(new Error('Download aborted'));
+    this.cleanup();
+  }
+
+  cleanup() {
+    // Leave the iframe long enough for the browser to take over the download
+    setTimeout(() => {
+      this.iframe.remove();
+      this.port.close();
+    }, 10000);
+  }
+}
+
+async function getDownloadWorker() {
+  if (!serviceWorkerRegistration) {
+    serviceWorkerRegistration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  }
+  await navigator.serviceWorker.ready;
+  return serviceWorkerRegistration.active;
+}
+
+/**
+ * Open a save dialog for the file. Must be called from a user gesture.
+ * Throws AbortError if the user dismisses the picker.
+ */
+export async function createFileSystemSink(fileName) {
+  const handle = await window.showSaveFilePicker({ suggestedName: fileName });
+  const writable = await handle.createWritable();
+  return new FileSystemSink(writable, handle);
+}
+
+/**
+ * Ask for a folder to save a shared folder into. Must be called from a user gesture.
+ * Throws AbortError if the user dismisses the picker.
+ */
+export async function pickDirectory() {
+  return window.showDirectoryPicker({ mode: 'readwrite' });
+}
+
+/**
+ * Write a file at relativePath inside a picked directory, creating subfolders as needed
+ */
+export async function createDirectorySink(directoryHandle, relativePath) {
+  const parts = relativePath.split('/').filter(Boolean);
+  const fileName = parts.pop();
+
+  let directory = directoryHandle;
+  for (const part of parts) {
+    directory = await directory.getDirectoryHandle(part, { create: true });
+  }
+
+  const handle = await directory.getFileHandle(fileName, { create: true });
+  const writable = await handle.createWritable();
+  return new FileSystemSink(writable, handle, directory);
+}
+
+/**
+ * Create a sink that doesn't need a user gesture, falling back to memory
+ * if the preferred sink can't be set up
+ */
+export async function createSink(sinkType, fileName, mimeType, fileSize) {
+  if (sinkType === SINK_TYPES.FILE_SYSTEM || sinkType === SINK_TYPES.SERVICE_WORKER) {
+    // A save picker needs a user gesture; without one, stream through the service worker
+    if (supportsServiceWorkerStream()) {
+      try {
+        const worker = await getDownloadWorker();
+        return new ServiceWorkerSink(worker, fileName, mimeType, fileSize);
+      } catch (error) {
+        console.warn('⚠️ Download service worker unavailable, keeping file in memory:', error);
+      }
+    }
+  }
+  return new MemorySink(mimeType);
+}
+
+/**
+ * Writes chunks to a sink strictly in index order, holding early arrivals
+ * in a small reorder buffer until the gap before them is filled. The buffer
+ * is capped: once full, push() refuses chunks after the gap, and `gap` names
+ * the chunk to ask for early.
+ */
+export class OrderedChunkWriter {
+  constructor(sinkPromise) {
+    this.sink = null;
+    this.nextIndex = 0;
+    this.buffered = new Map();
+    this.bytesWritten = 0;
+    this.error = null;
+    this.aborted = false;
+    this.writing = Promise.resolve(sinkPromise).then(sink => {
+      this.sink = sink;
+    });
+  }
+
+  get sinkType() {
+    return this.sink ? this.sink.type : null;
+  }
+
+  /**
+   * Chunk index the buffered chunks are waiting for, once enough of them pile up behind it (else null)
+   */
+  get gap() {
+    return this.buffered.size >= REORDER_GAP_CHUNKS ? this.nextIndex : null;
+  }
+
+  /**
+   * Queue a chunk for writing. Returns false for chunks already written or buffered,
+   * and for chunks after a gap while the reorder buffer is full (send those again later).
+   */
+  push(index, data) {
+    if (this.aborted || index < this.nextIndex || this.buffered.has(index)) {
+      return false;
+    }
+    if (index !== this.nextIndex && this.buffered.size >= MAX_REORDER_BUFFER) {
+      console.warn(`⚠️ Reorder buffer full (${this.buffered.size} chunks waiting for chunk ${this.nextIndex}) - refusing chunk ${index}`);
+      return false;
+    }
+
+    this.buffered.set(index, data);
+
+    while (this.buffered.has(this.nextIndex)) {
+      const chunk = this.buffered.get(this.nextIndex);
+      this.buffered.delete(this.nextIndex);
+      this.nextIndex++;
+      this.writing = this.writing.then(async () => {
+        if (this.error || this.aborted) return;
+        try {
+          await this.sink.write(chunk);
+          this.bytesWritten += chunk.byteLength;
+        } catch (error) {
+          this.error = error;
+        }
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Forget buffered chunks at or after index (they will be sent again)
+   */
+  discardFrom(index) {
+    for (const bufferedIndex of this.buffered.keys()) {
+      if (bufferedIndex >= index) {
+        this.buffered.delete(bufferedIndex);
+      }
+    }
+  }
+
+  /**
+   * Wait for pending writes and finish the file. Resolves with a Blob for memory sinks.
+   */
+  async close() {
+    await this.writing;
+    if (this.error) {
+      await this.sink.abort().catch(() => {});
+      throw this.error;
+    }
+    return this.sink.close();
+  }
+
+  /**
+   * Throw away everything written so far (queued writes are skipped)
+   */
+  async abort() {
+    this.aborted = true;
+    this.buffered.clear();
+    await this.writing;
+    if (this.sink) {
+      await this.sink.abort().catch(() => {});
+    }
+  }
+}
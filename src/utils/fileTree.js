@@ -0,0 +1,84 @@
+/**
+ * File Tree
+ * Helpers for files shared with a relative path ("photos/2024/a.jpg"):
+ * path cleanup, a nested tree for display and save names for browsers that
+ * can't write into a folder.
+ */
+
+/**
+ * Normalise a path from a peer: forward slashes only, no empty, "." or ".." parts
+ */
+export function sanitizeRelativePath(path) {
+  if (!path) return '';
+  return String(path)
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/');
+}
+
+/**
+ * Folder part of a relative path ("photos/2024/a.jpg" -> "photos/2024")
+ */
+export function getFolderPath(relativePath) {
+  const index = relativePath ? relativePath.lastIndexOf('/') : -1;
+  return index === -1 ? '' : relativePath.slice(0, index);
+}
+
+/**
+ * One-level file name that keeps the folder structure readable and avoids
+ * collisions when the file can't be saved into real folders
+ */
+export function flattenRelativePath(relativePath) {
+  return relativePath.split('/').join('__');
+}
+
+/**
+ * Path of a file relative to the parent of the chosen folder, so saving
+ * "photos/2024" writes "2024/..." into the picked directory
+ */
+export function pathWithinFolder(relativePath, folderPath) {
+  const parent = getFolderPath(folderPath);
+  return parent ? relativePath.slice(parent.length + 1) : relativePath;
+}
+
+/**
+ * Build a nested tree from files with relativePath.
+ * Node: { name, path, folders: [Node], files: [file] }
+ */
+export function buildFileTree(files) {
+  const root = { name: '', path: '', folders: [], files: [] };
+
+  files.forEach(file => {
+    const folderPath = getFolderPath(file.relativePath);
+    let node = root;
+    if (folderPath) {
+      folderPath.split('/').forEach(part => {
+        const path = node.path ? `${node.path}/${part}` : part;
+        let child = node.folders.find(folder => folder.name === part);
+        if (!child) {
+          child = { name: part, path, folders: [], files: [] };
+          node.folders.push(child);
+        }
+        node = child;
+      });
+    }
+    node.files.push(file);
+  });
+
+  return root;
+}
+
+/**
+ * Every file under a tree node, depth first
+ */
+export function collectTreeFiles(node) {
+  return node.folders.reduce((all, folder) => all.concat(collectTreeFiles(folder)), [...node.files]);
+}
+
+/**
+ * Total bytes under a tree node
+ */
+export function getTreeSize(node) {
+  return collectTreeFiles(node).reduce((sum, file) => sum + (file.size || 0), 0);
+}
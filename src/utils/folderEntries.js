@@ -0,0 +1,60 @@
+/**
+ * Folder Entries
+ * Reads dropped folders through DataTransferItem.webkitGetAsEntry so every
+ * file keeps its path inside the folder (drag-and-drop Files have no
+ * webkitRelativePath).
+ */
+
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// readEntries returns at most ~100 entries per call, so keep reading until it comes back empty
+const readAllEntries = async (directoryEntry) => {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    entries.push(...batch);
+  } while (batch.length > 0);
+  return entries;
+};
+
+const walkEntry = async (entry, results) => {
+  if (entry.isFile) {
+    const file = await readEntryFile(entry);
+    // fullPath looks like "/photos/2024/a.jpg"
+    results.push({ file, relativePath: entry.fullPath.replace(/^\/+/, '') });
+  } else if (entry.isDirectory) {
+    const children = await readAllEntries(entry);
+    for (const child of children) {
+      await walkEntry(child, results);
+    }
+  }
+};
+
+/**
+ * Collect dropped files and folders as [{ file, relativePath }].
+ * Loose files get their name as the path. Falls back to the flat file list
+ * when the browser doesn't support entries.
+ */
+export async function readDroppedItems(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+    .map(item => item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []).map(file => ({ file, relativePath: file.name }));
+  }
+
+  const results = [];
+  for (const entry of entries) {
+    try {
+      await walkEntry(entry, results);
+    } catch (error) {
+      console.warn(`⚠️ Could not read dropped item ${entry.name}:`, error);
+    }
+  }
+  return results;
+}
@@ -0,0 +1,123 @@
+/**
+ * Frame Protocol
+ * Binary framing for file data. Each chunk travels as one self-describing
+ * message, so it is routed to its transfer by ID instead of being paired
+ * with a separate JSON header. Control messages stay JSON.
+ *
+ * Chunk frame layout (big-endian):
+ *   0  u8   magic (0xF5)
+ *   1  u8   frame type
+ *   2  u8   flags (bit 0: last chunk, bit 1: hash present, bit 2: payload encrypted)
+ *   3  u8   reserved
+ *   4  u32  transfer (stream) ID
+ *   8  u32  chunk index
+ *   12 u32  payload length
+ *   16 [32] SHA-256 of the plaintext (only when the hash flag is set - never on encrypted frames)
+ *   .. payload
+ */
+
+export const PROTOCOL_VERSION = 3; // Announced in peer-info (v3: encrypted chunks bound to their place, no clear hashes)
+export const MIN_PROTOCOL_VERSION = 3; // Oldest version we can exchange files with
+
+export const FRAME_MAGIC = 0xF5;
+export const FRAME_TYPES = {
+  CHUNK: 0x01
+};
+
+const JSON_START = 0x7B; // '{' - control messages arrive as binary JSON
+const HEADER_BYTES = 16;
+const HASH_BYTES = 32;
+export const FRAME_OVERHEAD = HEADER_BYTES + HASH_BYTES; // Most a frame adds to its payload
+const FLAG_LAST = 0x01;
+const FLAG_HASH = 0x02;
+const FLAG_ENCRYPTED = 0x04;
+
+const toBytes = (data) => (data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+
+const hexToBytes = (hex) => {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+const bytesToHex = (bytes) => {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    hex += bytes[i].toString(16).padStart(2, '0');
+  }
+  return hex;
+};
+
+/**
+ * Version both sides can speak, or null if the peer is too old (or didn't say)
+ */
+export function negotiateProtocolVersion(remoteVersion) {
+  if (!remoteVersion) return null;
+  const version = Math.min(PROTOCOL_VERSION, remoteVersion);
+  return version >= MIN_PROTOCOL_VERSION ? version : null;
+}
+
+export function isFrame(data) {
+  const bytes = toBytes(data);
+  return bytes.byteLength >= HEADER_BYTES && bytes[0] === FRAME_MAGIC;
+}
+
+export function isJsonMessage(data) {
+  const bytes = toBytes(data);
+  return bytes.byteLength > 0 && bytes[0] === JSON_START;
+}
+
+/**
+ * Build one chunk frame. chunkHash is the plaintext's SHA-256 as hex (optional);
+ * encrypted marks a payload sealed with the room key.
+ */
+export function encodeChunkFrame(transferId, chunkIndex, payload, chunkHash = null, isLast = false, encrypted = false) {
+  const hashBytes = chunkHash ? HASH_BYTES : 0;
+  const frame = new Uint8Array(HEADER_BYTES + hashBytes + payload.byteLength);
+  const view = new DataView(frame.buffer);
+
+  view.setUint8(0, FRAME_MAGIC);
+  view.setUint8(1, FRAME_TYPES.CHUNK);
+  view.setUint8(2, (isLast ? FLAG_LAST : 0) | (chunkHash ? FLAG_HASH : 0) | (encrypted ? FLAG_ENCRYPTED : 0));
+  view.setUint32(4, transferId);
+  view.setUint32(8, chunkIndex);
+  view.setUint32(12, payload.byteLength);
+  if (chunkHash) {
+    frame.set(hexToBytes(chunkHash), HEADER_BYTES);
+  }
+  frame.set(payload, HEADER_BYTES + hashBytes);
+  return frame;
+}
+
+/**
+ * Parse a frame. Returns null for anything that isn't a well-formed frame.
+ * The payload is a view into the received buffer, not a copy.
+ */
+export function decodeFrame(data) {
+  const bytes = toBytes(data);
+  if (!isFrame(bytes)) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const type = view.getUint8(1);
+  const flags = view.getUint8(2);
+  const length = view.getUint32(12);
+  const hashBytes = flags & FLAG_HASH ? HASH_BYTES : 0;
+  const payloadStart = HEADER_BYTES + hashBytes;
+
+  if (bytes.byteLength !== payloadStart + length) {
+    console.warn(`⚠️ Dropping malformed frame: expected ${payloadStart + length} bytes, got ${bytes.byteLength}`);
+    return null;
+  }
+
+  return {
+    type,
+    transferId: view.getUint32(4),
+    chunkIndex: view.getUint32(8),
+    isLast: (flags & FLAG_LAST) !== 0,
+    encrypted: (flags & FLAG_ENCRYPTED) !== 0,
+    chunkHash: hashBytes ? bytesToHex(bytes.subarray(HEADER_BYTES, payloadStart)) : null,
+    payload: bytes.subarray(payloadStart)
+  };
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  FRAME_MAGIC,
+  FRAME_TYPES,
+  FRAME_OVERHEAD,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_VERSION,
+  decodeFrame,
+  encodeChunkFrame,
+  isFrame,
+  isJsonMessage,
+  negotiateProtocolVersion
+} from './frameProtocol';
+
+const HASH = 'ab'.repeat(32);
+
+describe('encodeChunkFrame / decodeFrame', () => {
+  it('round-trips a chunk with its hash', () => {
+    const payload = new Uint8Array([1, 2, 3, 4, 5]);
+    const frame = encodeChunkFrame(0xDEADBEEF, 42, payload, HASH, false, false);
+
+    expect(frame[0]).toBe(FRAME_MAGIC);
+    expect(frame.byteLength).toBe(FRAME_OVERHEAD + payload.byteLength);
+
+    const decoded = decodeFrame(frame);
+    expect(decoded).toMatchObject({
+      type: FRAME_TYPES.CHUNK,
+      transferId: 0xDEADBEEF,
+      chunkIndex: 42,
+      isLast: false,
+      encrypted: false,
+      chunkHash: HASH
+    });
+    expect([...decoded.payload]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('leaves the hash out when none is given and keeps the flags', () => {
+    const payload = new Uint8Array(100).fill(7);
+    const frame = encodeChunkFrame(1, 0, payload, null, true, true);
+
+    expect(frame.byteLength).toBe(FRAME_OVERHEAD - 32 + payload.byteLength);
+    const decoded = decodeFrame(frame.buffer); // An ArrayBuffer as received from the channel
+    expect(decoded.chunkHash).toBeNull();
+    expect(decoded.isLast).toBe(true);
+    expect(decoded.encrypted).toBe(true);
+    expect(decoded.payload.byteLength).toBe(100);
+  });
+
+  it('decodes a frame that sits inside a larger buffer', () => {
+    const frame = encodeChunkFrame(9, 3, new Uint8Array([9, 8, 7]));
+    const buffer = new Uint8Array(frame.byteLength + 10);
+    buffer.set(frame, 10);
+
+    const decoded = decodeFrame(buffer.subarray(10));
+    expect(decoded.transferId).toBe(9);
+    expect(decoded.chunkIndex).toBe(3);
+    expect([...decoded.payload]).toEqual([9, 8, 7]);
+  });
+
+  it('drops truncated or padded frames', () => {
+    const frame = encodeChunkFrame(1, 1, new Uint8Array(32), HASH);
+    expect(decodeFrame(frame.subarray(0, frame.byteLength - 1))).toBeNull();
+
+    const padded = new Uint8Array(frame.byteLength + 1);
+    padded.set(frame);
+    expect(decodeFrame(padded)).toBeNull();
+  });
+});
+
+describe('message type detection', () => {
+  it('tells frames, binary JSON and speed test data apart by the first byte', () => {
+    const frame = encodeChunkFrame(1, 0, new Uint8Array(4));
+    const json = new TextEncoder().encode(JSON.stringify({ type: 'keepalive' }));
+    const testData = new Uint8Array(64); // Speed test data starts with 0
+
+    expect(isFrame(frame)).toBe(true);
+    expect(isJsonMessage(frame)).toBe(false);
+    expect(isFrame(json)).toBe(false);
+    expect(isJsonMessage(json)).toBe(true);
+    expect(isFrame(testData)).toBe(false);
+    expect(isJsonMessage(testData)).toBe(false);
+    expect(decodeFrame(testData)).toBeNull();
+  });
+
+  it('does not take a short buffer starting with the magic byte for a frame', () => {
+    expect(isFrame(new Uint8Array([FRAME_MAGIC, 1, 0]))).toBe(false);
+  });
+});
+
+describe('negotiateProtocolVersion', () => {
+  it('settles on the lower of the two versions', () => {
+    expect(negotiateProtocolVersion(PROTOCOL_VERSION)).toBe(PROTOCOL_VERSION);
+    expect(negotiateProtocolVersion(PROTOCOL_VERSION + 5)).toBe(PROTOCOL_VERSION);
+  });
+
+  it('refuses peers that are too old or did not say', () => {
+    expect(negotiateProtocolVersion(MIN_PROTOCOL_VERSION - 1)).toBeNull();
+    expect(negotiateProtocolVersion(undefined)).toBeNull();
+    expect(negotiateProtocolVersion(0)).toBeNull();
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Integrity Utility
+ * SHA-256 hashing (WebCrypto) for per-chunk verification, and a chunk-list
+ * digest that checks the whole file arrived
+ */
+
+const toHex = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    hex += bytes[i].toString(16).padStart(2, '0');
+  }
+  return hex;
+};
+
+/**
+ * Hash a chunk of data and return the SHA-256 digest as hex
+ */
+export async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return toHex(digest);
+}
+
+/**
+ * Chunk-list digest: SHA-256 over the ordered list of chunk hashes.
+ * WebCrypto has no streaming digest, so both sides build it from the chunk
+ * hashes they already computed instead of re-reading the file. It is NOT the
+ * file's SHA-256 - it changes with the chunk sizes and can't be compared with
+ * `sha256sum` - so it is only ever compared between sender and receiver.
+ */
+export async function hashChunkList(chunkHashes) {
+  const encoder = new TextEncoder();
+  return sha256Hex(encoder.encode(chunkHashes.join('')));
+}
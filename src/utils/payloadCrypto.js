@@ -0,0 +1,130 @@
+/**
+ * Payload Crypto
+ * Optional end-to-end encryption of file chunks with a room passphrase.
+ * The key is derived with PBKDF2 (salted with the room code) and every chunk
+ * is sealed with AES-GCM under a fresh IV, with its place in the transfer
+ * (request, stream, index, last) bound as additional data so chunks can't be
+ * moved, replayed or cut off. Plaintext hashes never travel in the clear.
+ * A key-check token lets both sides confirm they derived the same key before
+ * any file data is exchanged.
+ */
+
+const PBKDF2_ITERATIONS = 200000;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_CHECK_PLAINTEXT = 'p2p-share-key-check-v1';
+
+export const ENCRYPTION_OVERHEAD = IV_BYTES + TAG_BYTES; // Bytes added to every encrypted chunk
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const encodeContext = (context) => new TextEncoder().encode(context);
+
+/**
+ * Additional data binding a chunk to its position: a chunk sealed for one
+ * request, stream or index (or as the last chunk) fails to open anywhere else
+ */
+export function getChunkAad(requestId, streamId, chunkIndex, isLast) {
+  return encodeContext(`chunk:${requestId}:${streamId}:${chunkIndex}:${isLast ? 1 : 0}`);
+}
+
+/**
+ * Derive the room's AES-GCM key from its passphrase
+ */
+export async function deriveRoomKey(passphrase, roomId) {
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: encoder.encode(`p2p-share:${roomId}`),
+      iterations: PBKDF2_ITERATIONS,
+      hash: 'SHA-256'
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+const gcmParams = (iv, additionalData) => additionalData ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv };
+
+/**
+ * Encrypt a chunk, authenticating additionalData along with it. Output is [IV][ciphertext + tag].
+ */
+export async function encryptChunk(key, data, additionalData = null) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(gcmParams(iv, additionalData), key, data);
+
+  const sealed = new Uint8Array(IV_BYTES + ciphertext.byteLength);
+  sealed.set(iv, 0);
+  sealed.set(new Uint8Array(ciphertext), IV_BYTES);
+  return sealed;
+}
+
+/**
+ * Decrypt a chunk produced by encryptChunk with the same additionalData.
+ * Throws if the key is wrong, the data was altered or it was sealed for another place.
+ */
+export async function decryptChunk(key, sealed, additionalData = null) {
+  const iv = sealed.subarray(0, IV_BYTES);
+  const ciphertext = sealed.subarray(IV_BYTES);
+  const plaintext = await crypto.subtle.decrypt(gcmParams(iv, additionalData), key, ciphertext);
+  return new Uint8Array(plaintext);
+}
+
+/**
+ * Seal a chunk-list digest (hex, see hashChunkList) for download-complete, bound to its request
+ */
+export async function sealChunkListHash(key, chunkListHash, requestId) {
+  const sealed = await encryptChunk(key, new TextEncoder().encode(chunkListHash), encodeContext(`chunk-list-hash:${requestId}`));
+  return toBase64(sealed);
+}
+
+/**
+ * The chunk-list digest from sealChunkListHash, or null if it doesn't open for this request
+ */
+export async function openChunkListHash(key, token, requestId) {
+  try {
+    const plaintext = await decryptChunk(key, fromBase64(token), encodeContext(`chunk-list-hash:${requestId}`));
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Token proving we hold the room key (sent in the key-check handshake)
+ */
+export async function createKeyCheck(key) {
+  const sealed = await encryptChunk(key, new TextEncoder().encode(KEY_CHECK_PLAINTEXT));
+  return toBase64(sealed);
+}
+
+/**
+ * True if the peer's token was made with the same key as ours
+ */
+export async function verifyKeyCheck(key, token) {
+  try {
+    const plaintext = await decryptChunk(key, fromBase64(token));
+    return new TextDecoder().decode(plaintext) === KEY_CHECK_PLAINTEXT;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Retry Policy
+ * Which failed downloads are retried automatically and when. Every failure
+ * carries an error code (sent as `code` in download-error and download-denied);
+ * codes for a dropped or flaky peer are retried with exponential backoff, the
+ * rest would only fail the same way again. A sender that is only busy is asked
+ * again on the same backoff for as long as it takes, without using up attempts.
+ * The error text is for people only.
+ */
+
+export const RETRY_POLICY = {
+  maxAttempts: 4,      // Attempts in total, including the first one
+  baseDelayMs: 2000,   // Wait before the first retry, doubled for each one after
+  maxDelayMs: 30000,
+  jitter: 0.2          // +/- share of the delay so a batch doesn't retry in lockstep
+};
+
+export const ERROR_CODES = {
+  FILE_UNAVAILABLE: 'file-unavailable', // Not shared (any more) on the sender
+  UNSHARED: 'unshared',                 // The sender stopped sharing it mid-transfer
+  CANCELLED: 'cancelled',
+  DENIED: 'denied',                     // Declined by the sender or refused by our receive rules
+  INCOMPATIBLE: 'incompatible',         // Transfer protocol too old
+  KEY_MISMATCH: 'key-mismatch',
+  RESUME_EXPIRED: 'resume-expired',     // The sender didn't come back within the resume window
+  SAVE_FAILED: 'save-failed',
+  BUSY: 'busy',                         // All upload slots taken (older senders - current ones queue the request)
+  NOT_READY: 'not-ready',               // Key check or verification still pending
+  DISCONNECTED: 'disconnected',
+  TRANSFER_EXPIRED: 'transfer-expired', // The sender no longer has the upload to resend from
+  UPLOAD_FAILED: 'upload-failed',       // Sending broke off (unstable connection, send refused)
+  INTEGRITY: 'integrity'                // Chunks missing or hashes didn't match
+};
+
+const RETRYABLE_CODES = new Set([
+  ERROR_CODES.BUSY,
+  ERROR_CODES.NOT_READY,
+  ERROR_CODES.DISCONNECTED,
+  ERROR_CODES.TRANSFER_EXPIRED,
+  ERROR_CODES.UPLOAD_FAILED,
+  ERROR_CODES.INTEGRITY
+]);
+
+// Refusals that only mean "not now" - nothing failed, so they don't count as attempts
+const WAIT_CODES = new Set([
+  ERROR_CODES.BUSY,
+  ERROR_CODES.NOT_READY
+]);
+
+/**
+ * Whether an error code is worth another attempt (unknown or missing codes are not)
+ */
+export function isRetryableError(code) {
+  return RETRYABLE_CODES.has(code);
+}
+
+/**
+ * Whether an error code means "ask again later" rather than a failed attempt
+ */
+export function isWaitError(code) {
+  return WAIT_CODES.has(code);
+}
+
+/**
+ * Delay before retry number `attempt` (1 for the first retry)
+ */
+export function getRetryDelay(attempt, policy = RETRY_POLICY) {
+  const delay = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  const jitter = delay * policy.jitter * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+}
+
+/**
+ * Retry delay in ms for a failure with error `code` after `attempts` attempts, or null to give up.
+ * Wait codes back off by `waits` (refusals so far) instead and never give up.
+ */
+export function nextRetryDelay(code, attempts, policy = RETRY_POLICY, waits = 0) {
+  if (isWaitError(code)) return getRetryDelay(waits + 1, policy);
+  if (attempts >= policy.maxAttempts || !isRetryableError(code)) return null;
+  return getRetryDelay(attempts, policy);
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ERROR_CODES, RETRY_POLICY, getRetryDelay, isRetryableError, isWaitError, nextRetryDelay } from './retryPolicy';
+
+const NO_JITTER = { ...RETRY_POLICY, jitter: 0 };
+
+describe('isRetryableError', () => {
+  it('retries failures a later attempt can get past', () => {
+    [
+      ERROR_CODES.BUSY,
+      ERROR_CODES.NOT_READY,
+      ERROR_CODES.DISCONNECTED,
+      ERROR_CODES.TRANSFER_EXPIRED,
+      ERROR_CODES.UPLOAD_FAILED,
+      ERROR_CODES.INTEGRITY
+    ].forEach(code => expect(isRetryableError(code)).toBe(true));
+  });
+
+  it('gives up on refusals and failures that would happen again', () => {
+    [
+      ERROR_CODES.FILE_UNAVAILABLE,
+      ERROR_CODES.UNSHARED,
+      ERROR_CODES.CANCELLED,
+      ERROR_CODES.DENIED,
+      ERROR_CODES.INCOMPATIBLE,
+      ERROR_CODES.KEY_MISMATCH,
+      ERROR_CODES.RESUME_EXPIRED,
+      ERROR_CODES.SAVE_FAILED
+    ].forEach(code => expect(isRetryableError(code)).toBe(false));
+  });
+
+  it('does not retry unknown or missing codes', () => {
+    expect(isRetryableError(undefined)).toBe(false);
+    expect(isRetryableError('Peer is busy')).toBe(false); // Error text is never parsed
+  });
+});
+
+describe('getRetryDelay', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('doubles the delay for each retry up to the maximum', () => {
+    expect(getRetryDelay(1, NO_JITTER)).toBe(2000);
+    expect(getRetryDelay(2, NO_JITTER)).toBe(4000);
+    expect(getRetryDelay(3, NO_JITTER)).toBe(8000);
+    expect(getRetryDelay(10, NO_JITTER)).toBe(NO_JITTER.maxDelayMs);
+  });
+
+  it('spreads delays by the jitter share either way', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(getRetryDelay(1)).toBe(1600);
+    Math.random.mockReturnValue(0.5);
+    expect(getRetryDelay(1)).toBe(2000);
+    Math.random.mockReturnValue(0.9999);
+    expect(getRetryDelay(1)).toBeLessThanOrEqual(2400);
+  });
+});
+
+describe('nextRetryDelay', () => {
+  it('backs off for retryable codes until the attempts run out', () => {
+    expect(nextRetryDelay(ERROR_CODES.DISCONNECTED, 1, NO_JITTER)).toBe(2000);
+    expect(nextRetryDelay(ERROR_CODES.DISCONNECTED, 3, NO_JITTER)).toBe(8000);
+    expect(nextRetryDelay(ERROR_CODES.DISCONNECTED, NO_JITTER.maxAttempts, NO_JITTER)).toBeNull();
+  });
+
+  it('keeps waiting for a busy sender, backing off by its refusals', () => {
+    expect(isWaitError(ERROR_CODES.BUSY)).toBe(true);
+    expect(isWaitError(ERROR_CODES.DISCONNECTED)).toBe(false);
+    expect(nextRetryDelay(ERROR_CODES.BUSY, NO_JITTER.maxAttempts, NO_JITTER, 0)).toBe(2000);
+    expect(nextRetryDelay(ERROR_CODES.BUSY, 1, NO_JITTER, 2)).toBe(8000);
+    expect(nextRetryDelay(ERROR_CODES.BUSY, 1, NO_JITTER, 50)).toBe(NO_JITTER.maxDelayMs);
+  });
+
+  it('never retries codes that are not retryable', () => {
+    expect(nextRetryDelay(ERROR_CODES.DENIED, 1, NO_JITTER)).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Short Authentication String
+ * Derives a verification code from the DTLS certificate fingerprints of both
+ * ends of a WebRTC connection. If the signalling server swapped fingerprints
+ * (man-in-the-middle), the two devices compute different codes, which users
+ * can spot by comparing them out loud.
+ */
+
+const SAS_EMOJI = [
+  '🐶', '🐱', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁',
+  '🐮', '🐷', '🐸', '🐵', '🐔', '🐧', '🐦', '🦉',
+  '🐴', '🦄', '🐝', '🦋', '🐌', '🐢', '🐙', '🦀',
+  '🐬', '🐳', '🦈', '🌵', '🌲', '🌻', '🍄', '🌙',
+  '⭐', '🔥', '🌈', '❄️', '☂️', '🍎', '🍋', '🍌',
+  '🍉', '🍇', '🍓', '🍒', '🥕', '🌽', '🍕', '🍩',
+  '🎂', '☕', '⚽', '🏀', '🎸', '🎺', '🚀', '✈️',
+  '🚲', '⚓', '🔑', '🔔', '📚', '✏️', '💡', '🎁'
+]; // 64 entries - each emoji encodes 6 bits
+
+/**
+ * Pull the certificate fingerprint ("sha-256 AB:CD:...") out of an SDP blob
+ */
+export function extractFingerprint(sdp) {
+  const match = /a=fingerprint:(\S+) (\S+)/i.exec(sdp || '');
+  return match ? `${match[1].toLowerCase()} ${match[2].toUpperCase()}` : null;
+}
+
+/**
+ * Compute the code both devices should display. Fingerprints are sorted so
+ * the result doesn't depend on which side is local.
+ * Returns { digits: '123 456', emoji: '🐶🚀🍕🌵' }.
+ */
+export async function computeShortAuthString(localFingerprint, remoteFingerprint) {
+  const input = [localFingerprint, remoteFingerprint].sort().join('|');
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input)));
+
+  const number = new DataView(digest.buffer).getUint32(0) % 1000000;
+  const digits = String(number).padStart(6, '0');
+
+  let emoji = '';
+  for (let i = 4; i < 8; i++) {
+    emoji += SAS_EMOJI[digest[i] % SAS_EMOJI.length];
+  }
+
+  return {
+    digits: `${digits.slice(0, 3)} ${digits.slice(3)}`,
+    emoji
+  };
+}
+
+/**
+ * Read both fingerprints from a connected SimplePeer and compute its code.
+ * Resolves to null if the SDP has no fingerprints (e.g. connection not set up yet).
+ */
+export async function getPeerShortAuthString(peer) {
+  const pc = peer && peer._pc;
+  if (!pc || !pc.localDescription || !pc.remoteDescription) return null;
+
+  const localFingerprint = extractFingerprint(pc.localDescription.sdp);
+  const remoteFingerprint = extractFingerprint(pc.remoteDescription.sdp);
+  if (!localFingerprint || !remoteFingerprint) return null;
+
+  return computeShortAuthString(localFingerprint, remoteFingerprint);
+}
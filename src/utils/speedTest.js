@@ -1,10 +1,121 @@
 /**
  * Speed Test Utility
- * Tests upload and download speeds between connected peers
+ * Tests upload and download speeds between connected peers, plus round-trip
+ * latency and jitter. Throughput is counted per interval on the receiving side,
+ * so each direction is reported with a 95% confidence range.
  */
 
-const TEST_DURATION = 2000; // 2 seconds per test (reduced for mobile stability)
+import { waitForDrain } from './backpressure';
+import { isFrame } from './frameProtocol';
+
+const TEST_DURATION = 3000; // 3 seconds per direction
 const TEST_CHUNK_SIZE = 64 * 1024; // 64KB chunks for testing (safer for WebRTC)
+const SAMPLE_INTERVAL = 250; // Throughput is sampled over intervals this long
+const WARMUP_INTERVALS = 2; // Left out while the connection ramps up
+const PING_COUNT = 10;
+const PING_INTERVAL = 100;
+const PING_TIMEOUT = 1000; // A ping without a pong by then counts as lost
+const UPLOAD_RESULT_TIMEOUT = 2000;
+const DOWNLOAD_TEST_TIMEOUT = TEST_DURATION + 3000; // Peer delay + test duration + buffer
+
+const MB = 1024 * 1024;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Test payload - the first byte is neither a chunk frame's magic nor '{', so it is never taken for file data
+const createTestData = () => {
+  const testData = new Uint8Array(TEST_CHUNK_SIZE);
+  // Fill with random data for more realistic test
+  for (let i = 0; i < testData.length; i += 1000) {
+    testData[i] = Math.floor(Math.random() * 256);
+  }
+  testData[0] = 0;
+  return testData;
+};
+
+/**
+ * Mean and 95% confidence range of a list of measurements
+ */
+export function summarize(values) {
+  if (values.length === 0) {
+    return { mean: 0, low: 0, high: 0, count: 0 };
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (values.length < 2) {
+    return { mean, low: mean, high: mean, count: 1 };
+  }
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  const margin = 1.96 * Math.sqrt(variance / values.length);
+  return { mean, low: Math.max(0, mean - margin), high: mean + margin, count: values.length };
+}
+
+/**
+ * Counts received bytes per SAMPLE_INTERVAL to get throughput samples (MBps)
+ */
+class ThroughputMeter {
+  constructor() {
+    this.startTime = Date.now();
+    this.bytes = 0;
+    this.intervals = [];
+  }
+
+  add(bytes) {
+    const index = Math.floor((Date.now() - this.startTime) / SAMPLE_INTERVAL);
+    this.intervals[index] = (this.intervals[index] || 0) + bytes;
+    this.bytes += bytes;
+  }
+
+  // Current average for progress messages
+  getSpeed() {
+    const elapsed = (Date.now() - this.startTime) / 1000;
+    return elapsed > 0 ? this.bytes / elapsed / MB : 0;
+  }
+
+  /**
+   * { speed, low, high, bytes, duration } - samples skip the warm-up and the unfinished last interval;
+   * too short a test falls back to the overall average
+   */
+  finish() {
+    const duration = (Date.now() - this.startTime) / 1000;
+    const complete = Math.floor(duration * 1000 / SAMPLE_INTERVAL);
+    const samples = [];
+    for (let i = WARMUP_INTERVALS; i < complete; i++) {
+      samples.push((this.intervals[i] || 0) / (SAMPLE_INTERVAL / 1000) / MB);
+    }
+    const summary = samples.length >= 2
+      ? summarize(samples)
+      : summarize(duration > 0 ? [this.bytes / duration / MB] : []);
+    return { speed: summary.mean, low: summary.low, high: summary.high, bytes: this.bytes, duration };
+  }
+}
+
+/**
+ * Send test data for TEST_DURATION without letting the channel buffer run over.
+ * Returns the bytes handed to the channel.
+ */
+const sendTestData = async (peer, onSent = () => {}) => {
+  const testData = createTestData();
+  const startTime = Date.now();
+  let bytesSent = 0;
+
+  while (Date.now() - startTime < TEST_DURATION) {
+    // Check if peer is still connected
+    if (!peer || !peer.connected) {
+      console.warn('⚠️ Peer disconnected during speed test');
+      break;
+    }
+    try {
+      await waitForDrain(peer, TEST_CHUNK_SIZE);
+      peer.send(testData);
+    } catch (err) {
+      console.error('❌ Error sending test data:', err);
+      break;
+    }
+    bytesSent += TEST_CHUNK_SIZE;
+    onSent(bytesSent, startTime);
+  }
+  return { bytesSent, duration: (Date.now() - startTime) / 1000 };
+};
 
 export class SpeedTester {
   constructor(peer) {
@@ -14,10 +125,15 @@ export class SpeedTester {
     this.isTestingSpeed = false;
     this.testResults = null;
 
+    // Pings waiting for their pong, by sequence number
+    this.pendingPings = new Map();
+
+    // State for upload test
+    this.uploadResultResolve = null;
+
     // State for download test
     this.downloadTestActive = false;
-    this.downloadTestStartTime = null;
-    this.downloadTestBytesReceived = 0;
+    this.downloadMeter = null;
     this.downloadTestResolve = null;
     this.downloadTestOnProgress = null;
   }
@@ -28,14 +144,19 @@ export class SpeedTester {
   handlePeerDisconnect() {
     console.log('🔌 SpeedTester detected peer disconnect');
 
+    this.pendingPings.forEach(({ resolve }) => resolve(null));
+    this.pendingPings.clear();
+
+    if (this.uploadResultResolve) {
+      const resolve = this.uploadResultResolve;
+      this.uploadResultResolve = null;
+      resolve(null);
+    }
+
     // Cancel ongoing download test
     if (this.downloadTestActive && this.downloadTestResolve) {
       console.log('⚠️ Cancelling download test due to disconnect');
-      this.downloadTestActive = false;
-      const resolve = this.downloadTestResolve;
-      this.downloadTestResolve = null;
-      this.downloadTestOnProgress = null;
-      resolve(0); // Return 0 speed for failed test
+      this.finishDownloadTest(null);
     }
   }
 
@@ -43,29 +164,23 @@ export class SpeedTester {
    * Handle incoming data during speed test
    */
   handleIncomingData(data) {
-    if (this.downloadTestActive && (data instanceof ArrayBuffer || data instanceof Uint8Array)) {
+    if (this.downloadTestActive && (data instanceof ArrayBuffer || data instanceof Uint8Array) && !isFrame(data)) {
       // Only count data AFTER download test has officially started (after receiving download-start message)
-      if (!this.downloadTestStartTime) {
+      if (!this.downloadMeter) {
         console.log(`📥 Ignoring ${(data.byteLength || data.length) / 1024} KB - download test not started yet (old buffered data)`);
         return;
       }
 
-      const bytes = data.byteLength || data.length;
-      this.downloadTestBytesReceived += bytes;
-
-      console.log(`📥 Received chunk: ${bytes} bytes, total: ${(this.downloadTestBytesReceived / 1024 / 1024).toFixed(2)} MB`);
+      this.downloadMeter.add(data.byteLength || data.length);
 
       // Report progress periodically (every 500ms)
       if (this.downloadTestOnProgress) {
         const now = Date.now();
         if (!this.lastDownloadProgressUpdate || now - this.lastDownloadProgressUpdate >= 500) {
           this.lastDownloadProgressUpdate = now;
-          const elapsedSeconds = (now - this.downloadTestStartTime) / 1000;
-          if (elapsedSeconds > 0) {
-            const currentSpeed = (this.downloadTestBytesReceived / elapsedSeconds) / (1024 * 1024);
-            this.downloadTestOnProgress(`Downloading... ${currentSpeed.toFixed(1)} MBps`);
-            console.log(`📥 Download speed: ${currentSpeed.toFixed(1)} MBps`);
-          }
+          const currentSpeed = this.downloadMeter.getSpeed();
+          this.downloadTestOnProgress(`Downloading... ${currentSpeed.toFixed(1)} MBps`);
+          console.log(`📥 Download speed: ${currentSpeed.toFixed(1)} MBps`);
         }
       }
     }
@@ -77,49 +192,53 @@ export class SpeedTester {
   handleMessage(message) {
     console.log(`📨 SpeedTester handleMessage:`, message.type);
 
-    if (message.type === 'speed-test-upload-result') {
+    if (message.type === 'speed-test-pong') {
+      const ping = this.pendingPings.get(message.seq);
+      if (ping) {
+        this.pendingPings.delete(message.seq);
+        ping.resolve(Date.now() - message.sentAt);
+      }
+    } else if (message.type === 'speed-test-upload-result') {
       // Peer measured our upload as their download
-      const peerDownloadSpeed = message.downloadSpeed;
-      console.log(`📊 Peer measured download: ${peerDownloadSpeed.toFixed(2)} MBps (our upload test)`);
+      console.log(`📊 Peer measured download: ${message.downloadSpeed.toFixed(2)} MBps (our upload test)`);
 
       if (this.uploadResultResolve) {
         // Use peer's measurement as it's more accurate
-        this.uploadResultResolve(peerDownloadSpeed);
+        const resolve = this.uploadResultResolve;
         this.uploadResultResolve = null;
+        resolve({ speed: message.downloadSpeed, low: message.low, high: message.high });
       }
     } else if (message.type === 'speed-test-download-start') {
       console.log(`📥 Got download-start, downloadTestActive: ${this.downloadTestActive}`);
       if (this.downloadTestActive) {
-        this.downloadTestStartTime = Date.now();
-        this.downloadTestBytesReceived = 0;
+        this.downloadMeter = new ThroughputMeter();
         console.log('📥 Download speed test started - ready to receive data');
         if (this.downloadTestOnProgress) {
           this.downloadTestOnProgress('Downloading...');
         }
       }
     } else if (message.type === 'speed-test-download-end' && this.downloadTestActive) {
-      if (this.downloadTestStartTime) {
-        const duration = (Date.now() - this.downloadTestStartTime) / 1000;
-        const downloadSpeedMBps = (this.downloadTestBytesReceived / duration) / (1024 * 1024);
-        this.downloadSpeed = downloadSpeedMBps;
-        this.downloadTestActive = false;
-
-        const peerUploadSpeed = message.uploadSpeed || downloadSpeedMBps;
-
-        console.log(`📥 Download complete: ${(this.downloadTestBytesReceived / 1024 / 1024).toFixed(1)} MB in ${duration.toFixed(1)}s = ${downloadSpeedMBps.toFixed(2)} MBps`);
-        console.log(`📊 Peer upload speed: ${peerUploadSpeed.toFixed(2)} MBps`);
-
-        if (this.downloadTestResolve) {
-          this.downloadTestResolve(downloadSpeedMBps);
-          this.downloadTestResolve = null;
-          this.downloadTestOnProgress = null;
-        }
+      if (this.downloadMeter) {
+        const result = this.downloadMeter.finish();
+        console.log(`📥 Download complete: ${(result.bytes / MB).toFixed(1)} MB in ${result.duration.toFixed(1)}s = ${result.speed.toFixed(2)} MBps (${result.low.toFixed(2)}-${result.high.toFixed(2)})`);
+        this.finishDownloadTest(result);
       }
     }
   }
 
+  finishDownloadTest(result) {
+    const resolve = this.downloadTestResolve;
+    this.downloadTestActive = false;
+    this.downloadMeter = null;
+    this.downloadTestResolve = null;
+    this.downloadTestOnProgress = null;
+    if (resolve) {
+      resolve(result);
+    }
+  }
+
   /**
-   * Run speed test (download only to avoid buffer issues)
+   * Run the full test: latency, then download, then upload (one direction at a time)
    */
   async runSpeedTest(onProgress) {
     if (this.isTestingSpeed) {
@@ -128,23 +247,36 @@ export class SpeedTester {
     }
 
     this.isTestingSpeed = true;
-    console.log('🚀 Starting download speed test...');
+    console.log('🚀 Starting speed test...');
 
     try {
-      // Skip upload test to avoid buffer overflow issues
-      // Only test download speed
+      if (onProgress) onProgress('Measuring latency...');
+      const latency = await this.measureLatency();
+
       if (onProgress) onProgress('Starting download test...');
+      const download = await this.testDownloadSpeed(onProgress);
 
-      // Test download speed (request from peer)
-      const downloadSpeed = await this.testDownloadSpeed(onProgress);
+      if (onProgress) onProgress('Starting upload test...');
+      const upload = await this.testUploadSpeed(onProgress);
 
+      if (!download && !upload) {
+        return null;
+      }
+
+      this.downloadSpeed = download ? download.speed : 0;
+      this.uploadSpeed = upload ? upload.speed : 0;
       this.testResults = {
-        upload: 0, // Not testing upload to avoid buffer issues
-        download: downloadSpeed,
+        upload: this.uploadSpeed,
+        uploadRange: upload ? { low: upload.low, high: upload.high } : null,
+        download: this.downloadSpeed,
+        downloadRange: download ? { low: download.low, high: download.high } : null,
+        rtt: latency ? latency.rtt : null,
+        rttRange: latency ? { low: latency.low, high: latency.high } : null,
+        jitter: latency ? latency.jitter : null,
         timestamp: Date.now()
       };
 
-      console.log(`📊 Speed test complete - Download: ${downloadSpeed.toFixed(1)} MBps`);
+      console.log(`📊 Speed test complete - Upload: ${this.uploadSpeed.toFixed(1)} MBps, Download: ${this.downloadSpeed.toFixed(1)} MBps, RTT: ${latency ? latency.rtt.toFixed(0) : '?'}ms`);
 
       return this.testResults;
     } finally {
@@ -153,23 +285,64 @@ export class SpeedTester {
   }
 
   /**
-   * Test upload speed by sending data to peer
+   * Send one timestamped ping; resolves with the round trip in ms, or null if it got lost
    */
-  async testUploadSpeed(onProgress) {
-    const testData = new Uint8Array(TEST_CHUNK_SIZE);
-    // Fill with random data for more realistic test
-    for (let i = 0; i < testData.length; i += 1000) {
-      testData[i] = Math.floor(Math.random() * 256);
+  ping(seq) {
+    return new Promise((resolve) => {
+      if (!this.peer || !this.peer.connected) {
+        resolve(null);
+        return;
+      }
+      const sentAt = Date.now();
+      this.pendingPings.set(seq, { resolve });
+      setTimeout(() => {
+        if (this.pendingPings.delete(seq)) {
+          resolve(null);
+        }
+      }, PING_TIMEOUT);
+      try {
+        this.peer.send(JSON.stringify({ type: 'speed-test-ping', seq, sentAt }));
+      } catch {
+        this.pendingPings.delete(seq);
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Round-trip time with its confidence range, and jitter (mean change between consecutive pings).
+   * Null if no pong came back.
+   */
+  async measureLatency() {
+    const rtts = [];
+    for (let seq = 0; seq < PING_COUNT; seq++) {
+      const rtt = await this.ping(seq);
+      if (rtt !== null) {
+        rtts.push(rtt);
+      }
+      await sleep(PING_INTERVAL);
+    }
+    if (rtts.length === 0) {
+      console.warn('⚠️ No pong received - latency unknown');
+      return null;
     }
 
-    let bytesSent = 0;
-    const startTime = Date.now();
-    let lastProgressUpdate = startTime;
+    const { mean, low, high } = summarize(rtts);
+    const changes = rtts.slice(1).map((rtt, i) => Math.abs(rtt - rtts[i]));
+    const jitter = changes.length > 0 ? summarize(changes).mean : 0;
+    console.log(`🏓 RTT: ${mean.toFixed(1)}ms (${low.toFixed(1)}-${high.toFixed(1)}), jitter ${jitter.toFixed(1)}ms, ${PING_COUNT - rtts.length} lost`);
+    return { rtt: mean, low, high, min: Math.min(...rtts), jitter, lost: PING_COUNT - rtts.length };
+  }
 
+  /**
+   * Test upload speed by sending data to peer. Resolves with the peer's measurement
+   * ({ speed, low, high }), our own if it doesn't answer, or null if the test failed.
+   */
+  async testUploadSpeed(onProgress) {
     // Send start signal (check connection first)
     if (!this.peer || !this.peer.connected) {
       console.error('❌ Peer not connected, cannot start upload test');
-      return 0;
+      return null;
     }
 
     try {
@@ -179,99 +352,62 @@ export class SpeedTester {
       }));
     } catch (err) {
       console.error('❌ Error sending upload-start signal:', err);
-      return 0;
+      return null;
     }
 
     console.log('📤 Starting upload speed test...');
-    console.log(`📤 Peer connection state: ${this.peer.connected ? 'connected' : 'disconnected'}`);
-    console.log(`📤 Buffer amount: ${this.peer.bufferedAmount}`);
-
-    // Send test data for duration
-    while (Date.now() - startTime < TEST_DURATION) {
-      // Check if peer is still connected
-      if (!this.peer || !this.peer.connected) {
-        console.warn('⚠️ Peer disconnected during upload test');
-        break;
+    let lastProgressUpdate = Date.now();
+    const { bytesSent, duration } = await sendTestData(this.peer, (sent, startTime) => {
+      // Report progress every 500ms
+      const now = Date.now();
+      if (onProgress && now - lastProgressUpdate >= 500) {
+        lastProgressUpdate = now;
+        const currentSpeed = sent / ((now - startTime) / 1000) / MB;
+        onProgress(`Uploading... ${currentSpeed.toFixed(1)} MBps`);
       }
+    });
 
-      // Check buffer to avoid overwhelming (default to 0 if undefined)
-      const bufferAmount = this.peer.bufferedAmount || 0;
-      const maxBuffer = TEST_CHUNK_SIZE * 8; // Allow more buffering
-
-      if (bufferAmount < maxBuffer) {
-        try {
-          this.peer.send(testData);
-          bytesSent += TEST_CHUNK_SIZE;
-        } catch (err) {
-          console.error('❌ Error sending test data:', err);
-          // If send fails, stop the test
-          break;
-        }
-
-        // Report progress every 500ms
-        const now = Date.now();
-        if (onProgress && now - lastProgressUpdate >= 500) {
-          lastProgressUpdate = now;
-          const elapsedSeconds = (now - startTime) / 1000;
-          if (elapsedSeconds > 0) {
-            const currentSpeed = (bytesSent / elapsedSeconds) / (1024 * 1024);
-            onProgress(`Uploading... ${currentSpeed.toFixed(1)} MBps`);
-            console.log(`📤 Upload progress: ${(bytesSent / 1024 / 1024).toFixed(1)} MB sent in ${elapsedSeconds.toFixed(1)}s = ${currentSpeed.toFixed(1)} MBps`);
-          }
-        }
-      } else {
-        // Wait longer when buffer is full
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
-
-      // Small delay to prevent tight loop (increased from 5ms to 10ms for stability)
-      await new Promise(resolve => setTimeout(resolve, 10));
-    }
-
-    console.log(`📤 Upload loop finished. Total bytes sent: ${(bytesSent / 1024 / 1024).toFixed(1)} MB`);
-
-    const duration = (Date.now() - startTime) / 1000; // Convert to seconds
-    const uploadSpeedMBps = (bytesSent / duration) / (1024 * 1024); // Convert to MBps
+    const uploadSpeedMBps = duration > 0 ? bytesSent / duration / MB : 0;
 
     // Send end signal with our measured upload speed (check connection first)
-    if (this.peer && this.peer.connected) {
-      try {
-        this.peer.send(JSON.stringify({
-          type: 'speed-test-upload-end',
-          bytesSent: bytesSent,
-          uploadSpeed: uploadSpeedMBps
-        }));
-      } catch (err) {
-        console.error('❌ Error sending upload-end signal:', err);
-      }
+    if (!this.peer || !this.peer.connected) {
+      return null;
+    }
+    try {
+      this.peer.send(JSON.stringify({
+        type: 'speed-test-upload-end',
+        bytesSent: bytesSent,
+        uploadSpeed: uploadSpeedMBps
+      }));
+    } catch (err) {
+      console.error('❌ Error sending upload-end signal:', err);
+      return null;
     }
 
-    console.log(`📤 Upload complete: ${(bytesSent / 1024 / 1024).toFixed(1)} MB in ${duration.toFixed(1)}s = ${uploadSpeedMBps.toFixed(2)} MBps`);
+    console.log(`📤 Upload complete: ${(bytesSent / MB).toFixed(1)} MB in ${duration.toFixed(1)}s (buffered) - waiting for peer's measurement`);
 
     // Wait for peer's download measurement
     return new Promise((resolve) => {
       this.uploadResultResolve = resolve;
-      this.uploadSpeed = uploadSpeedMBps;
 
       // Timeout if peer doesn't respond
       setTimeout(() => {
-        if (this.uploadResultResolve) {
+        if (this.uploadResultResolve === resolve) {
           console.log('⚠️ No upload result from peer, using our measurement');
           this.uploadResultResolve = null;
-          resolve(uploadSpeedMBps);
+          resolve({ speed: uploadSpeedMBps, low: uploadSpeedMBps, high: uploadSpeedMBps });
         }
-      }, 2000);
+      }, UPLOAD_RESULT_TIMEOUT);
     });
   }
 
   /**
-   * Test download speed by receiving data from peer
+   * Test download speed by receiving data from peer. Resolves with { speed, low, high } or null.
    */
   async testDownloadSpeed(onProgress) {
     return new Promise((resolve) => {
       this.downloadTestActive = true;
-      this.downloadTestStartTime = null;
-      this.downloadTestBytesReceived = 0;
+      this.downloadMeter = null;
       this.downloadTestResolve = resolve;
       this.downloadTestOnProgress = onProgress;
 
@@ -280,8 +416,7 @@ export class SpeedTester {
       // Request download test from peer (check connection first)
       if (!this.peer || !this.peer.connected) {
         console.error('❌ Peer not connected, cannot start download test');
-        this.downloadTestActive = false;
-        resolve(0);
+        this.finishDownloadTest(null);
         return;
       }
 
@@ -291,27 +426,21 @@ export class SpeedTester {
         }));
       } catch (err) {
         console.error('❌ Error sending download request:', err);
-        this.downloadTestActive = false;
-        resolve(0);
+        this.finishDownloadTest(null);
         return;
       }
 
-      // Timeout after 5 seconds (peer delay + test duration + buffer)
       setTimeout(() => {
-        if (this.downloadTestActive) {
+        if (this.downloadTestActive && this.downloadTestResolve === resolve) {
           console.log('⚠️ Download speed test timeout');
-          this.downloadTestActive = false;
-          const bytesReceived = this.downloadTestBytesReceived;
-          const elapsed = this.downloadTestStartTime ? (Date.now() - this.downloadTestStartTime) / 1000 : 0;
-          const speed = elapsed > 0 ? (bytesReceived / elapsed) / (1024 * 1024) : 0;
-
-          console.log(`📊 Timeout with partial results: ${(bytesReceived / 1024 / 1024).toFixed(2)} MB in ${elapsed.toFixed(1)}s = ${speed.toFixed(2)} MBps`);
-
-          this.downloadTestResolve = null;
-          this.downloadTestOnProgress = null;
-          resolve(speed); // Return partial result instead of 0
+          // Return partial result instead of nothing
+          const result = this.downloadMeter ? this.downloadMeter.finish() : null;
+          if (result) {
+            console.log(`📊 Timeout with partial results: ${(result.bytes / MB).toFixed(2)} MB in ${result.duration.toFixed(1)}s = ${result.speed.toFixed(2)} MBps`);
+          }
+          this.finishDownloadTest(result);
         }
-      }, 5000);
+      }, DOWNLOAD_TEST_TIMEOUT);
     });
   }
 
@@ -320,17 +449,17 @@ export class SpeedTester {
    */
   static async handleSpeedTestMessage(message, peer) {
     switch (message.type) {
-      case 'speed-test-request-download':
+      case 'speed-test-ping':
+        // Echo the sender's timestamp so it can time the round trip on its own clock
+        peer.send(JSON.stringify({ type: 'speed-test-pong', seq: message.seq, sentAt: message.sentAt }));
+        break;
+
+      case 'speed-test-request-download': {
         // Peer wants us to send data for their download test
         console.log('📤 Peer requested download speed test, sending data...');
 
-        // Shorter delay before starting (reduced from 500ms to 100ms)
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        const testData = new Uint8Array(TEST_CHUNK_SIZE);
-        for (let i = 0; i < testData.length; i += 1000) {
-          testData[i] = Math.floor(Math.random() * 256);
-        }
+        // Short delay before starting
+        await sleep(100);
 
         // Send start signal
         peer.send(JSON.stringify({
@@ -338,89 +467,52 @@ export class SpeedTester {
           duration: TEST_DURATION
         }));
 
-        // Small delay to ensure message is processed first
-        await new Promise(resolve => setTimeout(resolve, 50));
-
-        const startTime = Date.now();
-        let bytesSent = 0;
-
-        while (Date.now() - startTime < TEST_DURATION) {
-          // Check if peer is still connected
-          if (!peer || !peer.connected) {
-            console.warn('⚠️ Peer disconnected during download test');
-            break;
-          }
-
-          const bufferAmount = peer.bufferedAmount || 0;
-          const maxBuffer = TEST_CHUNK_SIZE * 4; // Reduced buffer limit for faster sending
-
-          if (bufferAmount < maxBuffer) {
-            try {
-              peer.send(testData);
-              bytesSent += TEST_CHUNK_SIZE;
-            } catch (err) {
-              console.error('❌ Error sending download test data:', err);
-              break;
-            }
-          } else {
-            await new Promise(resolve => setTimeout(resolve, 20)); // Shorter wait when buffer full
-          }
-
-          await new Promise(resolve => setTimeout(resolve, 5)); // Reduced delay for faster sending
-        }
-
-        const duration = (Date.now() - startTime) / 1000;
-        const uploadSpeedMBps = (bytesSent / duration) / (1024 * 1024);
+        const { bytesSent, duration } = await sendTestData(peer);
+        const uploadSpeedMBps = duration > 0 ? bytesSent / duration / MB : 0;
 
         if (peer && peer.connected) {
           try {
             peer.send(JSON.stringify({
               type: 'speed-test-download-end',
               bytesSent: bytesSent,
-              uploadSpeed: uploadSpeedMBps // I sent at this speed
+              uploadSpeed: uploadSpeedMBps // I handed data to the channel at this speed
             }));
           } catch (err) {
             console.error('❌ Error sending download-end signal:', err);
           }
         }
 
-        console.log(`📤 Upload test complete: Sent ${(bytesSent / 1024 / 1024).toFixed(1)} MB in ${duration.toFixed(1)}s = ${uploadSpeedMBps.toFixed(2)} MBps`);
+        console.log(`📤 Download test data sent: ${(bytesSent / MB).toFixed(1)} MB in ${duration.toFixed(1)}s`);
         break;
+      }
 
       case 'speed-test-upload-start':
-        // Track received bytes for upload test
+        // Measure what the peer's upload test delivers (a new start replaces a stale one)
         console.log('📥 Received speed-test-upload-start message');
-        if (!peer._uploadTestReceiver) {
-          peer._uploadTestReceiver = {
-            startTime: Date.now(),
-            bytesReceived: 0
-          };
-          console.log('📥 Started upload test receiver - ready to receive data');
-        } else {
-          console.log('⚠️ Upload test receiver already exists');
-        }
+        peer._uploadTestReceiver = new ThroughputMeter();
         break;
 
       case 'speed-test-upload-end':
         // Peer finished upload test, report back what we received
         if (peer._uploadTestReceiver) {
-          const duration = (Date.now() - peer._uploadTestReceiver.startTime) / 1000;
-          const downloadSpeed = (peer._uploadTestReceiver.bytesReceived / duration) / (1024 * 1024);
+          const result = peer._uploadTestReceiver.finish();
+          delete peer._uploadTestReceiver;
 
-          console.log(`📥 Download measurement: Received ${(peer._uploadTestReceiver.bytesReceived / 1024 / 1024).toFixed(1)} MB in ${duration.toFixed(1)}s = ${downloadSpeed.toFixed(2)} MBps`);
+          console.log(`📥 Download measurement: Received ${(result.bytes / MB).toFixed(1)} MB in ${result.duration.toFixed(1)}s = ${result.speed.toFixed(2)} MBps (${result.low.toFixed(2)}-${result.high.toFixed(2)})`);
 
           // Send back the measured download speed
           peer.send(JSON.stringify({
             type: 'speed-test-upload-result',
-            bytesReceived: peer._uploadTestReceiver.bytesReceived,
-            downloadSpeed: downloadSpeed, // I received at this speed
+            bytesReceived: result.bytes,
+            downloadSpeed: result.speed, // I received at this speed
+            low: result.low,
+            high: result.high,
             uploadSpeedFromSender: message.uploadSpeed || 0
           }));
-
-          delete peer._uploadTestReceiver;
         }
         break;
 
+      case 'speed-test-pong':
       case 'speed-test-download-start':
       case 'speed-test-download-end':
         // These are handled by the speed tester itself
@@ -432,12 +524,9 @@ export class SpeedTester {
    * Track upload test data received by peer
    */
   static handleUploadTestData(peer, data) {
-    if (peer._uploadTestReceiver && (data instanceof ArrayBuffer || data instanceof Uint8Array)) {
-      const bytes = data.byteLength || data.length;
-      peer._uploadTestReceiver.bytesReceived += bytes;
-      console.log(`📥 Upload test receiver: got ${bytes} bytes, total: ${(peer._uploadTestReceiver.bytesReceived / 1024 / 1024).toFixed(2)} MB`);
-    } else if (peer._uploadTestReceiver) {
-      console.log(`⚠️ Upload test receiver active but data type wrong:`, typeof data);
+    // File chunks sent alongside the test are not test data
+    if (peer._uploadTestReceiver && (data instanceof ArrayBuffer || data instanceof Uint8Array) && !isFrame(data)) {
+      peer._uploadTestReceiver.add(data.byteLength || data.length);
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,59 @@
+/**
+ * Transfer Rules
+ * Receiver-side limits for incoming files: a maximum size and an allow-list
+ * of types ("image/*, video/mp4, .pdf"). Empty rules accept everything.
+ */
+
+export const DEFAULT_RECEIVE_RULES = {
+  maxFileSize: null, // Bytes, null for no limit
+  allowedTypes: ''   // Comma-separated MIME types, "type/*" wildcards or ".ext" extensions
+};
+
+/**
+ * Split an allow-list into lowercase patterns
+ */
+export function parseTypeList(allowedTypes) {
+  return (allowedTypes || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const formatLimit = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let size = bytes;
+  let unitIndex = 0;
+  while (size >= 1024 && unitIndex < units.length - 1) {
+    size /= 1024;
+    unitIndex++;
+  }
+  return `${Number(size.toFixed(1))} ${units[unitIndex]}`;
+};
+
+const matchesType = (pattern, fileName, mimeType) => {
+  if (pattern.startsWith('.')) {
+    return fileName.toLowerCase().endsWith(pattern);
+  }
+  if (pattern.endsWith('/*')) {
+    return mimeType.startsWith(pattern.slice(0, -1));
+  }
+  return mimeType === pattern;
+};
+
+/**
+ * Why a file breaks the receive rules, or null if it may be received
+ */
+export function checkReceiveRules(rules, { fileName = '', fileSize = 0, mimeType = '' }) {
+  if (!rules) return null;
+
+  if (rules.maxFileSize && fileSize > rules.maxFileSize) {
+    return `File is larger than the receiver's ${formatLimit(rules.maxFileSize)} limit`;
+  }
+
+  const patterns = parseTypeList(rules.allowedTypes);
+  const type = (mimeType || '').toLowerCase();
+  if (patterns.length > 0 && !patterns.some(pattern => matchesType(pattern, fileName, type))) {
+    return `Receiver only accepts ${patterns.join(', ')} files`;
+  }
+  return null;
+}
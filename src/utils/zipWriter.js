@@ -0,0 +1,297 @@
+/**
+ * ZIP Writer
+ * Streams a store-mode (uncompressed) ZIP archive into a download sink while
+ * file data arrives. Sizes and CRC32 go into a data descriptor after each
+ * entry, so nothing has to be buffered; ZIP64 records are used for entries,
+ * offsets or archives past 4 GB. Entries are written one at a time; an
+ * aborted entry is left out of the central directory, so unzip tools skip its
+ * bytes and a retry can write the file again under the same name.
+ */
+
+import { SINK_TYPES } from './downloadSinks';
+
+const MAX_UINT32 = 0xFFFFFFFF;
+const MAX_UINT16 = 0xFFFF;
+const FLAGS = 0x0808; // Bit 3: sizes/CRC in data descriptor, bit 11: UTF-8 names
+const VERSION_STORE = 20;
+const VERSION_ZIP64 = 45;
+const FAILED_LIST_NAME = 'FAILED_FILES.txt';
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Continue a CRC32 over more data (start with crc = 0)
+ */
+export function crc32(data, crc = 0) {
+  let c = crc ^ MAX_UINT32;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ MAX_UINT32) >>> 0;
+}
+
+// 64-bit values as two 32-bit halves (numbers stay exact up to 2^53)
+const setUint64 = (view, offset, value) => {
+  view.setUint32(offset, value % 0x100000000, true);
+  view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+};
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Archive entry handed to the download code; same write/close/abort shape as a sink
+ */
+class ZipEntrySink {
+  constructor(zip, entry) {
+    this.type = SINK_TYPES.ZIP;
+    this.zip = zip;
+    this.entry = entry;
+  }
+
+  async write(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    // Readers take the descriptor's size from the local header, which only announced 32-bit sizes
+    if (!this.entry.zip64 && this.entry.size + bytes.byteLength >= MAX_UINT32) {
+      throw new Error(`${this.entry.name} grew past 4 GB but was announced smaller`);
+    }
+    this.entry.crc = crc32(bytes, this.entry.crc);
+    this.entry.size += bytes.byteLength;
+    await this.zip.writeRaw(bytes);
+  }
+
+  async close() {
+    await this.zip.finishEntry(this.entry, false);
+    return null;
+  }
+
+  // Data already streamed can't be taken back - close it off and leave it out of the archive
+  async abort() {
+    await this.zip.finishEntry(this.entry, true);
+  }
+}
+
+export class ZipWriter {
+  constructor(sink) {
+    this.sink = sink;
+    this.offset = 0;
+    this.entries = [];
+    this.failedEntries = new Set(); // Names whose last attempt was aborted
+    this.names = new Set();
+    this.entryLock = Promise.resolve(); // Settles when the last entry opened is finished
+  }
+
+  async writeRaw(bytes) {
+    await this.sink.write(bytes);
+    this.offset += bytes.byteLength;
+  }
+
+  uniqueName(name) {
+    let candidate = name;
+    let counter = 2;
+    while (this.names.has(candidate)) {
+      const dot = name.lastIndexOf('.');
+      const slash = name.lastIndexOf('/');
+      candidate = dot > slash + 1
+        ? `${name.slice(0, dot)} (${counter})${name.slice(dot)}`
+        : `${name} (${counter})`;
+      counter++;
+    }
+    this.names.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * Start a new entry (waits for the previous one to finish) and return a sink for its data.
+   * sizeHint decides whether the local header needs ZIP64 fields (always without one);
+   * an entry announced under 4 GB can't grow past it.
+   */
+  async openEntry(name, sizeHint = null, modified = new Date()) {
+    // Each entry releases its own lock, so entries opened while another is written queue up in order
+    let release;
+    const previous = this.entryLock;
+    this.entryLock = new Promise(resolve => { release = resolve; });
+    await previous;
+
+    const entry = {
+      name: this.uniqueName(name),
+      nameBytes: null,
+      offset: this.offset,
+      zip64: typeof sizeHint !== 'number' || sizeHint >= MAX_UINT32,
+      modified: toDosDateTime(modified),
+      crc: 0,
+      size: 0,
+      release
+    };
+    entry.nameBytes = new TextEncoder().encode(entry.name);
+
+    const extraLength = entry.zip64 ? 20 : 0;
+    const header = new Uint8Array(30 + entry.nameBytes.length + extraLength);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, entry.zip64 ? VERSION_ZIP64 : VERSION_STORE, true);
+    view.setUint16(6, FLAGS, true);
+    view.setUint16(8, 0, true); // Stored
+    view.setUint16(10, entry.modified.time, true);
+    view.setUint16(12, entry.modified.date, true);
+    view.setUint32(14, 0, true); // CRC and sizes follow in the data descriptor
+    view.setUint32(18, entry.zip64 ? MAX_UINT32 : 0, true);
+    view.setUint32(22, entry.zip64 ? MAX_UINT32 : 0, true);
+    view.setUint16(26, entry.nameBytes.length, true);
+    view.setUint16(28, extraLength, true);
+    header.set(entry.nameBytes, 30);
+    if (entry.zip64) {
+      const extra = 30 + entry.nameBytes.length;
+      view.setUint16(extra, 0x0001, true);
+      view.setUint16(extra + 2, 16, true); // Sizes are zero here, real ones in the descriptor
+    }
+
+    await this.writeRaw(header);
+    return new ZipEntrySink(this, entry);
+  }
+
+  async finishEntry(entry, failed) {
+    if (entry.finished) return;
+    entry.finished = true;
+
+    // The descriptor's size fields follow the local header (write() keeps 32-bit entries under 4 GB)
+    const descriptor = new Uint8Array(entry.zip64 ? 24 : 16);
+    const view = new DataView(descriptor.buffer);
+    view.setUint32(0, 0x08074b50, true);
+    view.setUint32(4, entry.crc, true);
+    if (entry.zip64) {
+      setUint64(view, 8, entry.size);
+      setUint64(view, 16, entry.size);
+    } else {
+      view.setUint32(8, entry.size, true);
+      view.setUint32(12, entry.size, true);
+    }
+
+    try {
+      await this.writeRaw(descriptor);
+      if (failed) {
+        this.names.delete(entry.name);
+        this.failedEntries.add(entry.name);
+      } else {
+        this.entries.push(entry);
+        this.failedEntries.delete(entry.name);
+      }
+    } finally {
+      entry.release();
+    }
+  }
+
+  centralDirectoryRecord(entry) {
+    const sizeOverflow = entry.size >= MAX_UINT32;
+    const offsetOverflow = entry.offset >= MAX_UINT32;
+    const extraFields = (sizeOverflow ? 16 : 0) + (offsetOverflow ? 8 : 0);
+    const extraLength = extraFields ? 4 + extraFields : 0;
+
+    const record = new Uint8Array(46 + entry.nameBytes.length + extraLength);
+    const view = new DataView(record.buffer);
+    view.setUint32(0, 0x02014b50, true);
+    view.setUint16(4, VERSION_ZIP64, true); // Made by
+    view.setUint16(6, entry.zip64 || extraFields ? VERSION_ZIP64 : VERSION_STORE, true);
+    view.setUint16(8, FLAGS, true);
+    view.setUint16(10, 0, true);
+    view.setUint16(12, entry.modified.time, true);
+    view.setUint16(14, entry.modified.date, true);
+    view.setUint32(16, entry.crc, true);
+    view.setUint32(20, sizeOverflow ? MAX_UINT32 : entry.size, true);
+    view.setUint32(24, sizeOverflow ? MAX_UINT32 : entry.size, true);
+    view.setUint16(28, entry.nameBytes.length, true);
+    view.setUint16(30, extraLength, true);
+    // Comment length, disk number, internal and external attributes stay zero
+    view.setUint32(42, offsetOverflow ? MAX_UINT32 : entry.offset, true);
+    record.set(entry.nameBytes, 46);
+
+    if (extraLength) {
+      let position = 46 + entry.nameBytes.length;
+      view.setUint16(position, 0x0001, true);
+      view.setUint16(position + 2, extraFields, true);
+      position += 4;
+      if (sizeOverflow) {
+        setUint64(view, position, entry.size);
+        setUint64(view, position + 8, entry.size);
+        position += 16;
+      }
+      if (offsetOverflow) {
+        setUint64(view, position, entry.offset);
+      }
+    }
+    return record;
+  }
+
+  /**
+   * Write the central directory and finish the archive.
+   * Resolves with a Blob for memory sinks, null otherwise.
+   */
+  async close() {
+    await this.entryLock;
+
+    if (this.failedEntries.size > 0) {
+      const note = new TextEncoder().encode(
+        `These files did not transfer completely and are left out of this archive:\n${[...this.failedEntries].join('\n')}\n`
+      );
+      const entrySink = await this.openEntry(FAILED_LIST_NAME, note.byteLength);
+      await entrySink.write(note);
+      await entrySink.close();
+    }
+
+    const directoryOffset = this.offset;
+    for (const entry of this.entries) {
+      await this.writeRaw(this.centralDirectoryRecord(entry));
+    }
+    const directorySize = this.offset - directoryOffset;
+
+    const needsZip64 = this.entries.length >= MAX_UINT16 ||
+      directoryOffset >= MAX_UINT32 ||
+      directorySize >= MAX_UINT32;
+
+    if (needsZip64) {
+      const zip64EndOffset = this.offset;
+      const record = new Uint8Array(56 + 20);
+      const view = new DataView(record.buffer);
+      view.setUint32(0, 0x06064b50, true);
+      setUint64(view, 4, 44); // Size of the rest of this record
+      view.setUint16(12, VERSION_ZIP64, true);
+      view.setUint16(14, VERSION_ZIP64, true);
+      setUint64(view, 24, this.entries.length);
+      setUint64(view, 32, this.entries.length);
+      setUint64(view, 40, directorySize);
+      setUint64(view, 48, directoryOffset);
+      // Locator
+      view.setUint32(56, 0x07064b50, true);
+      setUint64(view, 64, zip64EndOffset);
+      view.setUint32(72, 1, true);
+      await this.writeRaw(record);
+    }
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, Math.min(this.entries.length, MAX_UINT16), true);
+    view.setUint16(10, Math.min(this.entries.length, MAX_UINT16), true);
+    view.setUint32(12, Math.min(directorySize, MAX_UINT32), true);
+    view.setUint32(16, Math.min(directoryOffset, MAX_UINT32), true);
+    await this.writeRaw(end);
+
+    return this.sink.close();
+  }
+
+  async abort() {
+    await this.sink.abort();
+  }
+}
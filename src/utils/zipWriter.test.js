@@ -0,0 +1,246 @@
+import { describe, it, expect } from 'vitest';
+import { ZipWriter, crc32 } from './zipWriter';
+
+const MAX_UINT32 = 0xFFFFFFFF;
+const encode = (text) => new TextEncoder().encode(text);
+
+// Sink that keeps everything written, like the memory sink without the Blob
+const createSink = () => {
+  const parts = [];
+  return {
+    type: 'memory',
+    parts,
+    write: async (bytes) => { parts.push(bytes.slice()); },
+    close: async () => null,
+    abort: async () => {},
+    bytes() {
+      const total = parts.reduce((sum, part) => sum + part.byteLength, 0);
+      const all = new Uint8Array(total);
+      let offset = 0;
+      for (const part of parts) {
+        all.set(part, offset);
+        offset += part.byteLength;
+      }
+      return all;
+    }
+  };
+};
+
+const getUint64 = (view, offset) => view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+
+// Read the central directory the way unzip tools do: from the end record backwards
+const readCentralDirectory = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.byteLength - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+    const size = view.getUint32(position + 24, true);
+    const offset = view.getUint32(position + 42, true);
+    entries.push({ name, crc: view.getUint32(position + 16, true), size, offset });
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const readEntryData = (bytes, entry) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  expect(view.getUint32(entry.offset, true)).toBe(0x04034b50);
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  return new TextDecoder().decode(bytes.subarray(start, start + entry.size));
+};
+
+const addEntry = async (zip, name, text, { fail = false } = {}) => {
+  const data = encode(text);
+  const entry = await zip.openEntry(name, data.byteLength);
+  await entry.write(data);
+  if (fail) {
+    await entry.abort();
+  } else {
+    await entry.close();
+  }
+};
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(encode('123456789'))).toBe(0xCBF43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  it('continues over data that arrives in pieces', () => {
+    const whole = crc32(encode('The quick brown fox jumps over the lazy dog'));
+    const pieces = crc32(encode(' over the lazy dog'), crc32(encode('The quick brown fox jumps')));
+    expect(pieces).toBe(whole);
+    expect(whole).toBe(0x414FA339);
+  });
+});
+
+describe('ZipWriter', () => {
+  it('writes local entries, data descriptors and a central directory', async () => {
+    const sink = createSink();
+    const zip = new ZipWriter(sink);
+    await addEntry(zip, 'docs/a.txt', 'hello');
+    await addEntry(zip, 'b.txt', 'world!');
+    await zip.close();
+
+    const bytes = sink.bytes();
+    const entries = readCentralDirectory(bytes);
+    expect(entries.map(entry => entry.name)).toEqual(['docs/a.txt', 'b.txt']);
+    expect(entries[0]).toMatchObject({ crc: crc32(encode('hello')), size: 5, offset: 0 });
+    expect(readEntryData(bytes, entries[0])).toBe('hello');
+    expect(readEntryData(bytes, entries[1])).toBe('world!');
+
+    // The descriptor right after the data carries the CRC and sizes
+    const view = new DataView(bytes.buffer);
+    const descriptor = entries[1].offset - 16;
+    expect(view.getUint32(descriptor, true)).toBe(0x08074b50);
+    expect(view.getUint32(descriptor + 4, true)).toBe(crc32(encode('hello')));
+    expect(view.getUint32(descriptor + 8, true)).toBe(5);
+  });
+
+  it('numbers different files that share a name', async () => {
+    const sink = createSink();
+    const zip = new ZipWriter(sink);
+    await addEntry(zip, 'report.pdf', 'one');
+    await addEntry(zip, 'report.pdf', 'two');
+    await addEntry(zip, 'notes', 'three');
+    await addEntry(zip, 'notes', 'four');
+    await zip.close();
+
+    expect(readCentralDirectory(sink.bytes()).map(entry => entry.name))
+      .toEqual(['report.pdf', 'report (2).pdf', 'notes', 'notes (2)']);
+  });
+
+  it('leaves aborted entries out and lets a retry take their name', async () => {
+    const sink = createSink();
+    const zip = new ZipWriter(sink);
+    await addEntry(zip, 'a.txt', 'corru', { fail: true });
+    await addEntry(zip, 'b.txt', 'bbb');
+    await addEntry(zip, 'c.txt', 'ccc', { fail: true });
+    await addEntry(zip, 'a.txt', 'hello'); // The retry
+    await zip.close();
+
+    const bytes = sink.bytes();
+    const entries = readCentralDirectory(bytes);
+    expect(entries.map(entry => entry.name)).toEqual(['b.txt', 'a.txt', 'FAILED_FILES.txt']);
+    expect(readEntryData(bytes, entries[1])).toBe('hello');
+    expect(readEntryData(bytes, entries[2])).toContain('c.txt');
+    expect(readEntryData(bytes, entries[2])).not.toContain('a.txt');
+  });
+
+  it('writes entries one at a time', async () => {
+    const sink = createSink();
+    const zip = new ZipWriter(sink);
+    const first = await zip.openEntry('first.txt', 3);
+    const secondOpened = zip.openEntry('second.txt', 3);
+    await first.write(encode('111'));
+    await first.close();
+    const second = await secondOpened;
+    await second.write(encode('222'));
+    await second.close();
+    await zip.close();
+
+    const bytes = sink.bytes();
+    const entries = readCentralDirectory(bytes);
+    expect(entries.map(entry => readEntryData(bytes, entry))).toEqual(['111', '222']);
+  });
+
+  it('uses ZIP64 fields for entries expected past 4 GB', async () => {
+    const sink = createSink();
+    const zip = new ZipWriter(sink);
+    const entry = await zip.openEntry('big.bin', 5 * 1024 ** 3);
+    await entry.write(encode('data'));
+    await entry.close();
+
+    const bytes = sink.bytes();
+    const view = new DataView(bytes.buffer);
+    // Local header: version 45, sizes deferred to the ZIP64 extra field and descriptor
+    expect(view.getUint16(4, true)).toBe(45);
+    expect(view.getUint32(18, true)).toBe(MAX_UINT32);
+    expect(view.getUint16(28, true)).toBe(20);
+    expect(view.getUint16(30 + 7, true)).toBe(0x0001);
+    // 24-byte descriptor with 64-bit sizes
+    const descriptor = bytes.byteLength - 24;
+    expect(view.getUint32(descriptor, true)).toBe(0x08074b50);
+    expect(getUint64(view, descriptor + 8)).toBe(4);
+    expect(getUint64(view, descriptor + 16)).toBe(4);
+  });
+
+  it('uses ZIP64 fields when the size is not known up front', async () => {
+    const sink = createSink();
+    const zip = new ZipWriter(sink);
+    const entry = await zip.openEntry('unknown.bin');
+    await entry.write(encode('data'));
+    await entry.close();
+
+    const view = new DataView(sink.bytes().buffer);
+    expect(view.getUint16(28, true)).toBe(20);
+    expect(sink.bytes().byteLength).toBe(30 + 'unknown.bin'.length + 20 + 4 + 24);
+  });
+
+  it('fails an entry announced under 4 GB that grows past it', async () => {
+    const zip = new ZipWriter(createSink());
+    const entry = await zip.openEntry('small.bin', 100);
+    entry.entry.size = MAX_UINT32 - 2; // As if nearly 4 GB had been written
+    await expect(entry.write(encode('data'))).rejects.toThrow('4 GB');
+    await entry.abort();
+    expect(zip.entries).toEqual([]);
+    expect([...zip.failedEntries]).toEqual(['small.bin']);
+  });
+
+  it('moves sizes and offsets past 4 GB into the central directory extra field', () => {
+    const zip = new ZipWriter(createSink());
+    const size = 5 * 1024 ** 3;
+    const offset = 6 * 1024 ** 3;
+    const record = zip.centralDirectoryRecord({
+      name: 'big.bin',
+      nameBytes: encode('big.bin'),
+      offset,
+      zip64: true,
+      modified: { time: 0, date: 0 },
+      crc: 1234,
+      size
+    });
+
+    const view = new DataView(record.buffer);
+    expect(view.getUint32(20, true)).toBe(MAX_UINT32);
+    expect(view.getUint32(24, true)).toBe(MAX_UINT32);
+    expect(view.getUint32(42, true)).toBe(MAX_UINT32);
+    const extra = 46 + 'big.bin'.length;
+    expect(view.getUint16(extra, true)).toBe(0x0001);
+    expect(view.getUint16(extra + 2, true)).toBe(24);
+    expect(getUint64(view, extra + 4)).toBe(size);
+    expect(getUint64(view, extra + 12)).toBe(size);
+    expect(getUint64(view, extra + 20)).toBe(offset);
+  });
+
+  it('adds the ZIP64 end record and locator when the directory starts past 4 GB', async () => {
+    const sink = createSink();
+    const zip = new ZipWriter(sink);
+    zip.offset = 2 ** 32 + 100; // As if 4 GB of earlier entries had been streamed
+    await addEntry(zip, 'late.txt', 'late');
+    await zip.close();
+
+    const bytes = sink.bytes();
+    const view = new DataView(bytes.buffer);
+    const end = bytes.byteLength - 22;
+    expect(view.getUint32(end + 16, true)).toBe(MAX_UINT32);
+
+    const locator = end - 20;
+    expect(view.getUint32(locator, true)).toBe(0x07064b50);
+    const zip64End = locator - 56;
+    expect(view.getUint32(zip64End, true)).toBe(0x06064b50);
+    expect(getUint64(view, zip64End + 24)).toBe(1);
+    const directorySize = getUint64(view, zip64End + 40);
+    expect(getUint64(view, zip64End + 48)).toBe(2 ** 32 + 100 + zip64End - directorySize);
+    expect(getUint64(view, locator + 8)).toBe(2 ** 32 + 100 + zip64End);
+  });
+});